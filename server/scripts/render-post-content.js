@@ -0,0 +1,50 @@
+// server/scripts/render-post-content.js - Render HTML and plain text for posts saved before Markdown support
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Post = require('../src/models/Post');
+const PostRevision = require('../src/models/PostRevision');
+
+const renderPostContent = async () => {
+    try {
+        const mongoURI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/mern_testing_dev';
+
+        await mongoose.connect(mongoURI, {
+            serverSelectionTimeoutMS: 5000
+        });
+
+        console.log(`Connected to: ${mongoURI}`);
+
+        // Content written before formats existed is HTML, so record that before rendering
+        const migrated = await Post.updateMany(
+            { contentFormat: { $exists: false } },
+            { $set: { contentFormat: 'html' } },
+            { timestamps: false }
+        );
+        await PostRevision.updateMany(
+            { contentFormat: { $exists: false } },
+            { $set: { contentFormat: 'html' } }
+        );
+
+        console.log(`Marked ${migrated.modifiedCount} existing posts as HTML`);
+
+        let rendered = 0;
+        const cursor = Post.find({ contentHtml: { $exists: false } }).cursor();
+
+        // The pre-save hook renders content that has never been rendered
+        for await (const post of cursor) {
+            await post.save({ timestamps: false });
+            rendered += 1;
+        }
+
+        console.log(`Rendered content for ${rendered} posts`);
+
+        await mongoose.disconnect();
+        process.exit(0);
+    } catch (error) {
+        console.error('Error rendering post content:', error.message);
+        process.exit(1);
+    }
+};
+
+renderPostContent();
\ No newline at end of file
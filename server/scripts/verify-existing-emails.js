@@ -0,0 +1,34 @@
+// server/scripts/verify-existing-emails.js - Mark accounts created before email verification as verified
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+
+const verifyExistingEmails = async () => {
+    try {
+        const mongoURI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/mern_testing_dev';
+
+        await mongoose.connect(mongoURI, {
+            serverSelectionTimeoutMS: 5000
+        });
+
+        console.log(`Connected to: ${mongoURI}`);
+
+        // Accounts without the field signed up before verification existed and could already post
+        const result = await User.updateMany(
+            { isEmailVerified: { $exists: false } },
+            { $set: { isEmailVerified: true } },
+            { timestamps: false }
+        );
+
+        console.log(`Marked ${result.modifiedCount} existing users as verified`);
+
+        await mongoose.disconnect();
+        process.exit(0);
+    } catch (error) {
+        console.error('Error verifying existing users:', error.message);
+        process.exit(1);
+    }
+};
+
+verifyExistingEmails();
\ No newline at end of file
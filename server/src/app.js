@@ -8,16 +8,31 @@ const path = require('path');
 
 // Import middleware
 const { errorHandler, notFound } = require('./middleware/errorHandler');
+const { rateLimit } = require('./middleware/rateLimiter');
 const logger = require('./utils/logger');
+const { registerNotificationListeners } = require('./utils/notifier');
+const { registerRealtimeListeners } = require('./utils/realtime');
+const { getStorage } = require('./utils/storage');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const postRoutes = require('./routes/posts');
 const categoryRoutes = require('./routes/categories');
+const tagRoutes = require('./routes/tags');
+const adminRoutes = require('./routes/admin');
+const notificationRoutes = require('./routes/notifications');
+const realtimeRoutes = require('./routes/realtime');
+const mediaRoutes = require('./routes/media');
 
 const app = express();
 
+// Turn likes, comments and follows into notifications
+registerNotificationListeners();
+
+// Push likes, comments and notifications to connected clients
+registerRealtimeListeners();
+
 // Security middleware
 app.use(helmet({
     crossOriginEmbedderPolicy: false,
@@ -81,11 +96,29 @@ app.get('/api/health', (req, res) => {
     });
 });
 
+// Rate limiting (stricter per-route policies are applied in the routers)
+app.use('/api', rateLimit('default'));
+
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/posts', postRoutes);
 app.use('/api/categories', categoryRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/realtime', realtimeRoutes);
+app.use('/api/media', mediaRoutes);
+
+// Serve uploads when they are stored on local disk
+const storage = getStorage();
+if (storage.directory) {
+    app.use(storage.publicPath, express.static(storage.directory, {
+        maxAge: '7d',
+        // Let the client app on another origin embed the images
+        setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+    }));
+}
 
 // Serve static files in production
 if (process.env.NODE_ENV === 'production') {
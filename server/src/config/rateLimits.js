@@ -0,0 +1,36 @@
+// server/src/config/rateLimits.js - Rate limiting policies
+
+const minutes = (value) => value * 60 * 1000;
+
+const toInt = (value, fallback) => parseInt(value, 10) || fallback;
+
+/**
+ * Named policies used with rateLimit(name)
+ * windowMs - length of the sliding window
+ * max      - requests allowed per window and client
+ */
+const rateLimitPolicies = {
+    // Applied to every API request, generous enough for browsing
+    default: {
+        windowMs: minutes(1),
+        max: toInt(process.env.RATE_LIMIT_DEFAULT_MAX, 300)
+    },
+    // Login, registration and other credential endpoints
+    auth: {
+        windowMs: minutes(15),
+        max: toInt(process.env.RATE_LIMIT_AUTH_MAX, 20)
+    },
+    // Token refresh; clients refresh every access token lifetime, and behind a
+    // shared IP that must not use up the login budget
+    refresh: {
+        windowMs: minutes(15),
+        max: toInt(process.env.RATE_LIMIT_REFRESH_MAX, 300)
+    },
+    // Authenticated writes such as creating posts and comments
+    write: {
+        windowMs: minutes(1),
+        max: toInt(process.env.RATE_LIMIT_WRITE_MAX, 30)
+    }
+};
+
+module.exports = rateLimitPolicies;
\ No newline at end of file
@@ -0,0 +1,170 @@
+// server/src/controllers/adminController.js - Admin controller
+
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const { MemoryCache } = require('../utils/cache');
+const { startOfDay } = require('../utils/viewTracker');
+
+// 0 disables caching
+const STATS_CACHE_SECONDS = parseInt(process.env.ADMIN_STATS_CACHE_SECONDS, 10);
+const statsCacheTtlMs = (Number.isNaN(STATS_CACHE_SECONDS) ? 60 : STATS_CACHE_SECONDS) * 1000;
+
+const statsCache = new MemoryCache();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Compute site-wide statistics
+ * @param {Number} days - Length of the signup timeline
+ * @returns {Object} Statistics
+ */
+const computeStats = async (days) => {
+    const since = new Date(startOfDay().getTime() - (days - 1) * DAY_MS);
+
+    const [signups, usersByRole, postsByStatus, topAuthors, topPosts, totalComments] = await Promise.all([
+        User.aggregate([
+            { $match: { createdAt: { $gte: since } } },
+            { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, count: { $sum: 1 } } }
+        ]),
+        User.aggregate([
+            {
+                $group: {
+                    _id: '$role',
+                    active: { $sum: { $cond: ['$isActive', 1, 0] } },
+                    inactive: { $sum: { $cond: ['$isActive', 0, 1] } },
+                    total: { $sum: 1 }
+                }
+            },
+            { $sort: { _id: 1 } },
+            { $project: { _id: 0, role: '$_id', active: 1, inactive: 1, total: 1 } }
+        ]),
+        Post.aggregate([
+            { $group: { _id: '$status', count: { $sum: 1 } } }
+        ]),
+        Post.aggregate([
+            { $match: { status: 'published' } },
+            {
+                $group: {
+                    _id: '$author',
+                    posts: { $sum: 1 },
+                    views: { $sum: '$views' },
+                    likes: { $sum: { $size: { $ifNull: ['$likes', []] } } }
+                }
+            },
+            { $sort: { views: -1, posts: -1 } },
+            { $limit: 10 },
+            {
+                $lookup: {
+                    from: User.collection.name,
+                    localField: '_id',
+                    foreignField: '_id',
+                    pipeline: [{ $project: { username: 1, email: 1 } }],
+                    as: 'author'
+                }
+            },
+            { $unwind: '$author' },
+            {
+                $project: {
+                    username: '$author.username',
+                    email: '$author.email',
+                    posts: 1,
+                    views: 1,
+                    likes: 1
+                }
+            }
+        ]),
+        Post.aggregate([
+            { $match: { status: 'published' } },
+            { $sort: { views: -1, publishedAt: -1 } },
+            { $limit: 10 },
+            {
+                $lookup: {
+                    from: User.collection.name,
+                    localField: 'author',
+                    foreignField: '_id',
+                    pipeline: [{ $project: { username: 1 } }],
+                    as: 'author'
+                }
+            },
+            {
+                $project: {
+                    title: 1,
+                    slug: 1,
+                    views: 1,
+                    publishedAt: 1,
+                    likes: { $size: { $ifNull: ['$likes', []] } },
+                    author: { $first: '$author.username' }
+                }
+            }
+        ]),
+        Comment.countDocuments({ isDeleted: false })
+    ]);
+
+    // One entry per day, including days without signups
+    const signupsByDay = new Map(signups.map(day => [day._id, day.count]));
+    const signupTimeline = Array.from({ length: days }, (_, index) => {
+        const date = new Date(since.getTime() + index * DAY_MS).toISOString().substring(0, 10);
+        return { date, count: signupsByDay.get(date) || 0 };
+    });
+
+    const statusCounts = Object.fromEntries(
+        Post.schema.path('status').enumValues.map(status => [status, 0])
+    );
+    postsByStatus.forEach(({ _id, count }) => {
+        statusCounts[_id] = count;
+    });
+
+    return {
+        totals: {
+            users: usersByRole.reduce((sum, role) => sum + role.total, 0),
+            posts: Object.values(statusCounts).reduce((sum, count) => sum + count, 0),
+            comments: totalComments
+        },
+        signups: signupTimeline,
+        usersByRole,
+        postsByStatus: statusCounts,
+        topAuthors,
+        topPosts
+    };
+};
+
+/**
+ * @desc    Get site-wide statistics
+ * @route   GET /api/admin/stats
+ * @access  Private (Admin only)
+ */
+const getStats = async (req, res, next) => {
+    try {
+        const days = parseInt(req.query.days) || 30;
+        const refresh = req.query.refresh === 'true';
+        const cacheKey = `stats:${days}`;
+
+        let entry = statsCacheTtlMs > 0 && !refresh ? await statsCache.get(cacheKey) : undefined;
+        const cached = Boolean(entry);
+
+        if (!entry) {
+            entry = { stats: await computeStats(days), generatedAt: new Date() };
+
+            if (statsCacheTtlMs > 0) {
+                await statsCache.set(cacheKey, entry, statsCacheTtlMs);
+            }
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                ...entry.stats,
+                generatedAt: entry.generatedAt,
+                cached
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getStats,
+    statsCache
+};
\ No newline at end of file
@@ -0,0 +1,210 @@
+// server/src/controllers/analyticsController.js - Author analytics
+
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const PostViewDaily = require('../models/PostViewDaily');
+const { startOfDay } = require('../utils/viewTracker');
+
+const WINDOWS = [7, 30, 90];
+
+// A like counts as much as five minutes of reading
+const LIKE_WEIGHT = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Start of the window covering the last `days` days, today included
+ * @param {Number} days - Window length
+ * @returns {Date}
+ */
+const windowStart = (days) => new Date(startOfDay().getTime() - (days - 1) * DAY_MS);
+
+/**
+ * @desc    Get performance analytics for the current user's posts
+ * @route   GET /api/users/me/analytics
+ * @access  Private
+ */
+const getMyAnalytics = async (req, res, next) => {
+    try {
+        const days = parseInt(req.query.days) || 30;
+        const author = req.user._id;
+        const since = windowStart(days);
+
+        // Per-window sums of posts published inside the window
+        const windowSums = {};
+        WINDOWS.forEach(windowDays => {
+            const inWindow = { $gte: ['$publishedAt', windowStart(windowDays)] };
+            windowSums[`posts${windowDays}`] = { $sum: { $cond: [inWindow, 1, 0] } };
+            windowSums[`views${windowDays}`] = { $sum: { $cond: [inWindow, '$views', 0] } };
+            windowSums[`likes${windowDays}`] = { $sum: { $cond: [inWindow, '$likeCount', 0] } };
+        });
+
+        const [result] = await Post.aggregate([
+            { $match: { author, status: 'published' } },
+            {
+                $project: {
+                    title: 1,
+                    slug: 1,
+                    category: 1,
+                    tags: 1,
+                    publishedAt: 1,
+                    readTime: 1,
+                    views: 1,
+                    likeCount: { $size: { $ifNull: ['$likes', []] } }
+                }
+            },
+            {
+                // Estimated minutes spent reading plus weighted likes
+                $addFields: {
+                    engagement: {
+                        $add: [
+                            { $multiply: ['$views', '$readTime'] },
+                            { $multiply: ['$likeCount', LIKE_WEIGHT] }
+                        ]
+                    }
+                }
+            },
+            {
+                $facet: {
+                    posts: [
+                        { $sort: { engagement: -1, publishedAt: -1 } }
+                    ],
+                    totals: [
+                        {
+                            $group: {
+                                _id: null,
+                                posts: { $sum: 1 },
+                                views: { $sum: '$views' },
+                                likes: { $sum: '$likeCount' },
+                                engagement: { $sum: '$engagement' },
+                                ...windowSums
+                            }
+                        }
+                    ],
+                    tags: [
+                        { $unwind: '$tags' },
+                        {
+                            $group: {
+                                _id: '$tags',
+                                posts: { $sum: 1 },
+                                views: { $sum: '$views' },
+                                likes: { $sum: '$likeCount' },
+                                engagement: { $sum: '$engagement' }
+                            }
+                        },
+                        { $sort: { engagement: -1, _id: 1 } },
+                        { $limit: 10 },
+                        { $project: { _id: 0, tag: '$_id', posts: 1, views: 1, likes: 1, engagement: 1 } }
+                    ],
+                    categories: [
+                        {
+                            $group: {
+                                _id: '$category',
+                                posts: { $sum: 1 },
+                                views: { $sum: '$views' },
+                                likes: { $sum: '$likeCount' },
+                                engagement: { $sum: '$engagement' }
+                            }
+                        },
+                        { $sort: { engagement: -1 } },
+                        { $limit: 10 },
+                        {
+                            $lookup: {
+                                from: Category.collection.name,
+                                localField: '_id',
+                                foreignField: '_id',
+                                pipeline: [{ $project: { name: 1, slug: 1 } }],
+                                as: 'category'
+                            }
+                        },
+                        { $unwind: '$category' },
+                        {
+                            $project: {
+                                name: '$category.name',
+                                slug: '$category.slug',
+                                posts: 1,
+                                views: 1,
+                                likes: 1,
+                                engagement: 1
+                            }
+                        }
+                    ]
+                }
+            }
+        ]);
+
+        // Views actually received in each window come from the daily rollup
+        const [rollup] = await PostViewDaily.aggregate([
+            { $match: { author, date: { $gte: windowStart(Math.max(...WINDOWS)) } } },
+            {
+                $facet: {
+                    windows: [
+                        {
+                            $group: {
+                                _id: null,
+                                ...Object.fromEntries(WINDOWS.map(windowDays => [
+                                    `views${windowDays}`,
+                                    { $sum: { $cond: [{ $gte: ['$date', windowStart(windowDays)] }, '$views', 0] } }
+                                ]))
+                            }
+                        }
+                    ],
+                    timeline: [
+                        { $match: { date: { $gte: since } } },
+                        { $group: { _id: '$date', views: { $sum: '$views' } } },
+                        { $sort: { _id: 1 } }
+                    ],
+                    posts: [
+                        { $match: { date: { $gte: since } } },
+                        { $group: { _id: '$post', views: { $sum: '$views' } } }
+                    ]
+                }
+            }
+        ]);
+
+        const totals = result.totals[0] || {};
+        const received = rollup.windows[0] || {};
+
+        const windows = Object.fromEntries(WINDOWS.map(windowDays => [`${windowDays}d`, {
+            viewsReceived: received[`views${windowDays}`] || 0,
+            postsPublished: totals[`posts${windowDays}`] || 0,
+            viewsOnNewPosts: totals[`views${windowDays}`] || 0,
+            likesOnNewPosts: totals[`likes${windowDays}`] || 0
+        }]));
+
+        // Fill days without views so the timeline has one point per day
+        const viewsByDay = new Map(rollup.timeline.map(day => [day._id.getTime(), day.views]));
+        const timeline = Array.from({ length: days }, (_, index) => {
+            const date = new Date(since.getTime() + index * DAY_MS);
+            return { date, views: viewsByDay.get(date.getTime()) || 0 };
+        });
+
+        const recentViews = new Map(rollup.posts.map(post => [post._id.toString(), post.views]));
+
+        res.status(200).json({
+            success: true,
+            data: {
+                totals: {
+                    posts: totals.posts || 0,
+                    views: totals.views || 0,
+                    likes: totals.likes || 0,
+                    engagement: totals.engagement || 0
+                },
+                windows,
+                timeline,
+                posts: result.posts.map(post => ({
+                    ...post,
+                    recentViews: recentViews.get(post._id.toString()) || 0
+                })),
+                topTags: result.tags,
+                topCategories: result.categories
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getMyAnalytics
+};
\ No newline at end of file
@@ -1,9 +1,44 @@
 // server/src/controllers/authController.js - Authentication controller
 
 const User = require('../models/User');
-const { generateToken } = require('../utils/auth');
+const RefreshToken = require('../models/RefreshToken');
+const {
+    hashToken,
+    generateEmailVerificationToken,
+    verifyEmailVerificationToken,
+    issueTokens,
+    rotateRefreshToken,
+    revokeRefreshToken
+} = require('../utils/auth');
+const { sendMail } = require('../utils/mailer');
+const { escapeHtml } = require('../utils/html');
+const loginThrottle = require('../utils/loginThrottle');
+const { AppError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 
+/**
+ * Client metadata stored alongside refresh tokens
+ */
+const getClientInfo = (req) => ({
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+});
+
+/**
+ * Email a verification link to user
+ */
+const sendVerificationEmail = async (user) => {
+    const token = generateEmailVerificationToken(user);
+    const verifyUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/verify-email/${token}`;
+
+    await sendMail({
+        to: user.email,
+        subject: 'Verify your email address',
+        text: `Hi ${user.fullName},\n\nPlease confirm your email address by opening the link below.\n\n${verifyUrl}`,
+        html: `<p>Hi ${escapeHtml(user.fullName)},</p><p>Please confirm your email address by opening the link below.</p><p><a href="${escapeHtml(verifyUrl)}">Verify email</a></p>`
+    });
+};
+
 /**
  * @desc    Register user
  * @route   POST /api/auth/register
@@ -36,8 +71,15 @@ const register = async (req, res, next) => {
             lastName
         });
 
-        // Generate token
-        const token = generateToken(user);
+        // Registration succeeds even if the mail cannot be sent; the user can ask for a resend
+        try {
+            await sendVerificationEmail(user);
+        } catch (mailError) {
+            logger.error(`Failed to send verification email to ${user.email}: ${mailError.message}`);
+        }
+
+        // Generate tokens
+        const { token, refreshToken } = await issueTokens(user, getClientInfo(req));
 
         logger.info(`New user registered: ${user.email}`);
 
@@ -46,7 +88,8 @@ const register = async (req, res, next) => {
             message: 'User registered successfully',
             data: {
                 user: user.toPublicJSON(),
-                token
+                token,
+                refreshToken
             }
         });
     } catch (error) {
@@ -63,20 +106,43 @@ const login = async (req, res, next) => {
     try {
         const { identifier, password } = req.body;
 
+        // Throttle clients that keep guessing across accounts
+        const ipStatus = loginThrottle.checkIp(req.ip);
+        if (ipStatus.blocked) {
+            const error = new AppError('Too many failed login attempts, please try again later', 429);
+            error.retryAfter = ipStatus.retryAfter;
+            return next(error);
+        }
+
         // Find user by email or username
         const user = await User.findByCredentials(identifier);
 
         if (!user) {
+            loginThrottle.recordFailure(req.ip);
             return res.status(401).json({
                 success: false,
                 error: 'Invalid credentials'
             });
         }
 
+        // Locked accounts are rejected before the password is checked
+        if (user.isLocked) {
+            const error = new AppError('Account is temporarily locked due to too many failed login attempts', 423);
+            error.retryAfter = Math.ceil((user.lockUntil - Date.now()) / 1000);
+            return next(error);
+        }
+
         // Check password
         const isValidPassword = await user.comparePassword(password);
 
         if (!isValidPassword) {
+            loginThrottle.recordFailure(req.ip);
+            await user.registerFailedLogin(req.ip);
+
+            if (user.isLocked) {
+                logger.warn(`Account locked after repeated failed logins: ${user.email} (last attempt from ${req.ip})`);
+            }
+
             return res.status(401).json({
                 success: false,
                 error: 'Invalid credentials'
@@ -93,10 +159,11 @@ const login = async (req, res, next) => {
 
         // Update last login
         user.lastLogin = new Date();
+        user.resetLoginAttempts();
         await user.save();
 
-        // Generate token
-        const token = generateToken(user);
+        // Generate tokens
+        const { token, refreshToken } = await issueTokens(user, getClientInfo(req));
 
         logger.info(`User logged in: ${user.email}`);
 
@@ -105,7 +172,8 @@ const login = async (req, res, next) => {
             message: 'Login successful',
             data: {
                 user: user.toPublicJSON(),
-                token
+                token,
+                refreshToken
             }
         });
     } catch (error) {
@@ -113,6 +181,86 @@ const login = async (req, res, next) => {
     }
 };
 
+/**
+ * @desc    Rotate refresh token and issue a new access token
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+const refresh = async (req, res, next) => {
+    try {
+        const { refreshToken } = req.body;
+
+        const result = await rotateRefreshToken(refreshToken, getClientInfo(req));
+
+        if (!result) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid or expired refresh token'
+            });
+        }
+
+        if (result.reused) {
+            logger.warn(`Refresh token reuse detected for user: ${result.userId}`);
+
+            return res.status(401).json({
+                success: false,
+                error: 'Refresh token has been revoked'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Token refreshed successfully',
+            data: {
+                token: result.token,
+                refreshToken: result.refreshToken
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Logout current session
+ * @route   POST /api/auth/logout
+ * @access  Public
+ */
+const logout = async (req, res, next) => {
+    try {
+        const { refreshToken } = req.body;
+
+        await revokeRefreshToken(refreshToken);
+
+        res.status(200).json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Logout all sessions of current user
+ * @route   POST /api/auth/logout-all
+ * @access  Private
+ */
+const logoutAll = async (req, res, next) => {
+    try {
+        await RefreshToken.revokeAllForUser(req.user._id);
+
+        logger.info(`All sessions revoked for user: ${req.user.email}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Logged out from all devices'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * @desc    Get current user profile
  * @route   GET /api/auth/me
@@ -145,7 +293,8 @@ const updateProfile = async (req, res, next) => {
 
         const user = await User.findByIdAndUpdate(
             userId,
-            { firstName, lastName, bio, avatar },
+            // A pasted URL replaces any uploaded avatar
+            { firstName, lastName, bio, avatar, avatarMedia: avatar !== undefined ? null : undefined },
             { new: true, runValidators: true }
         ).select('-password');
 
@@ -201,10 +350,177 @@ const changePassword = async (req, res, next) => {
     }
 };
 
+/**
+ * @desc    Verify email address
+ * @route   GET /api/auth/verify-email/:token
+ * @access  Public
+ */
+const verifyEmail = async (req, res, next) => {
+    try {
+        let decoded;
+        try {
+            decoded = verifyEmailVerificationToken(req.params.token);
+        } catch (tokenError) {
+            return res.status(400).json({
+                success: false,
+                error: 'Verification link is invalid or has expired'
+            });
+        }
+
+        const user = await User.findById(decoded.id);
+
+        // Links sent to a previous address are no longer valid
+        if (!user || user.email !== decoded.email) {
+            return res.status(400).json({
+                success: false,
+                error: 'Verification link is invalid or has expired'
+            });
+        }
+
+        if (!user.isEmailVerified) {
+            user.isEmailVerified = true;
+            user.emailVerifiedAt = new Date();
+            await user.save({ validateBeforeSave: false });
+
+            logger.info(`Email verified for user: ${user.email}`);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Email verified successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Resend verification email
+ * @route   POST /api/auth/resend-verification
+ * @access  Private
+ */
+const resendVerification = async (req, res, next) => {
+    try {
+        if (req.user.isEmailVerified) {
+            return res.status(400).json({
+                success: false,
+                error: 'Email is already verified'
+            });
+        }
+
+        await sendVerificationEmail(req.user);
+
+        res.status(200).json({
+            success: true,
+            message: 'Verification email sent'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Send password reset email
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+const forgotPassword = async (req, res, next) => {
+    try {
+        const { email } = req.body;
+
+        const user = await User.findOne({ email });
+
+        // Same response whether or not the account exists to avoid leaking emails
+        const response = {
+            success: true,
+            message: 'If an account with that email exists, a password reset link has been sent'
+        };
+
+        if (!user || !user.isActive) {
+            return res.status(200).json(response);
+        }
+
+        const resetToken = user.createPasswordResetToken();
+        await user.save({ validateBeforeSave: false });
+
+        const resetUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/reset-password/${resetToken}`;
+
+        try {
+            await sendMail({
+                to: user.email,
+                subject: 'Reset your password',
+                text: `Hi ${user.fullName},\n\nUse the link below to choose a new password. The link is short-lived and can only be used once.\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`,
+                html: `<p>Hi ${escapeHtml(user.fullName)},</p><p>Use the link below to choose a new password. The link is short-lived and can only be used once.</p><p><a href="${escapeHtml(resetUrl)}">Reset password</a></p><p>If you did not request this, you can ignore this email.</p>`
+            });
+        } catch (mailError) {
+            user.passwordResetToken = undefined;
+            user.passwordResetExpires = undefined;
+            await user.save({ validateBeforeSave: false });
+
+            return next(mailError);
+        }
+
+        logger.info(`Password reset requested for user: ${user.email}`);
+
+        res.status(200).json(response);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Reset password with emailed token
+ * @route   POST /api/auth/reset-password/:token
+ * @access  Public
+ */
+const resetPassword = async (req, res, next) => {
+    try {
+        const { token } = req.params;
+        const { password } = req.body;
+
+        const user = await User.findOne({
+            passwordResetToken: hashToken(token),
+            passwordResetExpires: { $gt: new Date() }
+        });
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                error: 'Password reset token is invalid or has expired'
+            });
+        }
+
+        // Token is single-use
+        user.password = password;
+        user.passwordResetToken = undefined;
+        user.passwordResetExpires = undefined;
+        await user.save();
+
+        // Sign out sessions that may have been opened with the old password
+        await RefreshToken.revokeAllForUser(user._id);
+
+        logger.info(`Password reset for user: ${user.email}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Password has been reset successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 module.exports = {
     register,
     login,
+    refresh,
+    logout,
+    logoutAll,
     getProfile,
     updateProfile,
-    changePassword
+    changePassword,
+    verifyEmail,
+    resendVerification,
+    forgotPassword,
+    resetPassword
 };
\ No newline at end of file
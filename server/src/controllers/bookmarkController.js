@@ -0,0 +1,149 @@
+// server/src/controllers/bookmarkController.js - Bookmark controller
+
+const Bookmark = require('../models/Bookmark');
+const Post = require('../models/Post');
+
+/**
+ * @desc    Bookmark a post, or move an existing bookmark to another collection
+ * @route   POST /api/posts/:id/bookmark
+ * @access  Private
+ */
+const addBookmark = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { collection = null } = req.body;
+
+        const postExists = await Post.exists({ _id: id });
+        if (!postExists) {
+            return res.status(404).json({
+                success: false,
+                error: 'Post not found'
+            });
+        }
+
+        const result = await Bookmark.updateOne(
+            { user: req.user._id, post: id },
+            { $set: { collectionName: collection } },
+            { upsert: true, runValidators: true }
+        );
+
+        const bookmark = await Bookmark.findOne({ user: req.user._id, post: id });
+        const created = result.upsertedCount > 0;
+
+        res.status(created ? 201 : 200).json({
+            success: true,
+            message: created ? 'Post bookmarked' : 'Bookmark updated',
+            data: {
+                bookmark,
+                isBookmarked: true
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Remove a bookmark
+ * @route   DELETE /api/posts/:id/bookmark
+ * @access  Private
+ */
+const removeBookmark = async (req, res, next) => {
+    try {
+        const result = await Bookmark.deleteOne({ user: req.user._id, post: req.params.id });
+
+        if (!result.deletedCount) {
+            return res.status(404).json({
+                success: false,
+                error: 'Bookmark not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Bookmark removed',
+            data: { isBookmarked: false }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get the current user's bookmarks
+ * @route   GET /api/users/me/bookmarks
+ * @access  Private
+ */
+const getMyBookmarks = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 10, collection } = req.query;
+        const skip = (page - 1) * limit;
+
+        const query = { user: req.user._id };
+        if (collection !== undefined) {
+            query.collectionName = collection || null;
+        }
+
+        const bookmarks = await Bookmark.find(query)
+            .populate({
+                path: 'post',
+                select: 'title slug excerpt featuredImage tags status publishedAt readTime author category',
+                populate: [
+                    { path: 'author', select: 'username fullName avatar' },
+                    { path: 'category', select: 'name slug color' }
+                ]
+            })
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await Bookmark.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                bookmarks,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / limit),
+                    hasNext: page * limit < total,
+                    hasPrev: page > 1
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get the current user's bookmark collections with counts
+ * @route   GET /api/users/me/bookmarks/collections
+ * @access  Private
+ */
+const getMyCollections = async (req, res, next) => {
+    try {
+        const collections = await Bookmark.aggregate([
+            { $match: { user: req.user._id } },
+            { $group: { _id: '$collectionName', count: { $sum: 1 }, lastAddedAt: { $max: '$createdAt' } } },
+            { $sort: { _id: 1 } },
+            { $project: { _id: 0, name: '$_id', count: 1, lastAddedAt: 1 } }
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: { collections }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    addBookmark,
+    removeBookmark,
+    getMyBookmarks,
+    getMyCollections
+};
\ No newline at end of file
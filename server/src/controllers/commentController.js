@@ -0,0 +1,196 @@
+// server/src/controllers/commentController.js - Comment controller
+
+const Comment = require('../models/Comment');
+const Post = require('../models/Post');
+const { events, EVENTS } = require('../utils/events');
+const logger = require('../utils/logger');
+
+/**
+ * Load comment middleware
+ * Finds the comment on the current post and exposes it as req.resource
+ * so checkOwnership can verify the author
+ */
+const loadComment = async (req, res, next) => {
+    try {
+        const comment = await Comment.findOne({
+            _id: req.params.commentId,
+            post: req.params.id
+        });
+
+        if (!comment || comment.isDeleted) {
+            return res.status(404).json({
+                success: false,
+                error: 'Comment not found'
+            });
+        }
+
+        req.resource = comment;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get comments for a post
+ * @route   GET /api/posts/:id/comments
+ * @access  Public
+ */
+const getComments = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { page = 1, limit = 10 } = req.query;
+        const skip = (page - 1) * limit;
+
+        const postExists = await Post.exists({ _id: id });
+        if (!postExists) {
+            return res.status(404).json({
+                success: false,
+                error: 'Post not found'
+            });
+        }
+
+        // Paginate top-level comments, then load their whole reply trees
+        const query = { post: id, parent: null };
+
+        const rootComments = await Comment.find(query)
+            .populate('author', 'username fullName avatar')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const replies = await Comment.find({ root: { $in: rootComments.map(c => c._id) } })
+            .populate('author', 'username fullName avatar')
+            .sort({ createdAt: 1 });
+
+        const total = await Comment.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                comments: Comment.buildThreads(rootComments, replies),
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / limit),
+                    hasNext: page * limit < total,
+                    hasPrev: page > 1
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Create comment or reply
+ * @route   POST /api/posts/:id/comments
+ * @access  Private
+ */
+const createComment = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { content, parent } = req.body;
+
+        const post = await Post.findById(id);
+        if (!post || post.status !== 'published') {
+            return res.status(404).json({
+                success: false,
+                error: 'Post not found'
+            });
+        }
+
+        let parentComment = null;
+        if (parent) {
+            parentComment = await Comment.findOne({ _id: parent, post: id });
+            if (!parentComment || parentComment.isDeleted) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Parent comment not found'
+                });
+            }
+        }
+
+        const comment = await Comment.create({
+            post: id,
+            author: req.user._id,
+            content,
+            parent: parentComment ? parentComment._id : null,
+            root: parentComment ? (parentComment.root || parentComment._id) : null,
+            depth: parentComment ? parentComment.depth + 1 : 0
+        });
+
+        await comment.populate('author', 'username fullName avatar');
+
+        logger.info(`New comment on post ${id} by ${req.user.username}`);
+
+        await events.emitAsync(EVENTS.COMMENT_CREATED, { comment, post, parentComment, actor: req.user });
+
+        res.status(201).json({
+            success: true,
+            message: 'Comment created successfully',
+            data: { comment }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update comment
+ * @route   PUT /api/posts/:id/comments/:commentId
+ * @access  Private (author or admin)
+ */
+const updateComment = async (req, res, next) => {
+    try {
+        const comment = req.resource;
+
+        comment.content = req.body.content;
+        comment.editedAt = new Date();
+        await comment.save();
+
+        await comment.populate('author', 'username fullName avatar');
+
+        logger.info(`Comment updated: ${comment._id} by ${req.user.username}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Comment updated successfully',
+            data: { comment }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Soft-delete comment (replies stay attached to the thread)
+ * @route   DELETE /api/posts/:id/comments/:commentId
+ * @access  Private (author or admin)
+ */
+const deleteComment = async (req, res, next) => {
+    try {
+        const comment = req.resource;
+
+        await comment.softDelete();
+
+        logger.info(`Comment deleted: ${comment._id} by ${req.user.username}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Comment deleted successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    loadComment,
+    getComments,
+    createComment,
+    updateComment,
+    deleteComment
+};
\ No newline at end of file
@@ -0,0 +1,204 @@
+// server/src/controllers/followController.js - Follow controller
+
+const Follow = require('../models/Follow');
+const User = require('../models/User');
+const { events, EVENTS } = require('../utils/events');
+
+/**
+ * @desc    Follow a user
+ * @route   POST /api/users/:id/follow
+ * @access  Private
+ */
+const followUser = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        if (req.user._id.equals(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'You cannot follow yourself'
+            });
+        }
+
+        const target = await User.findOne({ _id: id, isActive: true });
+        if (!target) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        // Following twice is a no-op
+        const result = await Follow.updateOne(
+            { follower: req.user._id, following: id },
+            { $setOnInsert: { follower: req.user._id, following: id } },
+            { upsert: true }
+        );
+
+        if (result.upsertedCount) {
+            await events.emitAsync(EVENTS.USER_FOLLOWED, { follower: req.user, followee: target });
+        }
+
+        const followerCount = await Follow.countDocuments({ following: id });
+
+        res.status(result.upsertedCount ? 201 : 200).json({
+            success: true,
+            message: `You are now following ${target.username}`,
+            data: {
+                isFollowing: true,
+                followerCount
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Unfollow a user
+ * @route   DELETE /api/users/:id/follow
+ * @access  Private
+ */
+const unfollowUser = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const result = await Follow.deleteOne({ follower: req.user._id, following: id });
+
+        if (!result.deletedCount) {
+            return res.status(404).json({
+                success: false,
+                error: 'You are not following this user'
+            });
+        }
+
+        const followerCount = await Follow.countDocuments({ following: id });
+
+        res.status(200).json({
+            success: true,
+            message: 'User unfollowed',
+            data: {
+                isFollowing: false,
+                followerCount
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * List one side of a user's follow relationships
+ * @param {String} side - 'followers' or 'following'
+ */
+const listFollows = (side) => async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { page = 1, limit = 10 } = req.query;
+        const skip = (page - 1) * limit;
+
+        // followers of id are the follower side of edges pointing at id, and vice versa
+        const query = side === 'followers' ? { following: id } : { follower: id };
+        const userField = side === 'followers' ? 'follower' : 'following';
+
+        const follows = await Follow.find(query)
+            .populate(userField, 'username firstName lastName avatar bio')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await Follow.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                users: follows
+                    .filter(follow => follow[userField])
+                    .map(follow => ({ ...follow[userField].toJSON(), followedAt: follow.createdAt })),
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / limit),
+                    hasNext: page * limit < total,
+                    hasPrev: page > 1
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get a user's followers
+ * @route   GET /api/users/:id/followers
+ * @access  Public
+ */
+const getFollowers = listFollows('followers');
+
+/**
+ * @desc    Get the users a user follows
+ * @route   GET /api/users/:id/following
+ * @access  Public
+ */
+const getFollowing = listFollows('following');
+
+/**
+ * @desc    Follow a tag
+ * @route   POST /api/tags/:name/follow
+ * @access  Private
+ */
+const followTag = async (req, res, next) => {
+    try {
+        const { name } = req.params;
+
+        const user = await User.findByIdAndUpdate(
+            req.user._id,
+            { $addToSet: { followedTags: name } },
+            { new: true }
+        );
+
+        res.status(200).json({
+            success: true,
+            message: `You are now following #${name}`,
+            data: { followedTags: user.followedTags }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Unfollow a tag
+ * @route   DELETE /api/tags/:name/follow
+ * @access  Private
+ */
+const unfollowTag = async (req, res, next) => {
+    try {
+        const { name } = req.params;
+
+        const user = await User.findByIdAndUpdate(
+            req.user._id,
+            { $pull: { followedTags: name } },
+            { new: true }
+        );
+
+        res.status(200).json({
+            success: true,
+            message: `You are no longer following #${name}`,
+            data: { followedTags: user.followedTags }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    followUser,
+    unfollowUser,
+    getFollowers,
+    getFollowing,
+    followTag,
+    unfollowTag
+};
\ No newline at end of file
@@ -0,0 +1,310 @@
+// server/src/controllers/mediaController.js - Media library controller
+
+const crypto = require('crypto');
+const Media = require('../models/Media');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { getStorage } = require('../utils/storage');
+const {
+    IMAGE_TYPES,
+    MAX_IMAGE_PIXELS,
+    MAX_GIF_FRAMES,
+    readImageMetadata,
+    matchesMimeType,
+    isWithinLimits,
+    processImage
+} = require('../utils/images');
+const logger = require('../utils/logger');
+
+/**
+ * Validate, resize and store an uploaded image, then record it in the library
+ * Stored files are removed again if anything fails part way
+ * @returns {Object} { media }, or { status, error } if the image is rejected
+ */
+const storeImage = async (file, owner, alt) => {
+    const metadata = await readImageMetadata(file.buffer);
+    if (!matchesMimeType(metadata, file.mimetype)) {
+        return {
+            status: 400,
+            error: 'File content is not a valid image of the declared type'
+        };
+    }
+
+    // Checked from the header before anything is decoded
+    if (!isWithinLimits(metadata)) {
+        return {
+            status: 413,
+            error: `Images cannot exceed ${MAX_IMAGE_PIXELS / 1000000} megapixels or ${MAX_GIF_FRAMES} frames`
+        };
+    }
+
+    const { original, thumbnails } = await processImage(file.buffer, metadata);
+
+    const storage = getStorage();
+    const baseKey = `${owner}/${crypto.randomUUID()}`;
+    const storedKeys = [];
+
+    const save = async (key, buffer, contentType) => {
+        const stored = await storage.save(key, buffer, { contentType });
+        storedKeys.push(key);
+        return stored;
+    };
+
+    try {
+        const stored = await save(
+            `${baseKey}.${IMAGE_TYPES[file.mimetype].extension}`,
+            original.buffer,
+            file.mimetype
+        );
+
+        const storedThumbnails = await Promise.all(thumbnails.map(async (thumbnail) => {
+            const { key, url } = await save(`${baseKey}-${thumbnail.name}.webp`, thumbnail.buffer, 'image/webp');
+            return {
+                name: thumbnail.name,
+                key,
+                url,
+                width: thumbnail.width,
+                height: thumbnail.height,
+                size: thumbnail.size
+            };
+        }));
+
+        const media = await Media.create({
+            owner,
+            key: stored.key,
+            url: stored.url,
+            originalName: file.originalname,
+            mimeType: file.mimetype,
+            size: original.size,
+            width: original.width,
+            height: original.height,
+            alt,
+            thumbnails: storedThumbnails
+        });
+
+        return { media };
+    } catch (error) {
+        await Promise.allSettled(storedKeys.map(key => storage.delete(key)));
+        throw error;
+    }
+};
+
+/**
+ * @desc    Upload an image to the media library
+ * @route   POST /api/media
+ * @access  Private
+ */
+const uploadMedia = async (req, res, next) => {
+    try {
+        const { media, status, error } = await storeImage(req.file, req.user._id, req.body.alt);
+
+        if (!media) {
+            return res.status(status).json({
+                success: false,
+                error
+            });
+        }
+
+        logger.info(`Media uploaded: ${media.key} by ${req.user.username}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Image uploaded successfully',
+            data: { media }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get the current user's media library
+ * @route   GET /api/media
+ * @access  Private
+ */
+const getMyMedia = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+        const skip = (page - 1) * limit;
+
+        const query = { owner: req.user._id };
+
+        const [media, total] = await Promise.all([
+            Media.find(query)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit)),
+            Media.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                media,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / limit),
+                    hasNext: page * limit < total,
+                    hasPrev: page > 1
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get a media item with the posts using it
+ * @route   GET /api/media/:id
+ * @access  Private (owner)
+ */
+const getMedia = async (req, res, next) => {
+    try {
+        const media = await Media.findOne({ _id: req.params.id, owner: req.user._id });
+
+        if (!media) {
+            return res.status(404).json({
+                success: false,
+                error: 'Media not found'
+            });
+        }
+
+        const usedBy = await Post.find({ featuredMedia: media._id })
+            .select('title slug status');
+
+        res.status(200).json({
+            success: true,
+            data: { media, usedBy }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update media alt text
+ * @route   PUT /api/media/:id
+ * @access  Private (owner)
+ */
+const updateMedia = async (req, res, next) => {
+    try {
+        const media = await Media.findOneAndUpdate(
+            { _id: req.params.id, owner: req.user._id },
+            { alt: req.body.alt },
+            { new: true, runValidators: true }
+        );
+
+        if (!media) {
+            return res.status(404).json({
+                success: false,
+                error: 'Media not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Media updated successfully',
+            data: { media }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Delete a media item and its files
+ * @route   DELETE /api/media/:id
+ * @access  Private (owner)
+ */
+const deleteMedia = async (req, res, next) => {
+    try {
+        const media = await Media.findOne({ _id: req.params.id, owner: req.user._id });
+
+        if (!media) {
+            return res.status(404).json({
+                success: false,
+                error: 'Media not found'
+            });
+        }
+
+        // Posts would be left pointing at a missing image
+        const postCount = await Post.countDocuments({ featuredMedia: media._id });
+        if (postCount > 0) {
+            return res.status(409).json({
+                success: false,
+                error: 'Media is used as a featured image. Replace it on those posts first.',
+                data: { postCount }
+            });
+        }
+
+        await User.updateMany(
+            { avatarMedia: media._id },
+            { avatar: null, avatarMedia: null }
+        );
+        await media.deleteOne();
+
+        const storage = getStorage();
+        const results = await Promise.allSettled(media.getStorageKeys().map(key => storage.delete(key)));
+        results
+            .filter(result => result.status === 'rejected')
+            .forEach(result => logger.error(`Failed to delete media file: ${result.reason.message}`));
+
+        logger.info(`Media deleted: ${media.key} by ${req.user.username}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Media deleted successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Upload a new avatar
+ * @route   PUT /api/users/me/avatar
+ * @access  Private
+ */
+const uploadAvatar = async (req, res, next) => {
+    try {
+        const { media, status, error } = await storeImage(req.file, req.user._id, `${req.user.username}'s avatar`);
+
+        if (!media) {
+            return res.status(status).json({
+                success: false,
+                error
+            });
+        }
+
+        const user = await User.findByIdAndUpdate(
+            req.user._id,
+            { avatar: media.getThumbnailUrl('small'), avatarMedia: media._id },
+            { new: true }
+        );
+
+        logger.info(`Avatar updated: ${user.email}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Avatar updated successfully',
+            data: {
+                user: user.toPublicJSON(),
+                media
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    uploadMedia,
+    getMyMedia,
+    getMedia,
+    updateMedia,
+    deleteMedia,
+    uploadAvatar
+};
\ No newline at end of file
@@ -0,0 +1,185 @@
+// server/src/controllers/notificationController.js - Notification controller
+
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+
+const PREFERENCE_TYPES = ['like', 'comment', 'reply', 'follow', 'newPost'];
+
+/**
+ * @desc    Get the current user's notifications
+ * @route   GET /api/notifications
+ * @access  Private
+ */
+const getNotifications = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20, unread } = req.query;
+        const skip = (page - 1) * limit;
+
+        const query = { recipient: req.user._id };
+        if (unread === 'true') {
+            query.readAt = null;
+        }
+
+        const [notifications, total, unreadCount] = await Promise.all([
+            Notification.find(query)
+                .populate('actor', 'username firstName lastName avatar')
+                .populate('post', 'title slug')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit)),
+            Notification.countDocuments(query),
+            Notification.countDocuments({ recipient: req.user._id, readAt: null })
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                notifications,
+                unreadCount,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / limit),
+                    hasNext: page * limit < total,
+                    hasPrev: page > 1
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get the current user's unread notification count
+ * @route   GET /api/notifications/unread-count
+ * @access  Private
+ */
+const getUnreadCount = async (req, res, next) => {
+    try {
+        const unreadCount = await Notification.countDocuments({ recipient: req.user._id, readAt: null });
+
+        res.status(200).json({
+            success: true,
+            data: { unreadCount }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Mark a notification as read
+ * @route   PUT /api/notifications/:id/read
+ * @access  Private
+ */
+const markRead = async (req, res, next) => {
+    try {
+        const notification = await Notification.findOne({ _id: req.params.id, recipient: req.user._id });
+
+        if (!notification) {
+            return res.status(404).json({
+                success: false,
+                error: 'Notification not found'
+            });
+        }
+
+        if (!notification.readAt) {
+            notification.readAt = new Date();
+            await notification.save();
+        }
+
+        const unreadCount = await Notification.countDocuments({ recipient: req.user._id, readAt: null });
+
+        res.status(200).json({
+            success: true,
+            data: { notification, unreadCount }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Mark all notifications as read
+ * @route   PUT /api/notifications/read-all
+ * @access  Private
+ */
+const markAllRead = async (req, res, next) => {
+    try {
+        const result = await Notification.updateMany(
+            { recipient: req.user._id, readAt: null },
+            { readAt: new Date() }
+        );
+
+        res.status(200).json({
+            success: true,
+            message: 'All notifications marked as read',
+            data: {
+                updated: result.modifiedCount,
+                unreadCount: 0
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get notification preferences
+ * @route   GET /api/notifications/preferences
+ * @access  Private
+ */
+const getPreferences = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user._id).select('notificationPreferences');
+
+        res.status(200).json({
+            success: true,
+            data: { preferences: user.notificationPreferences }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update notification preferences
+ * @route   PUT /api/notifications/preferences
+ * @access  Private
+ */
+const updatePreferences = async (req, res, next) => {
+    try {
+        const updates = {};
+        PREFERENCE_TYPES.forEach(type => {
+            if (req.body[type] !== undefined) {
+                updates[`notificationPreferences.${type}`] = req.body[type];
+            }
+        });
+
+        const user = await User.findByIdAndUpdate(
+            req.user._id,
+            { $set: updates },
+            { new: true, runValidators: true }
+        ).select('notificationPreferences');
+
+        res.status(200).json({
+            success: true,
+            message: 'Notification preferences updated',
+            data: { preferences: user.notificationPreferences }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getNotifications,
+    getUnreadCount,
+    markRead,
+    markAllRead,
+    getPreferences,
+    updatePreferences,
+    PREFERENCE_TYPES
+};
\ No newline at end of file
@@ -1,9 +1,26 @@
 // server/src/controllers/postController.js - Post controller
 
+const mongoose = require('mongoose');
 const Post = require('../models/Post');
 const Category = require('../models/Category');
+const Comment = require('../models/Comment');
+const Bookmark = require('../models/Bookmark');
+const Follow = require('../models/Follow');
+const PostRevision = require('../models/PostRevision');
+const PostView = require('../models/PostView');
+const PostViewDaily = require('../models/PostViewDaily');
+const Media = require('../models/Media');
+const User = require('../models/User');
+const { decodeCursor, paginateByCursor, buildPageInfo } = require('../utils/pagination');
+const { extractTerms, containsTerms, highlight, buildSnippet } = require('../utils/highlight');
+const { buildPostMetadata } = require('../utils/seo');
+const { saveWithUniqueSlug } = require('../utils/slug');
+const { recordView } = require('../utils/viewTracker');
+const { events, EVENTS } = require('../utils/events');
 const logger = require('../utils/logger');
 
+const FEATURED_MEDIA_FIELDS = 'url alt width height thumbnails';
+
 /**
  * @desc    Get all posts
  * @route   GET /api/posts
@@ -18,7 +35,9 @@ const getAllPosts = async (req, res, next) => {
             author,
             tags,
             status = 'published',
-            search
+            search,
+            cursor,
+            includeSubcategories
         } = req.query;
 
         const skip = (page - 1) * limit;
@@ -30,7 +49,9 @@ const getAllPosts = async (req, res, next) => {
         }
 
         if (category) {
-            query.category = category;
+            query.category = includeSubcategories === 'true'
+                ? { $in: [category, ...await Category.getDescendantIds(category)] }
+                : category;
         }
 
         if (author) {
@@ -42,26 +63,260 @@ const getAllPosts = async (req, res, next) => {
             query.tags = { $in: tagArray };
         }
 
+        // Posts in deactivated categories stay out of public listings
+        const hiddenCategories = await Category.getHiddenIds();
+        if (hiddenCategories.length) {
+            query.$and = [{ category: { $nin: hiddenCategories } }];
+        }
+
         // Text search
         if (search) {
             query.$text = { $search: search };
         }
 
-        // Get posts with pagination
-        const posts = await Post.find(query)
+        if (search && cursor) {
+            return res.status(400).json({
+                success: false,
+                error: 'Cursor pagination is not supported with search'
+            });
+        }
+
+        // Published listings are ordered by publication date, everything else by creation date
+        const sortField = status === 'published' ? 'publishedAt' : 'createdAt';
+
+        const findPosts = (filter) => Post.find(filter)
             .populate('author', 'username fullName avatar')
             .populate('category', 'name slug color')
-            .sort(search ? { score: { $meta: 'textScore' } } : { createdAt: -1 })
+            .populate('commentCount');
+
+        // Cursor pagination skips the count and stays stable while posts are added
+        if (cursor) {
+            const { docs, pageInfo } = await paginateByCursor(findPosts, {
+                filter: query,
+                sortField,
+                limit: parseInt(limit),
+                cursor: decodeCursor(cursor)
+            });
+
+            return res.status(200).json({
+                success: true,
+                data: {
+                    posts: await Bookmark.flagPosts(docs, req.user),
+                    pagination: {
+                        limit: parseInt(limit),
+                        ...pageInfo
+                    }
+                }
+            });
+        }
+
+        // Get posts with pagination
+        const posts = await findPosts(query)
+            .sort(search ? { score: { $meta: 'textScore' } } : { [sortField]: -1, _id: -1 })
             .skip(skip)
             .limit(parseInt(limit));
 
         // Get total count for pagination
         const total = await Post.countDocuments(query);
 
+        const hasNext = page * limit < total;
+        const hasPrev = page > 1;
+
+        res.status(200).json({
+            success: true,
+            data: {
+                posts: await Bookmark.flagPosts(posts, req.user),
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / limit),
+                    // Cursors let clients continue from a numbered page; relevance order has none
+                    ...(search
+                        ? { hasNext, hasPrev, nextCursor: null, prevCursor: null }
+                        : buildPageInfo(posts, sortField, hasNext, hasPrev))
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Faceted search of published posts
+ * @route   GET /api/posts/search
+ * @access  Public
+ */
+const searchPosts = async (req, res, next) => {
+    try {
+        const {
+            q,
+            category,
+            author,
+            tags,
+            from,
+            to,
+            minReadTime,
+            page = 1,
+            limit = 10
+        } = req.query;
+
+        const skip = (page - 1) * limit;
+        const match = { status: 'published' };
+
+        // $text has to be part of the first $match stage
+        if (q) {
+            match.$text = { $search: q };
+        }
+
+        if (category) {
+            match.category = new mongoose.Types.ObjectId(category);
+        }
+
+        if (author) {
+            match.author = new mongoose.Types.ObjectId(author);
+        }
+
+        if (tags) {
+            const tagArray = Array.isArray(tags) ? tags : [tags];
+            match.tags = { $all: tagArray.map(tag => tag.toLowerCase()) };
+        }
+
+        if (from || to) {
+            match.publishedAt = {};
+            if (from) match.publishedAt.$gte = new Date(from);
+            if (to) match.publishedAt.$lte = new Date(to);
+        }
+
+        if (minReadTime) {
+            match.readTime = { $gte: parseInt(minReadTime) };
+        }
+
+        const hiddenCategories = await Category.getHiddenIds();
+        if (hiddenCategories.length) {
+            match.$and = [{ category: { $nin: hiddenCategories } }];
+        }
+
+        const [result] = await Post.aggregate([
+            { $match: match },
+            {
+                $facet: {
+                    posts: [
+                        { $sort: q ? { score: { $meta: 'textScore' }, publishedAt: -1 } : { publishedAt: -1, _id: -1 } },
+                        { $skip: skip },
+                        { $limit: parseInt(limit) },
+                        {
+                            $lookup: {
+                                from: User.collection.name,
+                                localField: 'author',
+                                foreignField: '_id',
+                                pipeline: [{ $project: { username: 1, firstName: 1, lastName: 1, avatar: 1 } }],
+                                as: 'author'
+                            }
+                        },
+                        {
+                            $lookup: {
+                                from: Category.collection.name,
+                                localField: 'category',
+                                foreignField: '_id',
+                                pipeline: [{ $project: { name: 1, slug: 1, color: 1 } }],
+                                as: 'category'
+                            }
+                        },
+                        {
+                            $project: {
+                                title: 1,
+                                slug: 1,
+                                excerpt: 1,
+                                content: 1,
+                                contentText: 1,
+                                tags: 1,
+                                featuredImage: 1,
+                                publishedAt: 1,
+                                readTime: 1,
+                                views: 1,
+                                likeCount: { $size: { $ifNull: ['$likes', []] } },
+                                author: { $first: '$author' },
+                                category: { $first: '$category' },
+                                score: q ? { $meta: 'textScore' } : '$$REMOVE'
+                            }
+                        }
+                    ],
+                    total: [{ $count: 'count' }],
+                    categories: [
+                        { $group: { _id: '$category', count: { $sum: 1 } } },
+                        {
+                            $lookup: {
+                                from: Category.collection.name,
+                                localField: '_id',
+                                foreignField: '_id',
+                                as: 'category'
+                            }
+                        },
+                        { $unwind: '$category' },
+                        { $project: { _id: 1, name: '$category.name', slug: '$category.slug', count: 1 } },
+                        { $sort: { count: -1, name: 1 } }
+                    ],
+                    tags: [
+                        { $unwind: '$tags' },
+                        { $group: { _id: '$tags', count: { $sum: 1 } } },
+                        { $sort: { count: -1, _id: 1 } },
+                        { $limit: 20 },
+                        { $project: { _id: 0, tag: '$_id', count: 1 } }
+                    ],
+                    authors: [
+                        { $group: { _id: '$author', count: { $sum: 1 } } },
+                        {
+                            $lookup: {
+                                from: User.collection.name,
+                                localField: '_id',
+                                foreignField: '_id',
+                                as: 'author'
+                            }
+                        },
+                        { $unwind: '$author' },
+                        { $project: { _id: 1, username: '$author.username', count: 1 } },
+                        { $sort: { count: -1, username: 1 } },
+                        { $limit: 20 }
+                    ],
+                    months: [
+                        { $match: { publishedAt: { $ne: null } } },
+                        { $group: { _id: { $dateToString: { format: '%Y-%m', date: '$publishedAt' } }, count: { $sum: 1 } } },
+                        { $sort: { _id: -1 } },
+                        { $project: { _id: 0, month: '$_id', count: 1 } }
+                    ]
+                }
+            }
+        ]);
+
+        const terms = extractTerms(q);
+        const total = result.total.length ? result.total[0].count : 0;
+
+        const posts = result.posts.map(({ content, contentText, ...post }) => {
+            // Posts saved before rendering was added have no contentText yet
+            const plainContent = contentText !== undefined ? contentText : (content || '').replace(/<[^>]*>/g, '');
+            const excerptSource = post.excerpt && containsTerms(post.excerpt, terms) ? post.excerpt : plainContent;
+
+            return {
+                ...post,
+                highlights: {
+                    title: highlight(post.title, terms),
+                    excerpt: buildSnippet(excerptSource, terms)
+                }
+            };
+        });
+
         res.status(200).json({
             success: true,
             data: {
-                posts,
+                posts: await Bookmark.flagPosts(posts, req.user),
+                facets: {
+                    categories: result.categories,
+                    tags: result.tags,
+                    authors: result.authors,
+                    months: result.months
+                },
                 pagination: {
                     page: parseInt(page),
                     limit: parseInt(limit),
@@ -77,6 +332,71 @@ const getAllPosts = async (req, res, next) => {
     }
 };
 
+/**
+ * @desc    Get published posts from followed authors and tags
+ * @route   GET /api/posts/feed
+ * @access  Private
+ */
+const getFeed = async (req, res, next) => {
+    try {
+        const { limit = 10, cursor } = req.query;
+
+        const following = await Follow.distinct('following', { follower: req.user._id });
+        const followedTags = req.user.followedTags || [];
+
+        const sources = [];
+        if (following.length) sources.push({ author: { $in: following } });
+        if (followedTags.length) sources.push({ tags: { $in: followedTags } });
+
+        // Nothing followed yet: an empty feed rather than every post
+        if (!sources.length) {
+            return res.status(200).json({
+                success: true,
+                data: {
+                    posts: [],
+                    pagination: {
+                        limit: parseInt(limit),
+                        ...buildPageInfo([], 'publishedAt', false, false)
+                    }
+                }
+            });
+        }
+
+        const query = { status: 'published', $or: sources };
+
+        const hiddenCategories = await Category.getHiddenIds();
+        if (hiddenCategories.length) {
+            query.category = { $nin: hiddenCategories };
+        }
+
+        const { docs, pageInfo } = await paginateByCursor(
+            (filter) => Post.find(filter)
+                .populate('author', 'username fullName avatar')
+                .populate('category', 'name slug color')
+                .populate('commentCount'),
+            {
+                filter: query,
+                sortField: 'publishedAt',
+                limit: parseInt(limit),
+                cursor: cursor ? decodeCursor(cursor) : null
+            }
+        );
+
+        res.status(200).json({
+            success: true,
+            data: {
+                posts: await Bookmark.flagPosts(docs, req.user),
+                pagination: {
+                    limit: parseInt(limit),
+                    ...pageInfo
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * @desc    Get single post
  * @route   GET /api/posts/:id
@@ -88,7 +408,9 @@ const getPost = async (req, res, next) => {
 
         const post = await Post.findById(id)
             .populate('author', 'username fullName avatar bio')
-            .populate('category', 'name slug color');
+            .populate('category', 'name slug color')
+            .populate('commentCount')
+            .populate('featuredMedia', FEATURED_MEDIA_FIELDS);
 
         if (!post) {
             return res.status(404).json({
@@ -97,18 +419,83 @@ const getPost = async (req, res, next) => {
             });
         }
 
-        // Increment views (don't await to avoid slowing down response)
-        Post.findByIdAndUpdate(id, { $inc: { views: 1 } }).exec();
+        await recordView(post, req);
+
+        const [flaggedPost] = await Bookmark.flagPosts([post], req.user);
 
         res.status(200).json({
             success: true,
-            data: { post }
+            data: { post: flaggedPost }
         });
     } catch (error) {
         next(error);
     }
 };
 
+/**
+ * @desc    Get single post by slug with SEO metadata, resolving renamed slugs
+ * @route   GET /api/posts/slug/:slug
+ * @access  Public
+ */
+const getPostBySlug = async (req, res, next) => {
+    try {
+        const { slug } = req.params;
+
+        // Names are needed for the author in the metadata
+        const findPost = (filter) => Post.findOne(filter)
+            .populate('author', 'username firstName lastName avatar bio')
+            .populate('category', 'name slug color')
+            .populate('commentCount')
+            .populate('featuredMedia', FEATURED_MEDIA_FIELDS);
+
+        let post = await findPost({ slug });
+        let redirect = null;
+
+        if (!post) {
+            post = await findPost({ slugHistory: slug });
+
+            // Old slug: tell the client where the post lives now
+            if (post) {
+                redirect = {
+                    from: slug,
+                    to: post.slug,
+                    url: `/api/posts/slug/${post.slug}`,
+                    permanent: true
+                };
+            }
+        }
+
+        if (!post) {
+            return res.status(404).json({
+                success: false,
+                error: 'Post not found'
+            });
+        }
+
+        await recordView(post, req);
+
+        const [flaggedPost] = await Bookmark.flagPosts([post], req.user);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                post: flaggedPost,
+                meta: buildPostMetadata(post),
+                redirect
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Look up a library image for a post's featured image
+ * Only the post author's own media can be used
+ * @returns {Object|null} Media document
+ */
+const findFeaturedMedia = (mediaId, authorId) => Media.findOne({ _id: mediaId, owner: authorId });
+
 /**
  * @desc    Create new post
  * @route   POST /api/posts
@@ -116,7 +503,9 @@ const getPost = async (req, res, next) => {
  */
 const createPost = async (req, res, next) => {
     try {
-        const { title, content, category, tags, status, excerpt, featuredImage } = req.body;
+        const {
+            title, content, contentFormat, category, tags, status, excerpt, featuredImage, featuredMedia, publishAt
+        } = req.body;
         const author = req.user._id;
 
         // Verify category exists
@@ -128,23 +517,41 @@ const createPost = async (req, res, next) => {
             });
         }
 
-        const post = await Post.create({
+        const media = featuredMedia ? await findFeaturedMedia(featuredMedia, author) : null;
+        if (featuredMedia && !media) {
+            return res.status(400).json({
+                success: false,
+                error: 'Media not found'
+            });
+        }
+
+        const post = new Post({
             title,
             content,
+            contentFormat,
             author,
             category,
             tags,
             status,
+            publishAt: status === 'scheduled' ? publishAt : undefined,
             excerpt,
-            featuredImage
+            featuredImage: media ? media.url : featuredImage,
+            featuredMedia: media ? media._id : null
         });
+        await saveWithUniqueSlug(post);
 
         // Populate the created post
         await post.populate('author', 'username fullName avatar');
         await post.populate('category', 'name slug color');
+        await post.populate('featuredMedia', FEATURED_MEDIA_FIELDS);
 
         logger.info(`New post created: ${post.title} by ${req.user.username}`);
 
+        // Follower notifications fan out in the background
+        if (post.status === 'published') {
+            events.emitAsync(EVENTS.POST_PUBLISHED, { post });
+        }
+
         res.status(201).json({
             success: true,
             message: 'Post created successfully',
@@ -163,7 +570,9 @@ const createPost = async (req, res, next) => {
 const updatePost = async (req, res, next) => {
     try {
         const { id } = req.params;
-        const { title, content, category, tags, status, excerpt, featuredImage } = req.body;
+        const {
+            title, content, contentFormat, category, tags, status, excerpt, featuredImage, featuredMedia, publishAt
+        } = req.body;
 
         // Find post
         const post = await Post.findById(id);
@@ -194,25 +603,69 @@ const updatePost = async (req, res, next) => {
             }
         }
 
-        // Update post
-        const updatedPost = await Post.findByIdAndUpdate(
-            id,
-            {
-                title,
-                content,
-                category,
-                tags,
-                status,
-                excerpt,
-                featuredImage
-            },
-            { new: true, runValidators: true }
-        )
-            .populate('author', 'username fullName avatar')
-            .populate('category', 'name slug color');
+        // The image must come from the author's library, even when an admin edits
+        const media = featuredMedia ? await findFeaturedMedia(featuredMedia, post.author) : null;
+        if (featuredMedia && !media) {
+            return res.status(400).json({
+                success: false,
+                error: 'Media not found'
+            });
+        }
+
+        // Keep the current version before it is overwritten
+        const previousVersion = post.toObject();
+
+        // Only the first publish notifies followers, not every unpublish and republish
+        const firstPublish = !post.publishedAt;
+
+        // Update post through save() so the slug, excerpt and read time hooks run
+        const updates = {
+            title,
+            content,
+            contentFormat,
+            category,
+            tags,
+            status,
+            publishAt: status === 'scheduled' ? publishAt : undefined,
+            excerpt,
+            featuredImage
+        };
+
+        // Picking library media sets the URL; a plain URL or null detaches it
+        if (media) {
+            updates.featuredMedia = media._id;
+            updates.featuredImage = media.url;
+        } else if (featuredMedia === null) {
+            updates.featuredMedia = null;
+            updates.featuredImage = featuredImage !== undefined ? featuredImage : null;
+        } else if (featuredImage !== undefined) {
+            updates.featuredMedia = null;
+        }
+
+        Object.keys(updates).forEach(key => {
+            if (updates[key] !== undefined) {
+                post[key] = updates[key];
+            }
+        });
+
+        // Only record a revision for edits that will be saved
+        await post.validate();
+        await PostRevision.snapshot(previousVersion, req.user._id);
+
+        await saveWithUniqueSlug(post);
+
+        const updatedPost = await post.populate([
+            { path: 'author', select: 'username fullName avatar' },
+            { path: 'category', select: 'name slug color' },
+            { path: 'featuredMedia', select: FEATURED_MEDIA_FIELDS }
+        ]);
 
         logger.info(`Post updated: ${updatedPost.title} by ${req.user.username}`);
 
+        if (firstPublish && updatedPost.status === 'published') {
+            events.emitAsync(EVENTS.POST_PUBLISHED, { post: updatedPost });
+        }
+
         res.status(200).json({
             success: true,
             message: 'Post updated successfully',
@@ -251,6 +704,11 @@ const deletePost = async (req, res, next) => {
         }
 
         await Post.findByIdAndDelete(id);
+        await Comment.deleteMany({ post: id });
+        await PostRevision.deleteMany({ post: id });
+        await PostView.deleteMany({ post: id });
+        await PostViewDaily.deleteMany({ post: id });
+        await Bookmark.deleteMany({ post: id });
 
         logger.info(`Post deleted: ${post.title} by ${req.user.username}`);
 
@@ -292,6 +750,11 @@ const toggleLike = async (req, res, next) => {
 
         await post.save();
 
+        if (!isLiked) {
+            await events.emitAsync(EVENTS.POST_LIKED, { post, actor: req.user });
+        }
+        await events.emitAsync(EVENTS.POST_LIKES_CHANGED, { post });
+
         res.status(200).json({
             success: true,
             message: isLiked ? 'Post unliked' : 'Post liked',
@@ -307,7 +770,10 @@ const toggleLike = async (req, res, next) => {
 
 module.exports = {
     getAllPosts,
+    searchPosts,
+    getFeed,
     getPost,
+    getPostBySlug,
     createPost,
     updatePost,
     deletePost,
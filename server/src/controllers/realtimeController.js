@@ -0,0 +1,131 @@
+// server/src/controllers/realtimeController.js - Server-Sent Events stream
+
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { verifyToken } = require('../utils/auth');
+const { getPubSub, channels } = require('../utils/pubsub');
+const logger = require('../utils/logger');
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const RETRY_MS = 5000;
+// Longest delay setTimeout accepts
+const MAX_TIMEOUT_MS = 2147483647;
+
+// Open streams, so they can be ended on shutdown
+const openStreams = new Set();
+
+const writeEvent = (res, type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * @desc    Stream likes and comments for posts plus the user's notifications
+ * @route   GET /api/realtime/stream?posts=id1,id2
+ * @access  Private
+ */
+const streamEvents = async (req, res, next) => {
+    const unsubscribers = [];
+    let heartbeat = null;
+    let expiry = null;
+    let closed = false;
+
+    const stream = { res };
+    stream.cleanup = () => {
+        if (closed) return;
+        closed = true;
+
+        openStreams.delete(stream);
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+        Promise.all(unsubscribers.map(unsubscribe => unsubscribe()))
+            .catch(error => logger.error(`Realtime unsubscribe failed: ${error.message}`));
+    };
+
+    // Registered before any await so a client leaving early is still cleaned up
+    res.on('close', stream.cleanup);
+
+    const end = (type) => {
+        if (closed) return;
+        writeEvent(res, type, {});
+        res.end();
+    };
+
+    try {
+        const requestedIds = req.query.posts || [];
+
+        // Only published posts and the user's own drafts can be watched
+        const posts = requestedIds.length
+            ? await Post.find({
+                _id: { $in: requestedIds },
+                $or: [{ status: 'published' }, { author: req.user._id }]
+            }).select('_id')
+            : [];
+
+        if (closed) return;
+
+        const postIds = posts.map(post => post._id.toString());
+        const channelNames = [
+            channels.user(req.user._id),
+            ...postIds.map(channels.post)
+        ];
+
+        res.status(200).set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        openStreams.add(stream);
+
+        const send = ({ type, data }) => writeEvent(res, type, data);
+        for (const channel of channelNames) {
+            const unsubscribe = await getPubSub().subscribe(channel, send);
+
+            // Cleanup already ran while we were subscribing
+            if (closed) {
+                await unsubscribe();
+                return;
+            }
+            unsubscribers.push(unsubscribe);
+        }
+
+        res.write(`retry: ${RETRY_MS}\n\n`);
+        writeEvent(res, 'ready', { posts: postIds });
+
+        // The token is only checked on connect, so stop streaming once it expires
+        const { exp } = verifyToken(req.authToken);
+        const expiresIn = Math.min(exp * 1000 - Date.now(), MAX_TIMEOUT_MS);
+        expiry = setTimeout(() => end('expired'), Math.max(expiresIn, 0));
+
+        // Heartbeats also notice accounts deactivated while connected
+        heartbeat = setInterval(async () => {
+            try {
+                const active = await User.exists({ _id: req.user._id, isActive: true });
+                if (!active) return end('unauthorized');
+                if (!closed) res.write(': heartbeat\n\n');
+            } catch (error) {
+                logger.error(`Realtime heartbeat failed: ${error.message}`);
+            }
+        }, HEARTBEAT_INTERVAL_MS);
+    } catch (error) {
+        stream.cleanup();
+        if (res.headersSent) return res.end();
+        next(error);
+    }
+};
+
+/**
+ * End every open stream, e.g. on shutdown
+ */
+const closeAllStreams = () => {
+    openStreams.forEach(stream => {
+        stream.cleanup();
+        stream.res.end();
+    });
+};
+
+module.exports = {
+    streamEvents,
+    closeAllStreams
+};
\ No newline at end of file
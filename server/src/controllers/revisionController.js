@@ -0,0 +1,164 @@
+// server/src/controllers/revisionController.js - Post revision history controller
+
+const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
+const { MAX_DIFF_LINES, canDiff, diffLines } = require('../utils/diff');
+const { saveWithUniqueSlug } = require('../utils/slug');
+const logger = require('../utils/logger');
+
+/**
+ * Load post middleware
+ * Exposes the post as req.resource so checkOwnership can verify the author
+ */
+const loadPost = async (req, res, next) => {
+    try {
+        const post = await Post.findById(req.params.id);
+
+        if (!post) {
+            return res.status(404).json({
+                success: false,
+                error: 'Post not found'
+            });
+        }
+
+        req.resource = post;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Resolve a revision number, or 'current' for the live post
+ */
+const findVersion = async (post, rev) => {
+    if (rev === 'current') {
+        return post;
+    }
+
+    return PostRevision.findOne({ post: post._id, revision: parseInt(rev) });
+};
+
+/**
+ * @desc    Get revision history of a post
+ * @route   GET /api/posts/:id/revisions
+ * @access  Private (author or admin)
+ */
+const getRevisions = async (req, res, next) => {
+    try {
+        const revisions = await PostRevision.find({ post: req.resource._id })
+            .select('-content')
+            .populate('editedBy', 'username fullName avatar')
+            .sort({ revision: -1 });
+
+        res.status(200).json({
+            success: true,
+            data: { revisions }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Diff two revisions of a post
+ * @route   GET /api/posts/:id/revisions/diff?from=1&to=current
+ * @access  Private (author or admin)
+ */
+const diffRevisions = async (req, res, next) => {
+    try {
+        const { from, to = 'current' } = req.query;
+        const post = req.resource;
+
+        const [fromVersion, toVersion] = await Promise.all([
+            findVersion(post, from),
+            findVersion(post, to)
+        ]);
+
+        if (!fromVersion || !toVersion) {
+            return res.status(404).json({
+                success: false,
+                error: 'Revision not found'
+            });
+        }
+
+        if (!canDiff(fromVersion.content) || !canDiff(toVersion.content)) {
+            return res.status(422).json({
+                success: false,
+                error: `Revisions longer than ${MAX_DIFF_LINES} lines cannot be compared`
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                from,
+                to,
+                title: diffLines(fromVersion.title, toVersion.title),
+                content: diffLines(fromVersion.content, toVersion.content)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Restore a post to a previous revision
+ * @route   POST /api/posts/:id/revisions/:rev/restore
+ * @access  Private (author or admin)
+ */
+const restoreRevision = async (req, res, next) => {
+    try {
+        const post = req.resource;
+
+        const revision = await PostRevision.findOne({
+            post: post._id,
+            revision: parseInt(req.params.rev)
+        });
+
+        if (!revision) {
+            return res.status(404).json({
+                success: false,
+                error: 'Revision not found'
+            });
+        }
+
+        // Keep the version being replaced so the restore can be undone
+        const previousVersion = post.toObject();
+
+        post.title = revision.title;
+        post.content = revision.content;
+        post.contentFormat = revision.contentFormat || 'html'; // Older revisions predate Markdown
+        post.excerpt = revision.excerpt;
+        post.category = revision.category;
+        post.tags = revision.tags;
+        post.featuredImage = revision.featuredImage;
+        post.featuredMedia = revision.featuredMedia || null;
+
+        await post.validate();
+        await PostRevision.snapshot(previousVersion, req.user._id);
+
+        await saveWithUniqueSlug(post);
+
+        await post.populate('author', 'username fullName avatar');
+        await post.populate('category', 'name slug color');
+
+        logger.info(`Post ${post._id} restored to revision ${revision.revision} by ${req.user.username}`);
+
+        res.status(200).json({
+            success: true,
+            message: `Post restored to revision ${revision.revision}`,
+            data: { post }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    loadPost,
+    getRevisions,
+    diffRevisions,
+    restoreRevision
+};
\ No newline at end of file
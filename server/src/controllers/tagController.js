@@ -0,0 +1,295 @@
+// server/src/controllers/tagController.js - Tag controller
+
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const Tag = require('../models/Tag');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Rewrite every post and tag follow using one of the source tags to use the target instead
+ * and fold the source registry entries into the target
+ * @param {Array} sources - Tags to replace
+ * @param {String} target - Tag to keep
+ * @returns {Number} Number of posts updated
+ */
+const mergeTagNames = async (sources, target) => {
+    sources = sources.filter(tag => tag !== target);
+    if (!sources.length) return 0;
+
+    const result = await Post.replaceTags(sources, target);
+    await User.replaceFollowedTags(sources, target);
+
+    // Keep a description from a source if the target has none yet
+    const [targetTag, sourceTags] = await Promise.all([
+        Tag.findOne({ name: target }),
+        Tag.find({ name: { $in: sources } })
+    ]);
+    const description = sourceTags.map(tag => tag.description).find(Boolean);
+
+    if (description && !(targetTag && targetTag.description)) {
+        await Tag.updateOne({ name: target }, { $set: { description } }, { upsert: true });
+    }
+
+    await Tag.deleteMany({ name: { $in: sources } });
+
+    return result.modifiedCount;
+};
+
+/**
+ * @desc    Get tags with usage counts
+ * @route   GET /api/tags
+ * @access  Public
+ */
+const getTags = async (req, res, next) => {
+    try {
+        const { q, sort = 'count', page = 1, limit = 50 } = req.query;
+        const skip = (page - 1) * limit;
+
+        const pipeline = [
+            { $match: { status: 'published' } },
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', count: { $sum: 1 }, lastUsedAt: { $max: '$publishedAt' } } }
+        ];
+
+        if (q) {
+            pipeline.push({ $match: { _id: { $regex: `^${escapeRegExp(q.toLowerCase())}` } } });
+        }
+
+        const [result] = await Post.aggregate([
+            ...pipeline,
+            {
+                $facet: {
+                    tags: [
+                        { $sort: sort === 'name' ? { _id: 1 } : { count: -1, _id: 1 } },
+                        { $skip: skip },
+                        { $limit: parseInt(limit) },
+                        {
+                            $lookup: {
+                                from: Tag.collection.name,
+                                localField: '_id',
+                                foreignField: 'name',
+                                as: 'tag'
+                            }
+                        },
+                        {
+                            $project: {
+                                _id: 0,
+                                name: '$_id',
+                                count: 1,
+                                lastUsedAt: 1,
+                                description: { $ifNull: [{ $first: '$tag.description' }, null] }
+                            }
+                        }
+                    ],
+                    total: [{ $count: 'count' }]
+                }
+            }
+        ]);
+
+        const total = result.total.length ? result.total[0].count : 0;
+
+        res.status(200).json({
+            success: true,
+            data: {
+                tags: result.tags,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / limit),
+                    hasNext: page * limit < total,
+                    hasPrev: page > 1
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Suggest tags for the post editor
+ * @route   GET /api/tags/autocomplete
+ * @access  Public
+ */
+const autocompleteTags = async (req, res, next) => {
+    try {
+        const { q, limit = 10 } = req.query;
+        const prefix = new RegExp(`^${escapeRegExp(q.toLowerCase())}`);
+
+        // Drafts count too, and registry tags are offered even before first use
+        const suggestions = await Post.aggregate([
+            { $match: { tags: prefix } },
+            { $unwind: '$tags' },
+            { $match: { tags: prefix } },
+            { $group: { _id: '$tags', count: { $sum: 1 } } },
+            {
+                $unionWith: {
+                    coll: Tag.collection.name,
+                    pipeline: [
+                        { $match: { name: prefix } },
+                        { $project: { _id: '$name', count: { $literal: 0 } } }
+                    ]
+                }
+            },
+            { $group: { _id: '$_id', count: { $sum: '$count' } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: parseInt(limit) },
+            { $project: { _id: 0, name: '$_id', count: 1 } }
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: { tags: suggestions }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get tag page with its published posts
+ * @route   GET /api/tags/:name
+ * @access  Public
+ */
+const getTag = async (req, res, next) => {
+    try {
+        const { name } = req.params;
+        const { page = 1, limit = 10 } = req.query;
+        const skip = (page - 1) * limit;
+
+        const query = { status: 'published', tags: name };
+
+        const hiddenCategories = await Category.getHiddenIds();
+        if (hiddenCategories.length) {
+            query.category = { $nin: hiddenCategories };
+        }
+
+        const [tag, total] = await Promise.all([
+            Tag.findOne({ name }),
+            Post.countDocuments(query)
+        ]);
+
+        if (!tag && total === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Tag not found'
+            });
+        }
+
+        const posts = await Post.find(query)
+            .populate('author', 'username fullName avatar')
+            .populate('category', 'name slug color')
+            .sort({ publishedAt: -1, _id: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        res.status(200).json({
+            success: true,
+            data: {
+                tag: {
+                    name,
+                    description: tag ? tag.description || null : null,
+                    count: total
+                },
+                posts,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / limit),
+                    hasNext: page * limit < total,
+                    hasPrev: page > 1
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update tag description or rename it
+ * @route   PUT /api/tags/:name
+ * @access  Private (Moderator/Admin)
+ */
+const updateTag = async (req, res, next) => {
+    try {
+        const { name } = req.params;
+        const { name: newName = name, description } = req.body;
+
+        const [exists, inUse] = await Promise.all([
+            Tag.exists({ name }),
+            Post.exists({ tags: name })
+        ]);
+
+        if (!exists && !inUse && description === undefined) {
+            return res.status(404).json({
+                success: false,
+                error: 'Tag not found'
+            });
+        }
+
+        // Renaming onto an existing tag merges the two
+        const postsUpdated = await mergeTagNames([name], newName);
+
+        if (description !== undefined) {
+            await Tag.updateOne({ name: newName }, { $set: { description } }, { upsert: true });
+        }
+
+        if (newName !== name) {
+            logger.info(`Tag renamed from "${name}" to "${newName}" by ${req.user.email} (${postsUpdated} posts)`);
+        }
+
+        const tag = await Tag.findOne({ name: newName });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                tag: {
+                    name: newName,
+                    description: tag ? tag.description || null : null
+                },
+                postsUpdated
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Merge several tags into one
+ * @route   POST /api/tags/merge
+ * @access  Private (Moderator/Admin)
+ */
+const mergeTags = async (req, res, next) => {
+    try {
+        const { sources, target } = req.body;
+
+        const postsUpdated = await mergeTagNames([...new Set(sources)], target);
+
+        logger.info(`Tags ${sources.join(', ')} merged into "${target}" by ${req.user.email} (${postsUpdated} posts)`);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                target,
+                postsUpdated
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getTags,
+    autocompleteTags,
+    getTag,
+    updateTag,
+    mergeTags
+};
\ No newline at end of file
@@ -3,13 +3,20 @@
 const { extractToken, getUserFromToken } = require('../utils/auth');
 
 /**
- * Authentication middleware
+ * Authentication middleware factory
  * Verifies JWT token and adds user to request object
+ * Options:
+ *   requireVerifiedEmail - reject accounts that have not verified their email
+ *   allowQueryToken      - also accept ?access_token= for clients that cannot
+ *                          set headers (EventSource)
  */
-const authenticate = async (req, res, next) => {
+const authenticateWith = (options = {}) => async (req, res, next) => {
     try {
         const authHeader = req.headers.authorization;
-        const token = extractToken(authHeader);
+        const queryToken = options.allowQueryToken && typeof req.query.access_token === 'string'
+            ? req.query.access_token
+            : null;
+        const token = extractToken(authHeader) || queryToken;
 
         if (!token) {
             return res.status(401).json({
@@ -34,8 +41,16 @@ const authenticate = async (req, res, next) => {
             });
         }
 
-        // Add user to request object
+        if (options.requireVerifiedEmail && !user.isEmailVerified) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: 'Email address must be verified'
+            });
+        }
+
+        // Add user and the verified token to request object
         req.user = user;
+        req.authToken = token;
         next();
     } catch (error) {
         return res.status(401).json({
@@ -45,6 +60,12 @@ const authenticate = async (req, res, next) => {
     }
 };
 
+/**
+ * Authentication middleware
+ * Verifies JWT token and adds user to request object
+ */
+const authenticate = authenticateWith();
+
 /**
  * Optional authentication middleware
  * Adds user to request if token is provided, but doesn't require it
@@ -131,6 +152,7 @@ const checkOwnership = (resourceField = 'author') => {
 
 module.exports = {
     authenticate,
+    authenticateWith,
     optionalAuth,
     authorize,
     checkOwnership
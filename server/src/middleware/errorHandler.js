@@ -108,6 +108,12 @@ const errorHandler = (err, req, res, next) => {
         errorResponse.details = err;
     }
 
+    // Tell throttled or locked clients when to retry
+    if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+        errorResponse.retryAfter = error.retryAfter;
+    }
+
     // Add field information for validation errors
     if (error.field) {
         errorResponse.field = error.field;
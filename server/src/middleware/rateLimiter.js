@@ -0,0 +1,170 @@
+// server/src/middleware/rateLimiter.js - Sliding window rate limiting middleware
+
+const { AppError } = require('./errorHandler');
+const { logger } = require('./requestLogger');
+const { extractToken, verifyToken } = require('../utils/auth');
+const rateLimitPolicies = require('../config/rateLimits');
+
+/**
+ * In-memory store
+ * Keeps a counter for the current and previous fixed window per key.
+ * Shared stores (e.g. Redis) only need to implement the same async
+ * increment(key, windowMs) and reset(key) methods.
+ */
+class MemoryStore {
+    constructor({ cleanupIntervalMs = 60000 } = {}) {
+        this.hits = new Map();
+
+        // Drop keys that have been idle for more than two windows
+        this.cleanupTimer = setInterval(() => this.cleanup(), cleanupIntervalMs);
+        this.cleanupTimer.unref();
+    }
+
+    async increment(key, windowMs) {
+        const now = Date.now();
+        const windowStart = Math.floor(now / windowMs) * windowMs;
+        let entry = this.hits.get(key);
+
+        if (!entry) {
+            entry = { windowStart, current: 0, previous: 0 };
+        } else if (entry.windowStart !== windowStart) {
+            entry.previous = entry.windowStart === windowStart - windowMs ? entry.current : 0;
+            entry.current = 0;
+            entry.windowStart = windowStart;
+        }
+
+        entry.current += 1;
+        entry.expiresAt = windowStart + 2 * windowMs;
+        this.hits.set(key, entry);
+
+        return {
+            current: entry.current,
+            previous: entry.previous,
+            windowStart
+        };
+    }
+
+    async reset(key) {
+        this.hits.delete(key);
+    }
+
+    cleanup() {
+        const now = Date.now();
+        this.hits.forEach((entry, key) => {
+            if (entry.expiresAt <= now) {
+                this.hits.delete(key);
+            }
+        });
+    }
+}
+
+/**
+ * Default client key: authenticated user id, otherwise IP address
+ * Global limiters run before authentication, so a valid bearer token
+ * is decoded here; checking the signature is enough to pick a bucket
+ */
+const defaultKeyGenerator = (req) => {
+    if (req.user) {
+        return `user:${req.user._id}`;
+    }
+
+    const token = extractToken(req.headers && req.headers.authorization);
+    if (token) {
+        try {
+            return `user:${verifyToken(token).id}`;
+        } catch (error) {
+            // Invalid or expired tokens are limited by IP
+        }
+    }
+
+    return `ip:${req.ip}`;
+};
+
+const defaultStore = new MemoryStore();
+
+/**
+ * Rate limiter middleware factory
+ * Weighs the previous window by how much of it still overlaps the
+ * sliding window, which smooths bursts at window boundaries.
+ * @param {Object} options - { name, windowMs, max, keyGenerator, store }
+ * @returns {Function} Express middleware
+ */
+const createRateLimiter = (options = {}) => {
+    const {
+        name = 'default',
+        windowMs = 60000,
+        max = 100,
+        keyGenerator = defaultKeyGenerator,
+        store = defaultStore
+    } = options;
+
+    return async (req, res, next) => {
+        if (process.env.RATE_LIMIT_ENABLED === 'false') {
+            return next();
+        }
+
+        try {
+            const key = `${name}:${keyGenerator(req)}`;
+            const { current, previous, windowStart } = await store.increment(key, windowMs);
+
+            const now = Date.now();
+            const overlap = (windowMs - (now - windowStart)) / windowMs;
+            const count = previous * overlap + current;
+            const resetSeconds = Math.ceil((windowStart + windowMs - now) / 1000);
+
+            res.set({
+                'RateLimit-Limit': String(max),
+                'RateLimit-Remaining': String(Math.max(0, Math.floor(max - count))),
+                'RateLimit-Reset': String(resetSeconds),
+                'RateLimit-Policy': `${max};w=${Math.ceil(windowMs / 1000)}`
+            });
+
+            if (count > max) {
+                logger.warn('Rate limit exceeded', {
+                    requestId: req.requestId,
+                    policy: name,
+                    key,
+                    method: req.method,
+                    url: req.originalUrl
+                });
+
+                const error = new AppError('Too many requests, please try again later', 429);
+                error.retryAfter = resetSeconds;
+                return next(error);
+            }
+
+            next();
+        } catch (error) {
+            // A failing store should not take the API down with it
+            logger.error('Rate limiter store error', { policy: name, error: error.message });
+            next();
+        }
+    };
+};
+
+const limiters = {};
+
+/**
+ * Get the rate limiter for a named policy from config/rateLimits
+ * @param {String} policyName - Policy name
+ * @returns {Function} Express middleware
+ */
+const rateLimit = (policyName) => {
+    const policy = rateLimitPolicies[policyName];
+
+    if (!policy) {
+        throw new Error(`Unknown rate limit policy: ${policyName}`);
+    }
+
+    if (!limiters[policyName]) {
+        limiters[policyName] = createRateLimiter({ name: policyName, ...policy });
+    }
+
+    return limiters[policyName];
+};
+
+module.exports = {
+    MemoryStore,
+    createRateLimiter,
+    rateLimit
+};
\ No newline at end of file
@@ -0,0 +1,60 @@
+// server/src/middleware/upload.js - Multipart image upload middleware
+
+const multer = require('multer');
+const { AppError } = require('./errorHandler');
+const { IMAGE_TYPES } = require('../utils/images');
+
+const MAX_UPLOAD_MB = parseFloat(process.env.MAX_UPLOAD_MB) || 5;
+
+// Files stay in memory so they can be inspected and resized before storage
+const imageUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: Math.round(MAX_UPLOAD_MB * 1024 * 1024),
+        files: 1
+    },
+    fileFilter: (req, file, callback) => {
+        if (!IMAGE_TYPES[file.mimetype]) {
+            return callback(new AppError(
+                `Unsupported file type. Allowed types: ${Object.keys(IMAGE_TYPES).join(', ')}`,
+                415
+            ));
+        }
+        callback(null, true);
+    }
+});
+
+/**
+ * Accept a single image in the given multipart field
+ * Multer errors are turned into client errors; a missing file is rejected
+ * @param {String} field - Form field name
+ */
+const uploadImage = (field = 'file') => {
+    const handler = imageUpload.single(field);
+
+    return (req, res, next) => {
+        handler(req, res, (error) => {
+            if (error instanceof multer.MulterError) {
+                const message = error.code === 'LIMIT_FILE_SIZE'
+                    ? `File size cannot exceed ${MAX_UPLOAD_MB} MB`
+                    : error.code === 'LIMIT_UNEXPECTED_FILE'
+                        ? `Upload a single file in the "${field}" field`
+                        : error.message;
+                return next(new AppError(message, error.code === 'LIMIT_FILE_SIZE' ? 413 : 400));
+            }
+
+            if (error) return next(error);
+
+            if (!req.file) {
+                return next(new AppError(`An image is required in the "${field}" field`, 400));
+            }
+
+            next();
+        });
+    };
+};
+
+module.exports = {
+    MAX_UPLOAD_MB,
+    uploadImage
+};
\ No newline at end of file
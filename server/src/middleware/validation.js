@@ -2,6 +2,7 @@
 
 const { body, param, query, validationResult } = require('express-validator');
 const mongoose = require('mongoose');
+const { decodeCursor } = require('../utils/pagination');
 
 /**
  * Handle validation errors
@@ -69,6 +70,38 @@ const validateUserLogin = [
     handleValidationErrors
 ];
 
+const validateRefreshToken = [
+    body('refreshToken')
+        .isString()
+        .notEmpty()
+        .withMessage('Refresh token is required'),
+
+    handleValidationErrors
+];
+
+const validateForgotPassword = [
+    body('email')
+        .trim()
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please enter a valid email'),
+
+    handleValidationErrors
+];
+
+const validateResetPassword = [
+    param('token')
+        .isHexadecimal()
+        .isLength({ min: 64, max: 64 })
+        .withMessage('Invalid password reset token'),
+
+    body('password')
+        .isLength({ min: 6 })
+        .withMessage('Password must be at least 6 characters long'),
+
+    handleValidationErrors
+];
+
 /**
  * Post validation rules
  */
@@ -80,8 +113,13 @@ const validatePost = [
 
     body('content')
         .trim()
-        .isLength({ min: 10 })
-        .withMessage('Content must be at least 10 characters long'),
+        .isLength({ min: 10, max: 100000 })
+        .withMessage('Content must be between 10 and 100000 characters long'),
+
+    body('contentFormat')
+        .optional()
+        .isIn(['markdown', 'html'])
+        .withMessage('Content format must be markdown or html'),
 
     body('category')
         .custom((value) => {
@@ -102,10 +140,102 @@ const validatePost = [
         .isLength({ min: 1, max: 30 })
         .withMessage('Each tag must be between 1 and 30 characters'),
 
+    body('featuredMedia')
+        .optional({ nullable: true })
+        .custom((value) => {
+            if (!mongoose.Types.ObjectId.isValid(value)) {
+                throw new Error('Invalid media ID');
+            }
+            return true;
+        }),
+
     body('status')
         .optional()
-        .isIn(['draft', 'published', 'archived'])
-        .withMessage('Status must be draft, published, or archived'),
+        .isIn(['draft', 'scheduled', 'published', 'archived'])
+        .withMessage('Status must be draft, scheduled, published, or archived'),
+
+    body('publishAt')
+        .if(body('status').equals('scheduled'))
+        .notEmpty()
+        .withMessage('Publish date is required for scheduled posts')
+        .bail()
+        .isISO8601()
+        .withMessage('Publish date must be a valid date')
+        .bail()
+        .custom((value) => {
+            if (new Date(value) <= new Date()) {
+                throw new Error('Publish date must be in the future');
+            }
+            return true;
+        }),
+
+    handleValidationErrors
+];
+
+/**
+ * Post search validation rules
+ */
+const validateSearch = [
+    query('q')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Search query cannot exceed 200 characters'),
+
+    query(['category', 'author'])
+        .optional()
+        .custom((value) => {
+            if (!mongoose.Types.ObjectId.isValid(value)) {
+                throw new Error('Invalid ID');
+            }
+            return true;
+        }),
+
+    query(['from', 'to'])
+        .optional()
+        .isISO8601()
+        .withMessage('Dates must be valid ISO 8601 dates'),
+
+    query('minReadTime')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Minimum read time must be a non-negative integer'),
+
+    // A single tag or a repeated ?tags=a&tags=b list, never a nested object
+    query('tags')
+        .optional()
+        .custom((value) => {
+            const tags = Array.isArray(value) ? value : [value];
+            const valid = tags.length > 0 && tags.every(tag =>
+                typeof tag === 'string' && tag.trim().length >= 1 && tag.trim().length <= 30
+            );
+            if (!valid) {
+                throw new Error('Tags must be strings between 1 and 30 characters');
+            }
+            return true;
+        }),
+
+    handleValidationErrors
+];
+
+/**
+ * Comment validation rules
+ */
+const validateComment = [
+    body('content')
+        .trim()
+        .isLength({ min: 1, max: 2000 })
+        .withMessage('Comment must be between 1 and 2000 characters'),
+
+    body('parent')
+        .optional({ nullable: true })
+        .custom((value) => {
+            if (!mongoose.Types.ObjectId.isValid(value)) {
+                throw new Error('Invalid parent comment ID');
+            }
+            return true;
+        }),
 
     handleValidationErrors
 ];
@@ -130,6 +260,211 @@ const validateCategory = [
         .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/)
         .withMessage('Color must be a valid hex color'),
 
+    body('parent')
+        .optional({ nullable: true })
+        .custom((value) => {
+            if (!mongoose.Types.ObjectId.isValid(value)) {
+                throw new Error('Invalid parent category ID');
+            }
+            return true;
+        }),
+
+    handleValidationErrors
+];
+
+const validateCategoryDelete = [
+    query('reassignTo')
+        .optional()
+        .custom((value) => {
+            if (!mongoose.Types.ObjectId.isValid(value)) {
+                throw new Error('Invalid target category ID');
+            }
+            return true;
+        }),
+
+    handleValidationErrors
+];
+
+const validateCategoryStats = [
+    query('interval')
+        .optional()
+        .isIn(['day', 'week', 'month'])
+        .withMessage('Interval must be day, week, or month'),
+
+    query(['from', 'to'])
+        .optional()
+        .isISO8601()
+        .withMessage('Dates must be valid ISO 8601 dates'),
+
+    handleValidationErrors
+];
+
+/**
+ * Tag validation rules
+ */
+const tagRule = (field) => field
+    .isString()
+    .withMessage('Tag must be a string')
+    .bail()
+    .trim()
+    .toLowerCase()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Tag must be between 1 and 30 characters');
+
+const validateTagName = [
+    tagRule(param('name')),
+
+    handleValidationErrors
+];
+
+const validateTagUpdate = [
+    tagRule(body('name').optional()),
+
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 300 })
+        .withMessage('Description cannot exceed 300 characters'),
+
+    handleValidationErrors
+];
+
+const validateTagMerge = [
+    body('sources')
+        .isArray({ min: 1, max: 50 })
+        .withMessage('Sources must be an array of 1 to 50 tags'),
+
+    tagRule(body('sources.*')),
+
+    tagRule(body('target')),
+
+    handleValidationErrors
+];
+
+const validateTagList = [
+    query('q')
+        .optional()
+        .isString()
+        .withMessage('Search query must be a string'),
+
+    handleValidationErrors
+];
+
+const validateTagAutocomplete = [
+    tagRule(query('q')),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 25 })
+        .withMessage('Limit must be between 1 and 25'),
+
+    handleValidationErrors
+];
+
+/**
+ * Bookmark validation rules
+ */
+const validateBookmark = [
+    body('collection')
+        .optional({ nullable: true })
+        .isString()
+        .withMessage('Collection must be a string')
+        .bail()
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Collection name must be between 1 and 50 characters'),
+
+    handleValidationErrors
+];
+
+/**
+ * Media validation rules
+ */
+const validateMedia = [
+    body('alt')
+        .optional()
+        .isString()
+        .withMessage('Alt text must be a string')
+        .bail()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Alt text cannot exceed 200 characters'),
+
+    handleValidationErrors
+];
+
+/**
+ * Notification preference validation rules
+ */
+const validateNotificationPreferences = [
+    body(['like', 'comment', 'reply', 'follow', 'newPost'])
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage('Preferences must be true or false'),
+
+    handleValidationErrors
+];
+
+/**
+ * Real-time stream validation
+ * Turns ?posts=id1,id2 into a deduplicated array of IDs
+ */
+const validateRealtimeStream = [
+    query('posts')
+        .optional()
+        .isString()
+        .withMessage('Posts must be a comma-separated list of IDs')
+        .bail()
+        .customSanitizer(value => [...new Set(value.split(',').map(id => id.trim()).filter(Boolean))])
+        .custom((ids) => {
+            if (ids.length > 20) {
+                throw new Error('Cannot subscribe to more than 20 posts');
+            }
+            if (!ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+                throw new Error('Invalid post ID');
+            }
+            return true;
+        }),
+
+    handleValidationErrors
+];
+
+/**
+ * Analytics validation
+ */
+const validateAnalytics = [
+    query('days')
+        .optional()
+        .isIn(['7', '30', '90'])
+        .withMessage('Days must be 7, 30, or 90'),
+
+    handleValidationErrors
+];
+
+const validateAdminStats = [
+    query('days')
+        .optional()
+        .isInt({ min: 1, max: 365 })
+        .withMessage('Days must be between 1 and 365'),
+
+    query('refresh')
+        .optional()
+        .isBoolean()
+        .withMessage('Refresh must be true or false'),
+
+    handleValidationErrors
+];
+
+/**
+ * Slug validation
+ */
+const validateSlug = [
+    param('slug')
+        .trim()
+        .toLowerCase()
+        .matches(/^[a-z0-9]+(-[a-z0-9]+)*$/)
+        .withMessage('Invalid slug'),
+
     handleValidationErrors
 ];
 
@@ -162,6 +497,15 @@ const validatePagination = [
         .isInt({ min: 1, max: 100 })
         .withMessage('Limit must be between 1 and 100'),
 
+    query('cursor')
+        .optional()
+        .custom((value) => {
+            if (typeof value !== 'string' || !decodeCursor(value)) {
+                throw new Error('Invalid cursor');
+            }
+            return true;
+        }),
+
     handleValidationErrors
 ];
 
@@ -169,8 +513,27 @@ module.exports = {
     handleValidationErrors,
     validateUserRegistration,
     validateUserLogin,
+    validateRefreshToken,
+    validateForgotPassword,
+    validateResetPassword,
     validatePost,
+    validateSearch,
+    validateComment,
     validateCategory,
+    validateCategoryDelete,
+    validateCategoryStats,
+    validateTagName,
+    validateTagUpdate,
+    validateTagMerge,
+    validateTagList,
+    validateTagAutocomplete,
+    validateBookmark,
+    validateMedia,
+    validateNotificationPreferences,
+    validateRealtimeStream,
+    validateAnalytics,
+    validateAdminStats,
+    validateSlug,
     validateObjectId,
     validatePagination
 };
\ No newline at end of file
@@ -0,0 +1,48 @@
+// server/src/models/Bookmark.js - Saved posts (reading list)
+
+const mongoose = require('mongoose');
+
+const bookmarkSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required']
+    },
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+        required: [true, 'Post is required']
+    },
+    collectionName: {
+        type: String, // Optional named collection, e.g. "Read later"
+        trim: true,
+        maxlength: [50, 'Collection name cannot exceed 50 characters'],
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for performance
+bookmarkSchema.index({ user: 1, post: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, createdAt: -1 });
+bookmarkSchema.index({ user: 1, collectionName: 1 });
+
+// Static methods
+bookmarkSchema.statics.flagPosts = async function(posts, user) {
+    // Anonymous requests get the posts unchanged
+    if (!user) return posts;
+
+    const bookmarked = await this.distinct('post', {
+        user: user._id,
+        post: { $in: posts.map(post => post._id) }
+    });
+    const bookmarkedIds = new Set(bookmarked.map(id => id.toString()));
+
+    return posts.map(post => ({
+        ...(typeof post.toJSON === 'function' ? post.toJSON() : post),
+        isBookmarked: bookmarkedIds.has(post._id.toString())
+    }));
+};
+
+module.exports = mongoose.model('Bookmark', bookmarkSchema);
\ No newline at end of file
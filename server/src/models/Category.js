@@ -1,6 +1,7 @@
 // server/src/models/Category.js - Category model for posts
 
 const mongoose = require('mongoose');
+const { assignSlug } = require('../utils/slug');
 
 const categorySchema = new mongoose.Schema({
     name: {
@@ -16,6 +17,10 @@ const categorySchema = new mongoose.Schema({
         lowercase: true,
         trim: true
     },
+    slugHistory: [{
+        type: String,
+        lowercase: true
+    }],
     description: {
         type: String,
         maxlength: [200, 'Description cannot exceed 200 characters']
@@ -29,6 +34,11 @@ const categorySchema = new mongoose.Schema({
         type: String, // Icon name or URL
         default: 'folder'
     },
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        default: null
+    },
     isActive: {
         type: Boolean,
         default: true
@@ -37,23 +47,130 @@ const categorySchema = new mongoose.Schema({
     timestamps: true
 });
 
+categorySchema.index({ parent: 1 });
+categorySchema.index({ slugHistory: 1 });
+
+// Reject missing parents and moves that would create a cycle
+categorySchema.pre('validate', async function() {
+    if (!this.isModified('parent') || !this.parent) return;
+
+    if (this.parent.equals(this._id)) {
+        this.invalidate('parent', 'A category cannot be its own parent');
+        return;
+    }
+
+    const parentExists = await this.constructor.exists({ _id: this.parent });
+    if (!parentExists) {
+        this.invalidate('parent', 'Parent category not found');
+        return;
+    }
+
+    const ancestors = await this.constructor.getAncestors(this.parent);
+    if (ancestors.some(ancestor => ancestor._id.equals(this._id))) {
+        this.invalidate('parent', 'A category cannot be moved under one of its descendants');
+    }
+});
+
 // Pre-save middleware to generate slug
-categorySchema.pre('save', function(next) {
+categorySchema.pre('save', async function() {
     if (this.isModified('name') || this.isNew) {
-        this.slug = this.name
-            .toLowerCase()
-            .replace(/[^a-z0-9]+/g, '-')
-            .replace(/^-|-$/g, '');
+        await assignSlug(this, this.name, 'category');
     }
-    next();
 });
 
-// Virtual for post count (to be populated when needed)
+// Virtual for published post count (to be populated when needed)
 categorySchema.virtual('postCount', {
     ref: 'Post',
     localField: '_id',
     foreignField: 'category',
-    count: true
+    count: true,
+    match: { status: 'published' }
 });
 
+// Static methods
+categorySchema.statics.getAncestors = async function(categoryId) {
+    if (!mongoose.Types.ObjectId.isValid(categoryId)) return [];
+
+    const [result] = await this.aggregate([
+        { $match: { _id: new mongoose.Types.ObjectId(categoryId) } },
+        {
+            $graphLookup: {
+                from: this.collection.name,
+                startWith: '$parent',
+                connectFromField: 'parent',
+                connectToField: '_id',
+                as: 'ancestors',
+                depthField: 'depth'
+            }
+        }
+    ]);
+
+    if (!result) return [];
+
+    // Root first
+    return result.ancestors.sort((a, b) => b.depth - a.depth);
+};
+
+categorySchema.statics.getDescendantIds = async function(categoryId) {
+    if (!mongoose.Types.ObjectId.isValid(categoryId)) return [];
+
+    const [result] = await this.aggregate([
+        { $match: { _id: new mongoose.Types.ObjectId(categoryId) } },
+        {
+            $graphLookup: {
+                from: this.collection.name,
+                startWith: '$_id',
+                connectFromField: '_id',
+                connectToField: 'parent',
+                as: 'descendants'
+            }
+        }
+    ]);
+
+    return result ? result.descendants.map(descendant => descendant._id) : [];
+};
+
+categorySchema.statics.getHiddenIds = async function() {
+    // Deactivating a category hides its whole subtree
+    const results = await this.aggregate([
+        { $match: { isActive: false } },
+        {
+            $graphLookup: {
+                from: this.collection.name,
+                startWith: '$_id',
+                connectFromField: '_id',
+                connectToField: 'parent',
+                as: 'descendants'
+            }
+        },
+        { $project: { ids: { $concatArrays: [['$_id'], '$descendants._id'] } } }
+    ]);
+
+    return results.flatMap(result => result.ids);
+};
+
+categorySchema.statics.buildTree = function(categories) {
+    const nodes = new Map();
+
+    categories.forEach(category => {
+        nodes.set(category._id.toString(), { ...category.toJSON(), children: [] });
+    });
+
+    const roots = [];
+
+    // Categories whose parent is not in the list (e.g. inactive) become roots
+    categories.forEach(category => {
+        const node = nodes.get(category._id.toString());
+        const parent = category.parent && nodes.get(category.parent.toString());
+
+        if (parent) {
+            parent.children.push(node);
+        } else {
+            roots.push(node);
+        }
+    });
+
+    return roots;
+};
+
 module.exports = mongoose.model('Category', categorySchema);
\ No newline at end of file
@@ -0,0 +1,92 @@
+// server/src/models/Comment.js - Comment model with threaded replies
+
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema({
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+        required: [true, 'Post is required']
+    },
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Author is required']
+    },
+    content: {
+        type: String,
+        required: [true, 'Content is required'],
+        trim: true,
+        maxlength: [2000, 'Comment cannot exceed 2000 characters']
+    },
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Comment',
+        default: null
+    },
+    root: {
+        type: mongoose.Schema.Types.ObjectId, // Top-level comment of the thread
+        ref: 'Comment',
+        default: null
+    },
+    depth: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    editedAt: {
+        type: Date
+    },
+    isDeleted: {
+        type: Boolean,
+        default: false
+    },
+    deletedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        virtuals: true,
+        transform: (doc, ret) => {
+            // Keep deleted comments in the thread but hide what they said
+            if (ret.isDeleted) {
+                ret.content = null;
+                ret.author = null;
+            }
+            return ret;
+        }
+    },
+    toObject: { virtuals: true }
+});
+
+// Indexes for performance
+commentSchema.index({ post: 1, parent: 1, createdAt: -1 });
+commentSchema.index({ root: 1, createdAt: 1 });
+
+// Static methods
+commentSchema.statics.buildThreads = function(rootComments, replies) {
+    const nodes = new Map();
+
+    [...rootComments, ...replies].forEach(comment => {
+        nodes.set(comment._id.toString(), { ...comment.toJSON(), replies: [] });
+    });
+
+    replies.forEach(reply => {
+        const parent = nodes.get(reply.parent.toString());
+        if (parent) {
+            parent.replies.push(nodes.get(reply._id.toString()));
+        }
+    });
+
+    return rootComments.map(comment => nodes.get(comment._id.toString()));
+};
+
+// Instance methods
+commentSchema.methods.softDelete = function() {
+    this.isDeleted = true;
+    this.deletedAt = new Date();
+    return this.save();
+};
+
+module.exports = mongoose.model('Comment', commentSchema);
\ No newline at end of file
@@ -0,0 +1,24 @@
+// server/src/models/Follow.js - Follow relationships between users
+
+const mongoose = require('mongoose');
+
+const followSchema = new mongoose.Schema({
+    follower: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Follower is required']
+    },
+    following: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Followed user is required']
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for performance
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+followSchema.index({ following: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Follow', followSchema);
\ No newline at end of file
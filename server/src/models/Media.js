@@ -0,0 +1,80 @@
+// server/src/models/Media.js - Uploaded images in a user's media library
+
+const mongoose = require('mongoose');
+
+const thumbnailSchema = new mongoose.Schema({
+    name: {
+        type: String, // Size name, e.g. small or medium
+        required: true
+    },
+    key: {
+        type: String,
+        required: true
+    },
+    url: {
+        type: String,
+        required: true
+    },
+    width: Number,
+    height: Number,
+    size: Number
+}, {
+    _id: false
+});
+
+const mediaSchema = new mongoose.Schema({
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Owner is required']
+    },
+    key: {
+        type: String, // Storage key of the original file
+        required: true,
+        unique: true
+    },
+    url: {
+        type: String,
+        required: true
+    },
+    originalName: {
+        type: String,
+        trim: true,
+        maxlength: [255, 'File name cannot exceed 255 characters']
+    },
+    mimeType: {
+        type: String,
+        required: true
+    },
+    size: {
+        type: Number, // Bytes
+        required: true
+    },
+    width: Number,
+    height: Number,
+    alt: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Alt text cannot exceed 200 characters'],
+        default: ''
+    },
+    thumbnails: [thumbnailSchema]
+}, {
+    timestamps: true
+});
+
+// Indexes for performance
+mediaSchema.index({ owner: 1, createdAt: -1 });
+
+// Instance methods
+mediaSchema.methods.getThumbnailUrl = function(name) {
+    const thumbnail = this.thumbnails.find(item => item.name === name);
+    return thumbnail ? thumbnail.url : this.url;
+};
+
+// Storage keys of the original and every thumbnail
+mediaSchema.methods.getStorageKeys = function() {
+    return [this.key, ...this.thumbnails.map(thumbnail => thumbnail.key)];
+};
+
+module.exports = mongoose.model('Media', mediaSchema);
\ No newline at end of file
@@ -0,0 +1,50 @@
+// server/src/models/Notification.js - In-app notifications
+
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+    recipient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Recipient is required']
+    },
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Actor is required']
+    },
+    type: {
+        type: String,
+        enum: ['like', 'comment', 'reply', 'follow', 'newPost'],
+        required: [true, 'Notification type is required']
+    },
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+        default: null
+    },
+    comment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Comment',
+        default: null
+    },
+    readAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes for performance
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+
+// Virtual for read state
+notificationSchema.virtual('isRead').get(function() {
+    return Boolean(this.readAt);
+});
+
+module.exports = mongoose.model('Notification', notificationSchema);
\ No newline at end of file
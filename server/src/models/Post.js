@@ -1,6 +1,13 @@
 // server/src/models/Post.js - Post model with relationships
 
 const mongoose = require('mongoose');
+const { assignSlug } = require('../utils/slug');
+const {
+    CONTENT_FORMATS,
+    renderContent,
+    buildExcerpt,
+    calculateReadTime
+} = require('../utils/markdown');
 
 const postSchema = new mongoose.Schema({
     title: {
@@ -12,7 +19,22 @@ const postSchema = new mongoose.Schema({
     content: {
         type: String,
         required: [true, 'Content is required'],
-        minlength: [10, 'Content must be at least 10 characters long']
+        minlength: [10, 'Content must be at least 10 characters long'],
+        maxlength: [100000, 'Content cannot exceed 100000 characters']
+    },
+    contentFormat: {
+        type: String,
+        enum: CONTENT_FORMATS,
+        // Posts stored before formats existed hold HTML; only new posts default to Markdown
+        default: function() {
+            return this.isNew ? 'markdown' : 'html';
+        }
+    },
+    contentHtml: {
+        type: String // Sanitized HTML rendered from content
+    },
+    contentText: {
+        type: String // Plain text of contentHtml, used for excerpts and read time
     },
     author: {
         type: mongoose.Schema.Types.ObjectId,
@@ -29,6 +51,10 @@ const postSchema = new mongoose.Schema({
         unique: true,
         lowercase: true
     },
+    slugHistory: [{
+        type: String, // Previous slugs, resolved to the current one
+        lowercase: true
+    }],
     tags: [{
         type: String,
         trim: true,
@@ -36,9 +62,16 @@ const postSchema = new mongoose.Schema({
     }],
     status: {
         type: String,
-        enum: ['draft', 'published', 'archived'],
+        enum: ['draft', 'scheduled', 'published', 'archived'],
         default: 'draft'
     },
+    publishAt: {
+        type: Date, // When a scheduled post goes live
+        required: [
+            function() { return this.status === 'scheduled'; },
+            'Publish date is required for scheduled posts'
+        ]
+    },
     excerpt: {
         type: String,
         maxlength: [300, 'Excerpt cannot exceed 300 characters']
@@ -47,6 +80,11 @@ const postSchema = new mongoose.Schema({
         type: String, // URL to image
         default: null
     },
+    featuredMedia: {
+        type: mongoose.Schema.Types.ObjectId, // Library image; featuredImage holds its URL
+        ref: 'Media',
+        default: null
+    },
     views: {
         type: Number,
         default: 0,
@@ -73,6 +111,8 @@ const postSchema = new mongoose.Schema({
 postSchema.index({ author: 1, createdAt: -1 });
 postSchema.index({ category: 1, status: 1 });
 postSchema.index({ status: 1, publishedAt: -1 });
+postSchema.index({ status: 1, publishAt: 1 });
+postSchema.index({ slugHistory: 1 });
 postSchema.index({ tags: 1 });
 postSchema.index({ title: 'text', content: 'text' }); // Text search
 
@@ -81,35 +121,43 @@ postSchema.virtual('likeCount').get(function() {
     return this.likes ? this.likes.length : 0;
 });
 
+// Virtual for comment count (to be populated when needed)
+postSchema.virtual('commentCount', {
+    ref: 'Comment',
+    localField: '_id',
+    foreignField: 'post',
+    count: true,
+    match: { isDeleted: false }
+});
+
 // Pre-save middleware
-postSchema.pre('save', function(next) {
+postSchema.pre('save', async function() {
     // Generate slug if not provided or title changed
     if (!this.slug || this.isModified('title')) {
-        this.slug = this.title
-            .toLowerCase()
-            .replace(/[^a-z0-9]+/g, '-')
-            .replace(/^-|-$/g, '');
+        await assignSlug(this, this.title, 'post');
+    }
+
+    // Render content to sanitized HTML and plain text
+    if (this.isModified('content') || this.isModified('contentFormat') || this.contentHtml === undefined) {
+        const { html, text } = renderContent(this.content, this.contentFormat);
+        this.contentHtml = html;
+        this.contentText = text;
     }
 
     // Generate excerpt if not provided
-    if (!this.excerpt && this.content) {
-        this.excerpt = this.content
-            .replace(/<[^>]*>/g, '') // Remove HTML tags
-            .substring(0, 150) + '...';
+    if (!this.excerpt && this.contentText) {
+        this.excerpt = buildExcerpt(this.contentText);
     }
 
     // Calculate reading time (average 200 words per minute)
-    if (this.content) {
-        const wordCount = this.content.split(/\s+/).length;
-        this.readTime = Math.ceil(wordCount / 200);
+    if (this.contentText !== undefined) {
+        this.readTime = calculateReadTime(this.contentText);
     }
 
     // Set published date when status changes to published
     if (this.isModified('status') && this.status === 'published' && !this.publishedAt) {
         this.publishedAt = new Date();
     }
-
-    next();
 });
 
 // Static methods
@@ -146,10 +194,107 @@ postSchema.statics.searchPosts = function(searchTerm, options = {}) {
         .limit(limit);
 };
 
+postSchema.statics.publishDuePosts = async function(now = new Date()) {
+    const published = [];
+
+    // Claim posts one at a time so a post published by another process is never reported twice
+    for (;;) {
+        const post = await this.findOneAndUpdate(
+            { status: 'scheduled', publishAt: { $lte: now } },
+            [{
+                $set: {
+                    status: 'published',
+                    publishedAt: { $ifNull: ['$publishedAt', '$publishAt'] }
+                }
+            }],
+            { new: true }
+        ).select('_id author title slug');
+
+        if (!post) return published;
+        published.push(post);
+    }
+};
+
+postSchema.statics.getCategoryStats = async function(categoryIds) {
+    const match = { status: 'published' };
+    if (categoryIds) match.category = { $in: categoryIds };
+
+    const stats = await this.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: '$category',
+                postCount: { $sum: 1 },
+                latestPostAt: { $max: '$publishedAt' },
+                totalViews: { $sum: '$views' }
+            }
+        }
+    ]);
+
+    return new Map(stats.map(({ _id, ...rest }) => [_id.toString(), rest]));
+};
+
+postSchema.statics.getPublishingTrend = function(categoryIds, { interval = 'month', from, to } = {}) {
+    const formats = { day: '%Y-%m-%d', week: '%G-W%V', month: '%Y-%m' };
+
+    const publishedAt = { $ne: null };
+    if (from) publishedAt.$gte = from;
+    if (to) publishedAt.$lte = to;
+
+    return this.aggregate([
+        { $match: { status: 'published', category: { $in: categoryIds }, publishedAt } },
+        {
+            $group: {
+                _id: { $dateToString: { format: formats[interval], date: '$publishedAt' } },
+                posts: { $sum: 1 },
+                views: { $sum: '$views' },
+                likes: { $sum: { $size: { $ifNull: ['$likes', []] } } }
+            }
+        },
+        { $sort: { _id: 1 } },
+        { $project: { _id: 0, period: '$_id', posts: 1, views: 1, likes: 1 } }
+    ]);
+};
+
+postSchema.statics.replaceTags = function(sources, target) {
+    // Each post is rewritten by one atomic pipeline update that swaps the tags and
+    // drops duplicates, so a post never holds both the old and the new name.
+    // The filter only matches posts still carrying a source tag, so a retry
+    // after a partial failure picks up where the previous run stopped
+    return this.updateMany(
+        { tags: { $in: sources } },
+        [{
+            $set: {
+                tags: {
+                    $reduce: {
+                        input: '$tags',
+                        initialValue: [],
+                        in: {
+                            $let: {
+                                vars: {
+                                    tag: { $cond: [{ $in: ['$$this', sources] }, target, '$$this'] }
+                                },
+                                in: {
+                                    $cond: [
+                                        { $in: ['$$tag', '$$value'] },
+                                        '$$value',
+                                        { $concatArrays: ['$$value', ['$$tag']] }
+                                    ]
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }],
+        { timestamps: false }
+    );
+};
+
 // Instance methods
 postSchema.methods.incrementViews = function() {
-    this.views += 1;
-    return this.save();
+    // Atomic, and leaves updatedAt alone since a view is not an edit
+    return this.constructor.updateOne({ _id: this._id }, { $inc: { views: 1 } }, { timestamps: false });
 };
 
 postSchema.methods.toggleLike = function(userId) {
@@ -0,0 +1,88 @@
+// server/src/models/PostRevision.js - Snapshots of post content taken before each edit
+
+const mongoose = require('mongoose');
+
+const postRevisionSchema = new mongoose.Schema({
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+        required: [true, 'Post is required']
+    },
+    revision: {
+        type: Number, // Sequential per post, starting at 1
+        required: true,
+        min: 1
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    content: {
+        type: String,
+        required: true
+    },
+    contentFormat: {
+        type: String
+    },
+    excerpt: {
+        type: String
+    },
+    category: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category'
+    },
+    tags: [{
+        type: String
+    }],
+    featuredImage: {
+        type: String
+    },
+    featuredMedia: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Media'
+    },
+    editedBy: {
+        type: mongoose.Schema.Types.ObjectId, // User whose edit replaced this version
+        ref: 'User'
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for performance
+postRevisionSchema.index({ post: 1, revision: -1 }, { unique: true });
+
+const MAX_SNAPSHOT_ATTEMPTS = 5;
+
+// Static methods
+postRevisionSchema.statics.snapshot = async function(post, editedBy) {
+    // Concurrent edits can pick the same number; the unique index keeps one and the other takes the next
+    for (let attempt = 1; ; attempt++) {
+        const latest = await this.findOne({ post: post._id })
+            .sort({ revision: -1 })
+            .select('revision');
+
+        try {
+            return await this.create({
+                post: post._id,
+                revision: latest ? latest.revision + 1 : 1,
+                title: post.title,
+                content: post.content,
+                contentFormat: post.contentFormat,
+                excerpt: post.excerpt,
+                category: post.category,
+                tags: post.tags,
+                featuredImage: post.featuredImage,
+                featuredMedia: post.featuredMedia,
+                editedBy
+            });
+        } catch (error) {
+            const numberTaken = error.code === 11000 && error.keyPattern && error.keyPattern.revision;
+            if (!numberTaken || attempt >= MAX_SNAPSHOT_ATTEMPTS) {
+                throw error;
+            }
+        }
+    }
+};
+
+module.exports = mongoose.model('PostRevision', postRevisionSchema);
\ No newline at end of file
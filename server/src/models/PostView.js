@@ -0,0 +1,25 @@
+// server/src/models/PostView.js - Recent post views used to deduplicate view counts
+
+const mongoose = require('mongoose');
+
+const postViewSchema = new mongoose.Schema({
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+        required: [true, 'Post is required']
+    },
+    viewer: {
+        type: String, // "user:<id>" or "anon:<fingerprint hash>"
+        required: true
+    },
+    expiresAt: {
+        type: Date, // End of the deduplication window
+        required: true
+    }
+});
+
+// One record per viewer and post while the window is open
+postViewSchema.index({ post: 1, viewer: 1 }, { unique: true });
+postViewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PostView', postViewSchema);
\ No newline at end of file
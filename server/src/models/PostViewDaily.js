@@ -0,0 +1,29 @@
+// server/src/models/PostViewDaily.js - Daily view count rollup for analytics
+
+const mongoose = require('mongoose');
+
+const postViewDailySchema = new mongoose.Schema({
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+        required: [true, 'Post is required']
+    },
+    author: {
+        type: mongoose.Schema.Types.ObjectId, // Copied from the post for per-author analytics
+        ref: 'User'
+    },
+    date: {
+        type: Date, // UTC midnight of the day
+        required: true
+    },
+    views: {
+        type: Number,
+        default: 0,
+        min: 0
+    }
+});
+
+postViewDailySchema.index({ post: 1, date: 1 }, { unique: true });
+postViewDailySchema.index({ author: 1, date: 1 });
+
+module.exports = mongoose.model('PostViewDaily', postViewDailySchema);
\ No newline at end of file
@@ -0,0 +1,67 @@
+// server/src/models/RefreshToken.js - Persisted refresh tokens for rotation and revocation
+
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required']
+    },
+    tokenHash: {
+        type: String, // SHA-256 of the token; the raw value is never stored
+        required: true,
+        unique: true
+    },
+    family: {
+        type: String, // Shared by every token rotated from the same login
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    replacedBy: {
+        type: String, // tokenHash of the token issued on rotation
+        default: null
+    },
+    createdByIp: {
+        type: String
+    },
+    userAgent: {
+        type: String
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for performance
+refreshTokenSchema.index({ user: 1 });
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Let MongoDB purge expired tokens
+
+// Virtual for active state
+refreshTokenSchema.virtual('isActive').get(function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static methods
+refreshTokenSchema.statics.revokeFamily = function(family) {
+    return this.updateMany(
+        { family, revokedAt: null },
+        { revokedAt: new Date() }
+    );
+};
+
+refreshTokenSchema.statics.revokeAllForUser = function(userId) {
+    return this.updateMany(
+        { user: userId, revokedAt: null },
+        { revokedAt: new Date() }
+    );
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
\ No newline at end of file
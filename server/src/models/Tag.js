@@ -0,0 +1,25 @@
+// server/src/models/Tag.js - Tag registry for descriptions
+
+const mongoose = require('mongoose');
+
+// Posts keep their tags as plain strings; this collection only holds
+// metadata for tags that have some, so most tags never get a document
+const tagSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Tag name is required'],
+        unique: true,
+        trim: true,
+        lowercase: true,
+        maxlength: [30, 'Tag cannot exceed 30 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Description cannot exceed 300 characters']
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Tag', tagSchema);
\ No newline at end of file
@@ -1,8 +1,14 @@
 // server/src/models/User.js - User model with authentication
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+const PASSWORD_RESET_EXPIRE_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 10) || 60;
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.MAX_LOGIN_ATTEMPTS, 10) || 5;
+const LOGIN_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15;
+const MAX_LOCK_MINUTES = 24 * 60;
+
 const userSchema = new mongoose.Schema({
     username: {
         type: String,
@@ -40,6 +46,11 @@ const userSchema = new mongoose.Schema({
         type: String, // URL to avatar image
         default: null
     },
+    avatarMedia: {
+        type: mongoose.Schema.Types.ObjectId, // Library image the avatar URL points at
+        ref: 'Media',
+        default: null
+    },
     bio: {
         type: String,
         maxlength: [500, 'Bio cannot exceed 500 characters']
@@ -53,8 +64,60 @@ const userSchema = new mongoose.Schema({
         type: Boolean,
         default: true
     },
+    isEmailVerified: {
+        type: Boolean,
+        // Accounts stored before verification existed count as verified; only new ones start unverified
+        default: function() {
+            return !this.isNew;
+        }
+    },
+    emailVerifiedAt: {
+        type: Date
+    },
     lastLogin: {
         type: Date
+    },
+    followedTags: [{
+        type: String,
+        trim: true,
+        lowercase: true
+    }],
+    notificationPreferences: {
+        like: { type: Boolean, default: true },
+        comment: { type: Boolean, default: true },
+        reply: { type: Boolean, default: true },
+        follow: { type: Boolean, default: true },
+        newPost: { type: Boolean, default: true }
+    },
+    failedLoginAttempts: {
+        type: Number,
+        default: 0,
+        select: false
+    },
+    lockCount: {
+        type: Number, // Consecutive lockouts, used to escalate the lock period
+        default: 0,
+        select: false
+    },
+    lockUntil: {
+        type: Date,
+        select: false
+    },
+    lastFailedLogin: {
+        type: Date,
+        select: false
+    },
+    lastFailedLoginIp: {
+        type: String,
+        select: false
+    },
+    passwordResetToken: {
+        type: String, // SHA-256 of the emailed token
+        select: false
+    },
+    passwordResetExpires: {
+        type: Date,
+        select: false
     }
 }, {
     timestamps: true,
@@ -70,6 +133,33 @@ userSchema.virtual('fullName').get(function() {
     return this.username;
 });
 
+// Virtuals for the user's posts and follow counts (to be populated when needed)
+userSchema.virtual('posts', {
+    ref: 'Post',
+    localField: '_id',
+    foreignField: 'author',
+    match: { status: 'published' }
+});
+
+userSchema.virtual('followerCount', {
+    ref: 'Follow',
+    localField: '_id',
+    foreignField: 'following',
+    count: true
+});
+
+userSchema.virtual('followingCount', {
+    ref: 'Follow',
+    localField: '_id',
+    foreignField: 'follower',
+    count: true
+});
+
+// Virtual for account lock state
+userSchema.virtual('isLocked').get(function() {
+    return Boolean(this.lockUntil && this.lockUntil > new Date());
+});
+
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
     // Only hash password if it's been modified (or is new)
@@ -89,10 +179,97 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
     return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Instance method to record a failed login and lock the account after too many attempts
+// A single pipeline update, so parallel failures cannot overwrite each other's increments
+userSchema.methods.registerFailedLogin = async function(ip) {
+    const now = new Date();
+    const lockCount = { $ifNull: ['$lockCount', 0] };
+
+    const updated = await this.constructor.findOneAndUpdate(
+        { _id: this._id },
+        [
+            {
+                $set: {
+                    failedLoginAttempts: { $add: [{ $ifNull: ['$failedLoginAttempts', 0] }, 1] },
+                    lastFailedLogin: now,
+                    lastFailedLoginIp: ip
+                }
+            },
+            {
+                $set: {
+                    // Each consecutive lockout doubles the lock period
+                    lockUntil: {
+                        $cond: [
+                            { $gte: ['$failedLoginAttempts', MAX_LOGIN_ATTEMPTS] },
+                            {
+                                $add: [now, {
+                                    $multiply: [
+                                        { $min: [{ $multiply: [LOGIN_LOCK_MINUTES, { $pow: [2, lockCount] }] }, MAX_LOCK_MINUTES] },
+                                        60 * 1000
+                                    ]
+                                }]
+                            },
+                            '$lockUntil'
+                        ]
+                    },
+                    lockCount: {
+                        $cond: [
+                            { $gte: ['$failedLoginAttempts', MAX_LOGIN_ATTEMPTS] },
+                            { $add: [lockCount, 1] },
+                            '$lockCount'
+                        ]
+                    },
+                    failedLoginAttempts: {
+                        $cond: [
+                            { $gte: ['$failedLoginAttempts', MAX_LOGIN_ATTEMPTS] },
+                            0,
+                            '$failedLoginAttempts'
+                        ]
+                    }
+                }
+            }
+        ],
+        { new: true }
+    ).select('+failedLoginAttempts +lockCount +lockUntil +lastFailedLogin +lastFailedLoginIp');
+
+    if (updated) {
+        ['failedLoginAttempts', 'lockCount', 'lockUntil', 'lastFailedLogin', 'lastFailedLoginIp'].forEach(field => {
+            this.set(field, updated.get(field));
+        });
+    }
+
+    return this;
+};
+
+// Instance method to clear lockout state after a successful login
+userSchema.methods.resetLoginAttempts = function() {
+    this.failedLoginAttempts = 0;
+    this.lockCount = 0;
+    this.lockUntil = undefined;
+};
+
+// Instance method to create a single-use password reset token
+userSchema.methods.createPasswordResetToken = function() {
+    const resetToken = crypto.randomBytes(32).toString('hex');
+
+    this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+    this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_EXPIRE_MINUTES * 60 * 1000);
+
+    return resetToken;
+};
+
 // Instance method to get public profile
 userSchema.methods.toPublicJSON = function() {
     const user = this.toObject();
     delete user.password;
+    delete user.passwordResetToken;
+    delete user.passwordResetExpires;
+    delete user.failedLoginAttempts;
+    delete user.lockCount;
+    delete user.lockUntil;
+    delete user.lastFailedLogin;
+    delete user.lastFailedLoginIp;
+    delete user.isLocked;
     delete user.__v;
     return user;
 };
@@ -104,8 +281,41 @@ userSchema.statics.findByCredentials = async function(identifier) {
             { email: identifier },
             { username: identifier }
         ]
-    });
+    }).select('+failedLoginAttempts +lockCount +lockUntil');
     return user;
 };
 
+userSchema.statics.replaceFollowedTags = function(sources, target) {
+    // Same single pipeline update as Post.replaceTags: followers of a renamed
+    // or merged tag follow the target instead, listed once, in the same place
+    return this.updateMany(
+        { followedTags: { $in: sources } },
+        [{
+            $set: {
+                followedTags: {
+                    $reduce: {
+                        input: '$followedTags',
+                        initialValue: [],
+                        in: {
+                            $let: {
+                                vars: {
+                                    tag: { $cond: [{ $in: ['$$this', sources] }, target, '$$this'] }
+                                },
+                                in: {
+                                    $cond: [
+                                        { $in: ['$$tag', '$$value'] },
+                                        '$$value',
+                                        { $concatArrays: ['$$value', ['$$tag']] }
+                                    ]
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }],
+        { timestamps: false }
+    );
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -4,11 +4,31 @@ const mongoose = require('mongoose');
 const User = require('./User');
 const Category = require('./Category');
 const Post = require('./Post');
+const Comment = require('./Comment');
+const RefreshToken = require('./RefreshToken');
+const PostRevision = require('./PostRevision');
+const Tag = require('./Tag');
+const PostView = require('./PostView');
+const PostViewDaily = require('./PostViewDaily');
+const Bookmark = require('./Bookmark');
+const Follow = require('./Follow');
+const Notification = require('./Notification');
+const Media = require('./Media');
 
 // Export all models
 module.exports = {
     User,
     Category,
     Post,
+    Comment,
+    RefreshToken,
+    PostRevision,
+    Tag,
+    PostView,
+    PostViewDaily,
+    Bookmark,
+    Follow,
+    Notification,
+    Media,
     mongoose
 };
\ No newline at end of file
@@ -0,0 +1,17 @@
+// server/src/routes/admin.js - Admin routes
+
+const express = require('express');
+const { getStats } = require('../controllers/adminController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateAdminStats } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use(authenticate, authorize('admin'));
+
+// @route   GET /api/admin/stats
+// @desc    Get site-wide statistics
+// @access  Private (Admin only)
+router.get('/stats', validateAdminStats, getStats);
+
+module.exports = router;
\ No newline at end of file
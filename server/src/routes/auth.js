@@ -4,14 +4,25 @@ const express = require('express');
 const {
     register,
     login,
+    refresh,
+    logout,
+    logoutAll,
     getProfile,
     updateProfile,
-    changePassword
+    changePassword,
+    verifyEmail,
+    resendVerification,
+    forgotPassword,
+    resetPassword
 } = require('../controllers/authController');
 const { authenticate } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimiter');
 const {
     validateUserRegistration,
     validateUserLogin,
+    validateRefreshToken,
+    validateForgotPassword,
+    validateResetPassword,
     handleValidationErrors
 } = require('../middleware/validation');
 const { body } = require('express-validator');
@@ -21,12 +32,27 @@ const router = express.Router();
 // @route   POST /api/auth/register
 // @desc    Register user
 // @access  Public
-router.post('/register', validateUserRegistration, register);
+router.post('/register', rateLimit('auth'), validateUserRegistration, register);
 
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
-router.post('/login', validateUserLogin, login);
+router.post('/login', rateLimit('auth'), validateUserLogin, login);
+
+// @route   POST /api/auth/refresh
+// @desc    Rotate refresh token and issue a new access token
+// @access  Public
+router.post('/refresh', rateLimit('refresh'), validateRefreshToken, refresh);
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the session of the given refresh token
+// @access  Public
+router.post('/logout', validateRefreshToken, logout);
+
+// @route   POST /api/auth/logout-all
+// @desc    Revoke every session of the current user
+// @access  Private
+router.post('/logout-all', authenticate, logoutAll);
 
 // @route   GET /api/auth/me
 // @desc    Get current user profile
@@ -86,4 +112,24 @@ router.put('/change-password',
     changePassword
 );
 
+// @route   GET /api/auth/verify-email/:token
+// @desc    Verify email address
+// @access  Public
+router.get('/verify-email/:token', verifyEmail);
+
+// @route   POST /api/auth/resend-verification
+// @desc    Resend verification email
+// @access  Private
+router.post('/resend-verification', authenticate, rateLimit('auth'), resendVerification);
+
+// @route   POST /api/auth/forgot-password
+// @desc    Send password reset email
+// @access  Public
+router.post('/forgot-password', rateLimit('auth'), validateForgotPassword, forgotPassword);
+
+// @route   POST /api/auth/reset-password/:token
+// @desc    Reset password with emailed token
+// @access  Public
+router.post('/reset-password/:token', rateLimit('auth'), validateResetPassword, resetPassword);
+
 module.exports = router;
\ No newline at end of file
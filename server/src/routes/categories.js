@@ -2,26 +2,121 @@
 
 const express = require('express');
 const Category = require('../models/Category');
+const Post = require('../models/Post');
 const { authenticate, authorize } = require('../middleware/auth');
 const {
     validateCategory,
+    validateCategoryDelete,
+    validateCategoryStats,
     validateObjectId,
     handleValidationErrors
 } = require('../middleware/validation');
+const { saveWithUniqueSlug } = require('../utils/slug');
 
 const router = express.Router();
 
+const emptyStats = { postCount: 0, latestPostAt: null, totalViews: 0 };
+
 // @route   GET /api/categories
-// @desc    Get all categories
+// @desc    Get all categories with published post statistics
 // @access  Public
 router.get('/', async (req, res, next) => {
     try {
-        const categories = await Category.find({ isActive: true })
+        const hiddenCategories = await Category.getHiddenIds();
+        const categories = await Category.find({ _id: { $nin: hiddenCategories } })
             .sort({ name: 1 });
 
+        const stats = await Post.getCategoryStats(categories.map(category => category._id));
+
         res.status(200).json({
             success: true,
-            data: { categories }
+            data: {
+                categories: categories.map(category => ({
+                    ...category.toJSON(),
+                    ...(stats.get(category._id.toString()) || emptyStats)
+                }))
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/categories/tree
+// @desc    Get active categories as a nested tree
+// @access  Public
+router.get('/tree', async (req, res, next) => {
+    try {
+        const hiddenCategories = await Category.getHiddenIds();
+        const categories = await Category.find({ _id: { $nin: hiddenCategories } })
+            .sort({ name: 1 });
+
+        res.status(200).json({
+            success: true,
+            data: { tree: Category.buildTree(categories) }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/categories/:id/stats
+// @desc    Get category totals and publishing trend over time
+// @access  Public
+router.get('/:id/stats', validateObjectId(), validateCategoryStats, async (req, res, next) => {
+    try {
+        const { interval = 'month', includeSubcategories } = req.query;
+
+        const category = await Category.findById(req.params.id);
+
+        if (!category) {
+            return res.status(404).json({
+                success: false,
+                error: 'Category not found'
+            });
+        }
+
+        const categoryIds = [category._id];
+        if (includeSubcategories === 'true') {
+            categoryIds.push(...await Category.getDescendantIds(category._id));
+        }
+
+        // Default to the last twelve months
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        const from = req.query.from
+            ? new Date(req.query.from)
+            : new Date(to.getFullYear() - 1, to.getMonth(), to.getDate());
+
+        const [stats, trend] = await Promise.all([
+            Post.getCategoryStats(categoryIds),
+            Post.getPublishingTrend(categoryIds, { interval, from, to })
+        ]);
+
+        // Fold per-category stats into one total for the subtree
+        const totals = [...stats.values()].reduce((sum, current) => ({
+            postCount: sum.postCount + current.postCount,
+            totalViews: sum.totalViews + current.totalViews,
+            latestPostAt: !sum.latestPostAt || current.latestPostAt > sum.latestPostAt
+                ? current.latestPostAt
+                : sum.latestPostAt
+        }), emptyStats);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                category: {
+                    _id: category._id,
+                    name: category.name,
+                    slug: category.slug
+                },
+                totals,
+                trend: {
+                    interval,
+                    from,
+                    to,
+                    periods: trend
+                }
+            }
         });
     } catch (error) {
         next(error);
@@ -29,7 +124,7 @@ router.get('/', async (req, res, next) => {
 });
 
 // @route   GET /api/categories/:id
-// @desc    Get single category
+// @desc    Get single category with its breadcrumb path
 // @access  Public
 router.get('/:id', validateObjectId(), async (req, res, next) => {
     try {
@@ -42,9 +137,12 @@ router.get('/:id', validateObjectId(), async (req, res, next) => {
             });
         }
 
+        const ancestors = await Category.getAncestors(category._id);
+        const breadcrumbs = [...ancestors, category].map(({ _id, name, slug }) => ({ _id, name, slug }));
+
         res.status(200).json({
             success: true,
-            data: { category }
+            data: { category, breadcrumbs }
         });
     } catch (error) {
         next(error);
@@ -56,14 +154,16 @@ router.get('/:id', validateObjectId(), async (req, res, next) => {
 // @access  Private (Admin only)
 router.post('/', authenticate, authorize('admin'), validateCategory, async (req, res, next) => {
     try {
-        const { name, description, color, icon } = req.body;
+        const { name, description, color, icon, parent } = req.body;
 
-        const category = await Category.create({
+        const category = new Category({
             name,
             description,
             color,
-            icon
+            icon,
+            parent
         });
+        await saveWithUniqueSlug(category);
 
         res.status(201).json({
             success: true,
@@ -80,13 +180,9 @@ router.post('/', authenticate, authorize('admin'), validateCategory, async (req,
 // @access  Private (Admin only)
 router.put('/:id', authenticate, authorize('admin'), validateObjectId(), validateCategory, async (req, res, next) => {
     try {
-        const { name, description, color, icon, isActive } = req.body;
+        const { name, description, color, icon, isActive, parent } = req.body;
 
-        const category = await Category.findByIdAndUpdate(
-            req.params.id,
-            { name, description, color, icon, isActive },
-            { new: true, runValidators: true }
-        );
+        const category = await Category.findById(req.params.id);
 
         if (!category) {
             return res.status(404).json({
@@ -95,6 +191,16 @@ router.put('/:id', authenticate, authorize('admin'), validateObjectId(), validat
             });
         }
 
+        // Saved through the document so slug and parent checks run
+        const updates = { name, description, color, icon, isActive, parent };
+        Object.keys(updates).forEach(key => {
+            if (updates[key] !== undefined) {
+                category[key] = updates[key];
+            }
+        });
+
+        await saveWithUniqueSlug(category);
+
         res.status(200).json({
             success: true,
             message: 'Category updated successfully',
@@ -106,11 +212,13 @@ router.put('/:id', authenticate, authorize('admin'), validateObjectId(), validat
 });
 
 // @route   DELETE /api/categories/:id
-// @desc    Delete category
+// @desc    Delete category, moving its posts to reassignTo
 // @access  Private (Admin only)
-router.delete('/:id', authenticate, authorize('admin'), validateObjectId(), async (req, res, next) => {
+router.delete('/:id', authenticate, authorize('admin'), validateObjectId(), validateCategoryDelete, async (req, res, next) => {
     try {
-        const category = await Category.findByIdAndDelete(req.params.id);
+        const { reassignTo } = req.query;
+
+        const category = await Category.findById(req.params.id);
 
         if (!category) {
             return res.status(404).json({
@@ -119,9 +227,47 @@ router.delete('/:id', authenticate, authorize('admin'), validateObjectId(), asyn
             });
         }
 
+        const postCount = await Post.countDocuments({ category: category._id });
+
+        if (postCount > 0 && !reassignTo) {
+            return res.status(409).json({
+                success: false,
+                error: 'Category still has posts. Provide reassignTo or deactivate it instead',
+                postCount
+            });
+        }
+
+        let postsMoved = 0;
+
+        if (reassignTo) {
+            if (category._id.equals(reassignTo)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Cannot reassign posts to the category being deleted'
+                });
+            }
+
+            const target = await Category.exists({ _id: reassignTo });
+            if (!target) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Target category not found'
+                });
+            }
+
+            const result = await Post.updateMany({ category: category._id }, { category: reassignTo });
+            postsMoved = result.modifiedCount;
+        }
+
+        await category.deleteOne();
+
+        // Move children up a level instead of orphaning them
+        await Category.updateMany({ parent: category._id }, { parent: category.parent });
+
         res.status(200).json({
             success: true,
-            message: 'Category deleted successfully'
+            message: 'Category deleted successfully',
+            data: { postsMoved }
         });
     } catch (error) {
         next(error);
@@ -0,0 +1,56 @@
+// server/src/routes/comments.js - Comment routes (mounted under /api/posts/:id/comments)
+
+const express = require('express');
+const {
+    loadComment,
+    getComments,
+    createComment,
+    updateComment,
+    deleteComment
+} = require('../controllers/commentController');
+const { authenticate, checkOwnership } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimiter');
+const {
+    validateComment,
+    validateObjectId,
+    validatePagination
+} = require('../middleware/validation');
+
+const router = express.Router({ mergeParams: true });
+
+// @route   GET /api/posts/:id/comments
+// @desc    Get threaded comments for a post
+// @access  Public
+router.get('/', validateObjectId(), validatePagination, getComments);
+
+// @route   POST /api/posts/:id/comments
+// @desc    Create comment or reply
+// @access  Private
+router.post('/', authenticate, rateLimit('write'), validateObjectId(), validateComment, createComment);
+
+// @route   PUT /api/posts/:id/comments/:commentId
+// @desc    Update comment
+// @access  Private (author or admin)
+router.put('/:commentId',
+    authenticate,
+    validateObjectId(),
+    validateObjectId('commentId'),
+    loadComment,
+    checkOwnership('author'),
+    validateComment,
+    updateComment
+);
+
+// @route   DELETE /api/posts/:id/comments/:commentId
+// @desc    Soft-delete comment
+// @access  Private (author or admin)
+router.delete('/:commentId',
+    authenticate,
+    validateObjectId(),
+    validateObjectId('commentId'),
+    loadComment,
+    checkOwnership('author'),
+    deleteComment
+);
+
+module.exports = router;
\ No newline at end of file
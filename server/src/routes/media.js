@@ -0,0 +1,49 @@
+// server/src/routes/media.js - Media library routes
+
+const express = require('express');
+const {
+    uploadMedia,
+    getMyMedia,
+    getMedia,
+    updateMedia,
+    deleteMedia
+} = require('../controllers/mediaController');
+const { authenticate } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimiter');
+const { uploadImage } = require('../middleware/upload');
+const {
+    validateObjectId,
+    validatePagination,
+    validateMedia
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// @route   POST /api/media
+// @desc    Upload an image (multipart field "file", optional "alt")
+// @access  Private
+router.post('/', rateLimit('write'), uploadImage('file'), validateMedia, uploadMedia);
+
+// @route   GET /api/media
+// @desc    Get the current user's media library
+// @access  Private
+router.get('/', validatePagination, getMyMedia);
+
+// @route   GET /api/media/:id
+// @desc    Get a media item and the posts using it
+// @access  Private (owner)
+router.get('/:id', validateObjectId(), getMedia);
+
+// @route   PUT /api/media/:id
+// @desc    Update alt text
+// @access  Private (owner)
+router.put('/:id', validateObjectId(), validateMedia, updateMedia);
+
+// @route   DELETE /api/media/:id
+// @desc    Delete a media item
+// @access  Private (owner)
+router.delete('/:id', validateObjectId(), deleteMedia);
+
+module.exports = router;
\ No newline at end of file
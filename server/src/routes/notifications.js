@@ -0,0 +1,53 @@
+// server/src/routes/notifications.js - Notification routes
+
+const express = require('express');
+const {
+    getNotifications,
+    getUnreadCount,
+    markRead,
+    markAllRead,
+    getPreferences,
+    updatePreferences
+} = require('../controllers/notificationController');
+const { authenticate } = require('../middleware/auth');
+const {
+    validateObjectId,
+    validatePagination,
+    validateNotificationPreferences
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// @route   GET /api/notifications
+// @desc    Get notifications with unread count
+// @access  Private
+router.get('/', validatePagination, getNotifications);
+
+// @route   GET /api/notifications/unread-count
+// @desc    Get unread notification count
+// @access  Private
+router.get('/unread-count', getUnreadCount);
+
+// @route   GET /api/notifications/preferences
+// @desc    Get notification preferences
+// @access  Private
+router.get('/preferences', getPreferences);
+
+// @route   PUT /api/notifications/preferences
+// @desc    Update notification preferences
+// @access  Private
+router.put('/preferences', validateNotificationPreferences, updatePreferences);
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all notifications as read
+// @access  Private
+router.put('/read-all', markAllRead);
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark notification as read
+// @access  Private
+router.put('/:id/read', validateObjectId(), markRead);
+
+module.exports = router;
\ No newline at end of file
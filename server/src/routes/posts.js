@@ -3,18 +3,28 @@
 const express = require('express');
 const {
     getAllPosts,
+    searchPosts,
+    getFeed,
     getPost,
+    getPostBySlug,
     createPost,
     updatePost,
     deletePost,
     toggleLike
 } = require('../controllers/postController');
-const { authenticate, optionalAuth } = require('../middleware/auth');
+const { addBookmark, removeBookmark } = require('../controllers/bookmarkController');
+const { authenticate, authenticateWith, optionalAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimiter');
 const {
     validatePost,
+    validateSearch,
+    validateSlug,
+    validateBookmark,
     validateObjectId,
     validatePagination
 } = require('../middleware/validation');
+const commentRoutes = require('./comments');
+const revisionRoutes = require('./revisions');
 
 const router = express.Router();
 
@@ -23,20 +33,35 @@ const router = express.Router();
 // @access  Public
 router.get('/', validatePagination, optionalAuth, getAllPosts);
 
+// @route   GET /api/posts/search
+// @desc    Faceted search with highlighting
+// @access  Public
+router.get('/search', validatePagination, validateSearch, optionalAuth, searchPosts);
+
+// @route   GET /api/posts/feed
+// @desc    Posts from followed authors and tags
+// @access  Private
+router.get('/feed', authenticate, validatePagination, getFeed);
+
+// @route   GET /api/posts/slug/:slug
+// @desc    Get single post by slug (old slugs include a redirect hint)
+// @access  Public
+router.get('/slug/:slug', validateSlug, optionalAuth, getPostBySlug);
+
 // @route   GET /api/posts/:id
 // @desc    Get single post by ID
 // @access  Public
-router.get('/:id', validateObjectId(), getPost);
+router.get('/:id', validateObjectId(), optionalAuth, getPost);
 
 // @route   POST /api/posts
 // @desc    Create new post
-// @access  Private
-router.post('/', authenticate, validatePost, createPost);
+// @access  Private (verified email)
+router.post('/', authenticateWith({ requireVerifiedEmail: true }), rateLimit('write'), validatePost, createPost);
 
 // @route   PUT /api/posts/:id
 // @desc    Update post
 // @access  Private
-router.put('/:id', authenticate, validateObjectId(), validatePost, updatePost);
+router.put('/:id', authenticate, rateLimit('write'), validateObjectId(), validatePost, updatePost);
 
 // @route   DELETE /api/posts/:id
 // @desc    Delete post
@@ -46,6 +71,24 @@ router.delete('/:id', authenticate, validateObjectId(), deletePost);
 // @route   POST /api/posts/:id/like
 // @desc    Toggle like on post
 // @access  Private
-router.post('/:id/like', authenticate, validateObjectId(), toggleLike);
+router.post('/:id/like', authenticate, rateLimit('write'), validateObjectId(), toggleLike);
+
+// @route   POST /api/posts/:id/bookmark
+// @desc    Bookmark post, optionally into a named collection
+// @access  Private
+router.post('/:id/bookmark', authenticate, rateLimit('write'), validateObjectId(), validateBookmark, addBookmark);
+
+// @route   DELETE /api/posts/:id/bookmark
+// @desc    Remove bookmark
+// @access  Private
+router.delete('/:id/bookmark', authenticate, validateObjectId(), removeBookmark);
+
+// @route   /api/posts/:id/comments
+// @desc    Threaded comments for a post
+router.use('/:id/comments', commentRoutes);
+
+// @route   /api/posts/:id/revisions
+// @desc    Revision history, diff and restore for a post
+router.use('/:id/revisions', revisionRoutes);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,18 @@
+// server/src/routes/realtime.js - Real-time update routes
+
+const express = require('express');
+const { streamEvents } = require('../controllers/realtimeController');
+const { authenticateWith } = require('../middleware/auth');
+const { validateRealtimeStream } = require('../middleware/validation');
+
+const router = express.Router();
+
+// EventSource cannot send headers, so the token may come as ?access_token=
+const authenticateStream = authenticateWith({ allowQueryToken: true });
+
+// @route   GET /api/realtime/stream
+// @desc    Server-Sent Events stream of likes, comments and notifications
+// @access  Private
+router.get('/stream', authenticateStream, validateRealtimeStream, streamEvents);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,59 @@
+// server/src/routes/revisions.js - Post revision routes (mounted under /api/posts/:id/revisions)
+
+const express = require('express');
+const { query, param } = require('express-validator');
+const {
+    loadPost,
+    getRevisions,
+    diffRevisions,
+    restoreRevision
+} = require('../controllers/revisionController');
+const { authenticate, checkOwnership } = require('../middleware/auth');
+const { validateObjectId, handleValidationErrors } = require('../middleware/validation');
+
+const router = express.Router({ mergeParams: true });
+
+const isRevision = (value) => value === 'current' || /^[1-9]\d*$/.test(value);
+
+// Every revision route is limited to the post author or an admin
+router.use(authenticate, validateObjectId(), loadPost, checkOwnership('author'));
+
+// @route   GET /api/posts/:id/revisions
+// @desc    Get revision history of a post
+// @access  Private (author or admin)
+router.get('/', getRevisions);
+
+// @route   GET /api/posts/:id/revisions/diff
+// @desc    Diff two revisions (either may be 'current')
+// @access  Private (author or admin)
+router.get('/diff',
+    [
+        query('from')
+            .custom(isRevision)
+            .withMessage('From must be a revision number or current'),
+
+        query('to')
+            .optional()
+            .custom(isRevision)
+            .withMessage('To must be a revision number or current'),
+
+        handleValidationErrors
+    ],
+    diffRevisions
+);
+
+// @route   POST /api/posts/:id/revisions/:rev/restore
+// @desc    Restore a post to a previous revision
+// @access  Private (author or admin)
+router.post('/:rev/restore',
+    [
+        param('rev')
+            .isInt({ min: 1 })
+            .withMessage('Revision must be a positive integer'),
+
+        handleValidationErrors
+    ],
+    restoreRevision
+);
+
+module.exports = router;
\ No newline at end of file
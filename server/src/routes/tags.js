@@ -0,0 +1,67 @@
+// server/src/routes/tags.js - Tag routes
+
+const express = require('express');
+const {
+    getTags,
+    autocompleteTags,
+    getTag,
+    updateTag,
+    mergeTags
+} = require('../controllers/tagController');
+const { followTag, unfollowTag } = require('../controllers/followController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimiter');
+const {
+    validateTagName,
+    validateTagUpdate,
+    validateTagMerge,
+    validateTagList,
+    validateTagAutocomplete,
+    validatePagination
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// @route   GET /api/tags
+// @desc    Get tags with usage counts
+// @access  Public
+router.get('/', validateTagList, validatePagination, getTags);
+
+// @route   GET /api/tags/autocomplete
+// @desc    Suggest tags by prefix
+// @access  Public
+router.get('/autocomplete', validateTagAutocomplete, autocompleteTags);
+
+// @route   POST /api/tags/merge
+// @desc    Merge tags across all posts
+// @access  Private (Moderator/Admin)
+router.post('/merge', authenticate, authorize('admin', 'moderator'), rateLimit('write'), validateTagMerge, mergeTags);
+
+// @route   GET /api/tags/:name
+// @desc    Get tag page
+// @access  Public
+router.get('/:name', validateTagName, validatePagination, getTag);
+
+// @route   PUT /api/tags/:name
+// @desc    Rename tag or update its description
+// @access  Private (Moderator/Admin)
+router.put('/:name',
+    authenticate,
+    authorize('admin', 'moderator'),
+    rateLimit('write'),
+    validateTagName,
+    validateTagUpdate,
+    updateTag
+);
+
+// @route   POST /api/tags/:name/follow
+// @desc    Follow tag
+// @access  Private
+router.post('/:name/follow', authenticate, rateLimit('write'), validateTagName, followTag);
+
+// @route   DELETE /api/tags/:name/follow
+// @desc    Unfollow tag
+// @access  Private
+router.delete('/:name/follow', authenticate, validateTagName, unfollowTag);
+
+module.exports = router;
\ No newline at end of file
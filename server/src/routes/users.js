@@ -2,8 +2,25 @@
 
 const express = require('express');
 const User = require('../models/User');
-const { authenticate, authorize } = require('../middleware/auth');
-const { validateObjectId, validatePagination } = require('../middleware/validation');
+const Follow = require('../models/Follow');
+const { getMyAnalytics } = require('../controllers/analyticsController');
+const { getMyBookmarks, getMyCollections } = require('../controllers/bookmarkController');
+const { uploadAvatar } = require('../controllers/mediaController');
+const {
+    followUser,
+    unfollowUser,
+    getFollowers,
+    getFollowing
+} = require('../controllers/followController');
+const { authenticate, authorize, optionalAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimiter');
+const { uploadImage } = require('../middleware/upload');
+const {
+    validateObjectId,
+    validatePagination,
+    validateAnalytics
+} = require('../middleware/validation');
+const { decodeCursor, paginateByCursor, buildPageInfo } = require('../utils/pagination');
 
 const router = express.Router();
 
@@ -12,7 +29,7 @@ const router = express.Router();
 // @access  Private (Admin only)
 router.get('/', authenticate, authorize('admin'), validatePagination, async (req, res, next) => {
     try {
-        const { page = 1, limit = 10, search, role, isActive } = req.query;
+        const { page = 1, limit = 10, search, role, isActive, cursor } = req.query;
         const skip = (page - 1) * limit;
 
         let query = {};
@@ -34,9 +51,32 @@ router.get('/', authenticate, authorize('admin'), validatePagination, async (req
             query.isActive = isActive === 'true';
         }
 
-        const users = await User.find(query)
-            .select('-password')
-            .sort({ createdAt: -1 })
+        // Include lockout details so admins can spot attacks
+        const findUsers = (filter) => User.find(filter)
+            .select('-password +failedLoginAttempts +lockUntil +lastFailedLogin +lastFailedLoginIp');
+
+        if (cursor) {
+            const { docs, pageInfo } = await paginateByCursor(findUsers, {
+                filter: query,
+                sortField: 'createdAt',
+                limit: parseInt(limit),
+                cursor: decodeCursor(cursor)
+            });
+
+            return res.status(200).json({
+                success: true,
+                data: {
+                    users: docs,
+                    pagination: {
+                        limit: parseInt(limit),
+                        ...pageInfo
+                    }
+                }
+            });
+        }
+
+        const users = await findUsers(query)
+            .sort({ createdAt: -1, _id: -1 })
             .skip(skip)
             .limit(parseInt(limit));
 
@@ -50,7 +90,8 @@ router.get('/', authenticate, authorize('admin'), validatePagination, async (req
                     page: parseInt(page),
                     limit: parseInt(limit),
                     total,
-                    pages: Math.ceil(total / limit)
+                    pages: Math.ceil(total / limit),
+                    ...buildPageInfo(users, 'createdAt', page * limit < total, page > 1)
                 }
             }
         });
@@ -59,14 +100,36 @@ router.get('/', authenticate, authorize('admin'), validatePagination, async (req
     }
 });
 
+// @route   GET /api/users/me/analytics
+// @desc    Get performance analytics for the current user's posts
+// @access  Private
+router.get('/me/analytics', authenticate, validateAnalytics, getMyAnalytics);
+
+// @route   GET /api/users/me/bookmarks
+// @desc    Get the current user's bookmarks, optionally by collection
+// @access  Private
+router.get('/me/bookmarks', authenticate, validatePagination, getMyBookmarks);
+
+// @route   GET /api/users/me/bookmarks/collections
+// @desc    Get the current user's bookmark collections
+// @access  Private
+router.get('/me/bookmarks/collections', authenticate, getMyCollections);
+
+// @route   PUT /api/users/me/avatar
+// @desc    Upload a new avatar (multipart field "avatar")
+// @access  Private
+router.put('/me/avatar', authenticate, rateLimit('write'), uploadImage('avatar'), uploadAvatar);
+
 // @route   GET /api/users/:id
 // @desc    Get user profile
 // @access  Public
-router.get('/:id', validateObjectId(), async (req, res, next) => {
+router.get('/:id', validateObjectId(), optionalAuth, async (req, res, next) => {
     try {
         const user = await User.findById(req.params.id)
-            .select('-password -email')
-            .populate('posts', 'title slug createdAt');
+            .select('-password -email -followedTags -notificationPreferences')
+            .populate('posts', 'title slug createdAt')
+            .populate('followerCount')
+            .populate('followingCount');
 
         if (!user) {
             return res.status(404).json({
@@ -75,13 +138,39 @@ router.get('/:id', validateObjectId(), async (req, res, next) => {
             });
         }
 
+        const profile = user.toJSON();
+
+        if (req.user) {
+            profile.isFollowing = Boolean(await Follow.exists({ follower: req.user._id, following: user._id }));
+        }
+
         res.status(200).json({
             success: true,
-            data: { user }
+            data: { user: profile }
         });
     } catch (error) {
         next(error);
     }
 });
 
+// @route   GET /api/users/:id/followers
+// @desc    Get a user's followers
+// @access  Public
+router.get('/:id/followers', validateObjectId(), validatePagination, getFollowers);
+
+// @route   GET /api/users/:id/following
+// @desc    Get the users a user follows
+// @access  Public
+router.get('/:id/following', validateObjectId(), validatePagination, getFollowing);
+
+// @route   POST /api/users/:id/follow
+// @desc    Follow user
+// @access  Private
+router.post('/:id/follow', authenticate, rateLimit('write'), validateObjectId(), followUser);
+
+// @route   DELETE /api/users/:id/follow
+// @desc    Unfollow user
+// @access  Private
+router.delete('/:id/follow', authenticate, validateObjectId(), unfollowUser);
+
 module.exports = router;
\ No newline at end of file
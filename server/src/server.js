@@ -4,10 +4,15 @@ require('dotenv').config();
 const app = require('./app');
 const connectDB = require('./config/database');
 const logger = require('./utils/logger');
+const { startPostScheduler, stopPostScheduler } = require('./utils/postScheduler');
+const { closeAllStreams } = require('./controllers/realtimeController');
 
 // Connect to database
 connectDB();
 
+// Publish scheduled posts in the background
+startPostScheduler();
+
 const PORT = process.env.PORT || 5000;
 
 const server = app.listen(PORT, () => {
@@ -26,6 +31,9 @@ process.on('unhandledRejection', (err, promise) => {
 // Handle SIGTERM
 process.on('SIGTERM', () => {
     logger.info('SIGTERM received');
+    stopPostScheduler();
+    // Open streams would otherwise keep the server from closing
+    closeAllStreams();
     server.close(() => {
         logger.info('Process terminated');
     });
@@ -1,10 +1,15 @@
 // server/src/utils/auth.js - JWT authentication utilities
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
-const JWT_EXPIRE = process.env.JWT_EXPIRE || '7d';
+const JWT_EXPIRE = process.env.JWT_EXPIRE || '15m';
+const EMAIL_VERIFICATION_EXPIRE = process.env.EMAIL_VERIFICATION_EXPIRE || '24h';
+const EMAIL_VERIFICATION_AUDIENCE = 'mern-testing-email-verification';
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
 
 /**
  * Generate JWT token for user
@@ -28,6 +33,115 @@ const generateToken = (user) => {
     );
 };
 
+/**
+ * Hash an opaque token for storage
+ * @param {String} token - Raw token
+ * @returns {String} SHA-256 hex digest
+ */
+const hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Create and persist a refresh token for user
+ * @param {Object} user - User object
+ * @param {Object} options - Token family, optional pre-generated token and client metadata (ip, userAgent)
+ * @returns {String} Raw refresh token
+ */
+const generateRefreshToken = async (user, options = {}) => {
+    const {
+        family = crypto.randomUUID(),
+        token = crypto.randomBytes(48).toString('hex'),
+        ip,
+        userAgent
+    } = options;
+
+    await RefreshToken.create({
+        user: user._id,
+        tokenHash: hashToken(token),
+        family,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000),
+        createdByIp: ip,
+        userAgent
+    });
+
+    return token;
+};
+
+/**
+ * Issue an access token and a new refresh token family for user
+ * @param {Object} user - User object
+ * @param {Object} options - Client metadata (ip, userAgent)
+ * @returns {Object} { token, refreshToken }
+ */
+const issueTokens = async (user, options = {}) => {
+    const refreshToken = await generateRefreshToken(user, options);
+    return {
+        token: generateToken(user),
+        refreshToken
+    };
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * Presenting an already rotated token revokes its whole family
+ * @param {String} token - Raw refresh token
+ * @param {Object} options - Client metadata (ip, userAgent)
+ * @returns {Object} { user, token, refreshToken } or { reused: true } or null
+ */
+const rotateRefreshToken = async (token, options = {}) => {
+    const tokenHash = hashToken(token);
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+
+    // Revoke in one step so only one of several concurrent refreshes can win
+    const claimed = await RefreshToken.findOneAndUpdate(
+        { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+        { $set: { revokedAt: new Date(), replacedBy: hashToken(refreshToken) } }
+    );
+
+    if (!claimed) {
+        const stored = await RefreshToken.findOne({ tokenHash });
+
+        // Unknown or expired
+        if (!stored || !stored.revokedAt) {
+            return null;
+        }
+
+        await RefreshToken.revokeFamily(stored.family);
+        return { reused: true, userId: stored.user };
+    }
+
+    const user = await User.findById(claimed.user).select('-password');
+    if (!user || !user.isActive) {
+        await RefreshToken.revokeFamily(claimed.family);
+        return null;
+    }
+
+    await generateRefreshToken(user, { ...options, family: claimed.family, token: refreshToken });
+
+    return {
+        user,
+        token: generateToken(user),
+        refreshToken
+    };
+};
+
+/**
+ * Revoke the session a refresh token belongs to
+ * @param {String} token - Raw refresh token
+ * @returns {Boolean} Whether a token was found
+ */
+const revokeRefreshToken = async (token) => {
+    const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+
+    if (!stored) {
+        return false;
+    }
+
+    await RefreshToken.revokeFamily(stored.family);
+    return true;
+};
+
 /**
  * Verify JWT token
  * @param {String} token - JWT token
@@ -40,6 +154,39 @@ const verifyToken = (token) => {
     });
 };
 
+/**
+ * Generate signed email verification token for user
+ * Bound to the current email so changing it invalidates older links
+ * @param {Object} user - User object
+ * @returns {String} JWT token
+ */
+const generateEmailVerificationToken = (user) => {
+    return jwt.sign(
+        {
+            id: user._id,
+            email: user.email
+        },
+        JWT_SECRET,
+        {
+            expiresIn: EMAIL_VERIFICATION_EXPIRE,
+            issuer: 'mern-testing-app',
+            audience: EMAIL_VERIFICATION_AUDIENCE
+        }
+    );
+};
+
+/**
+ * Verify email verification token
+ * @param {String} token - JWT token
+ * @returns {Object} Decoded token payload
+ */
+const verifyEmailVerificationToken = (token) => {
+    return jwt.verify(token, JWT_SECRET, {
+        issuer: 'mern-testing-app',
+        audience: EMAIL_VERIFICATION_AUDIENCE
+    });
+};
+
 /**
  * Extract token from authorization header
  * @param {String} authHeader - Authorization header value
@@ -69,7 +216,14 @@ const getUserFromToken = async (token) => {
 
 module.exports = {
     generateToken,
+    hashToken,
+    generateRefreshToken,
+    issueTokens,
+    rotateRefreshToken,
+    revokeRefreshToken,
     verifyToken,
+    generateEmailVerificationToken,
+    verifyEmailVerificationToken,
     extractToken,
     getUserFromToken
 };
\ No newline at end of file
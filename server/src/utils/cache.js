@@ -0,0 +1,40 @@
+// server/src/utils/cache.js - Small in-memory cache with expiry
+
+/**
+ * In-memory cache
+ * Shared caches (e.g. Redis) only need to implement the same async
+ * get(key), set(key, value, ttlMs) and delete(key) methods.
+ */
+class MemoryCache {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+
+        return entry.value;
+    }
+
+    async set(key, value, ttlMs) {
+        this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async clear() {
+        this.entries.clear();
+    }
+}
+
+module.exports = {
+    MemoryCache
+};
\ No newline at end of file
@@ -0,0 +1,174 @@
+// server/src/utils/diff.js - Line based text diff
+
+// Larger texts are refused rather than diffed
+const MAX_DIFF_LINES = parseInt(process.env.MAX_DIFF_LINES, 10) || 5000;
+
+const splitLines = (text = '') => text.split('\n');
+
+/**
+ * Find the middle snake of the shortest edit script (Myers, 1986)
+ * Runs the forward and backward searches until they overlap, keeping only
+ * two vectors of size O(n + m)
+ * @returns {Object} { x, y, u, v } - the snake runs from (x, y) to (u, v)
+ */
+const findMiddleSnake = (a, aStart, aEnd, b, bStart, bEnd) => {
+    const n = aEnd - aStart;
+    const m = bEnd - bStart;
+    const delta = n - m;
+    const odd = delta % 2 !== 0;
+    const max = Math.ceil((n + m) / 2);
+    const offset = max + 1;
+
+    // forward[k]: furthest x on diagonal k from the start
+    // backward[k]: furthest x on diagonal k from the end, in reversed coordinates
+    const forward = new Int32Array(2 * offset + 1);
+    const backward = new Int32Array(2 * offset + 1);
+
+    for (let d = 0; d <= max; d++) {
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1])
+                ? forward[offset + k + 1]
+                : forward[offset + k - 1] + 1;
+            let y = x - k;
+            const startX = x;
+            const startY = y;
+
+            while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+                x++;
+                y++;
+            }
+            forward[offset + k] = x;
+
+            const reverseK = delta - k;
+            if (odd && reverseK >= -(d - 1) && reverseK <= d - 1 && x + backward[offset + reverseK] >= n) {
+                return { x: startX, y: startY, u: x, v: y };
+            }
+        }
+
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1])
+                ? backward[offset + k + 1]
+                : backward[offset + k - 1] + 1;
+            let y = x - k;
+            const startX = x;
+            const startY = y;
+
+            while (x < n && y < m && a[aEnd - 1 - x] === b[bEnd - 1 - y]) {
+                x++;
+                y++;
+            }
+            backward[offset + k] = x;
+
+            const forwardK = delta - k;
+            if (!odd && forwardK >= -d && forwardK <= d && x + forward[offset + forwardK] >= n) {
+                return { x: n - x, y: m - y, u: n - startX, v: m - startY };
+            }
+        }
+    }
+
+    // Unreachable: the searches always meet by d = ceil((n + m) / 2)
+    throw new Error('Diff failed to converge');
+};
+
+/**
+ * Append the edit script of a[aStart..aEnd] -> b[bStart..bEnd] to ops
+ * Common prefixes and suffixes are matched directly before searching
+ */
+const diffRange = (a, aStart, aEnd, b, bStart, bEnd, ops) => {
+    const suffix = [];
+
+    while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+        ops.push(['unchanged', a[aStart]]);
+        aStart++;
+        bStart++;
+    }
+
+    while (aStart < aEnd && bStart < bEnd && a[aEnd - 1] === b[bEnd - 1]) {
+        suffix.unshift(['unchanged', a[aEnd - 1]]);
+        aEnd--;
+        bEnd--;
+    }
+
+    if (aStart === aEnd) {
+        for (let j = bStart; j < bEnd; j++) ops.push(['added', b[j]]);
+    } else if (bStart === bEnd) {
+        for (let i = aStart; i < aEnd; i++) ops.push(['removed', a[i]]);
+    } else {
+        const { x, y, u, v } = findMiddleSnake(a, aStart, aEnd, b, bStart, bEnd);
+
+        diffRange(a, aStart, aStart + x, b, bStart, bStart + y, ops);
+        for (let i = aStart + x; i < aStart + u; i++) ops.push(['unchanged', a[i]]);
+        diffRange(a, aStart + u, aEnd, b, bStart + v, bEnd, ops);
+    }
+
+    ops.push(...suffix);
+};
+
+/**
+ * Diff two texts line by line
+ * Uses Myers' linear space algorithm, so memory grows with the text size
+ * rather than the product of both sizes
+ * @param {String} oldText - Previous text
+ * @param {String} newText - Current text
+ * @returns {Object} { changes, added, removed } where changes is a list of
+ *                   { type: 'added' | 'removed' | 'unchanged', value }
+ * @throws {RangeError} If either text has more than MAX_DIFF_LINES lines
+ */
+const diffLines = (oldText = '', newText = '') => {
+    const a = splitLines(oldText);
+    const b = splitLines(newText);
+
+    if (a.length > MAX_DIFF_LINES || b.length > MAX_DIFF_LINES) {
+        throw new RangeError(`Cannot diff texts longer than ${MAX_DIFF_LINES} lines`);
+    }
+
+    const ops = [];
+    diffRange(a, 0, a.length, b, 0, b.length, ops);
+
+    const changes = [];
+    let added = 0;
+    let removed = 0;
+
+    const push = (type, value) => {
+        const last = changes[changes.length - 1];
+        if (last && last.type === type) {
+            last.value += `\n${value}`;
+        } else {
+            changes.push({ type, value });
+        }
+    };
+
+    // Within each changed block, list removed lines before added ones
+    let pendingAdded = [];
+    ops.forEach(([type, value]) => {
+        if (type === 'added') {
+            pendingAdded.push(value);
+            added++;
+            return;
+        }
+
+        if (type === 'unchanged') {
+            pendingAdded.forEach(line => push('added', line));
+            pendingAdded = [];
+        } else {
+            removed++;
+        }
+        push(type, value);
+    });
+    pendingAdded.forEach(line => push('added', line));
+
+    return { changes, added, removed };
+};
+
+/**
+ * Whether a text is small enough to diff
+ * @param {String} text - Text to check
+ * @returns {Boolean}
+ */
+const canDiff = (text = '') => splitLines(text).length <= MAX_DIFF_LINES;
+
+module.exports = {
+    MAX_DIFF_LINES,
+    canDiff,
+    diffLines
+};
\ No newline at end of file
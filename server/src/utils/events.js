@@ -0,0 +1,39 @@
+// server/src/utils/events.js - In-process application events
+
+const EventEmitter = require('events');
+const logger = require('./logger');
+
+const EVENTS = {
+    POST_PUBLISHED: 'post:published',
+    POST_LIKED: 'post:liked',
+    POST_LIKES_CHANGED: 'post:likesChanged',
+    COMMENT_CREATED: 'comment:created',
+    USER_FOLLOWED: 'user:followed',
+    NOTIFICATION_CREATED: 'notification:created'
+};
+
+class AppEvents extends EventEmitter {
+    /**
+     * Run every listener and wait for them to settle
+     * Listener failures are logged and never reach the caller,
+     * so side effects cannot break the request that triggered them
+     * @param {String} event - Event name from EVENTS
+     * @param {Object} payload - Event data
+     */
+    async emitAsync(event, payload) {
+        const results = await Promise.allSettled(
+            this.listeners(event).map(listener => listener(payload))
+        );
+
+        results
+            .filter(result => result.status === 'rejected')
+            .forEach(result => logger.error(`Listener for ${event} failed: ${result.reason && result.reason.message}`));
+    }
+}
+
+const events = new AppEvents();
+
+module.exports = {
+    events,
+    EVENTS
+};
\ No newline at end of file
@@ -0,0 +1,91 @@
+// server/src/utils/highlight.js - Search term highlighting
+
+const { escapeHtml } = require('./html');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Extract the terms of a text search query
+ * Negated terms (-word) are dropped since they never match
+ * @param {String} query - Search query
+ * @returns {Array} Lowercase terms
+ */
+const extractTerms = (query = '') => {
+    return query
+        .replace(/"/g, ' ')
+        .split(/\s+/)
+        .filter(term => term && !term.startsWith('-'))
+        .map(term => term.toLowerCase());
+};
+
+/**
+ * Build a regex matching any term as a word prefix
+ * Prefix matching roughly mirrors the stemming done by MongoDB text search
+ */
+const termsRegExp = (terms) => {
+    if (!terms.length) return null;
+    return new RegExp(`\\b(${terms.map(escapeRegExp).join('|')})\\w*`, 'gi');
+};
+
+/**
+ * Check whether text contains any of the terms
+ * @param {String} text - Raw text
+ * @param {Array} terms - Search terms
+ * @returns {Boolean}
+ */
+const containsTerms = (text = '', terms = []) => {
+    const regex = termsRegExp(terms);
+    return Boolean(regex && regex.test(text));
+};
+
+/**
+ * Wrap matched terms in <mark> tags
+ * @param {String} text - Raw text
+ * @param {Array} terms - Search terms
+ * @returns {String} Escaped HTML with highlighted terms
+ */
+const highlight = (text = '', terms = []) => {
+    const regex = termsRegExp(terms);
+    if (!regex) return escapeHtml(text);
+
+    let result = '';
+    let lastIndex = 0;
+
+    text.replace(regex, (match, term, offset) => {
+        result += escapeHtml(text.slice(lastIndex, offset)) + `<mark>${escapeHtml(match)}</mark>`;
+        lastIndex = offset + match.length;
+        return match;
+    });
+
+    return result + escapeHtml(text.slice(lastIndex));
+};
+
+/**
+ * Cut a snippet around the first matched term and highlight it
+ * @param {String} text - Raw text
+ * @param {Array} terms - Search terms
+ * @param {Number} length - Approximate snippet length
+ * @returns {String} Escaped HTML snippet
+ */
+const buildSnippet = (text = '', terms = [], length = 160) => {
+    const regex = termsRegExp(terms);
+    const match = regex ? regex.exec(text) : null;
+
+    let start = 0;
+    if (match) {
+        start = Math.max(0, match.index - Math.floor(length / 3));
+    }
+
+    let snippet = text.slice(start, start + length);
+    if (start > 0) snippet = `...${snippet}`;
+    if (start + length < text.length) snippet = `${snippet}...`;
+
+    return highlight(snippet, terms);
+};
+
+module.exports = {
+    extractTerms,
+    containsTerms,
+    highlight,
+    buildSnippet
+};
\ No newline at end of file
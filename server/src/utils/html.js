@@ -0,0 +1,19 @@
+// server/src/utils/html.js - HTML helpers
+
+/**
+ * Escape HTML special characters
+ * @param {String} text - Raw text
+ * @returns {String} Escaped text
+ */
+const escapeHtml = (text = '') => {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+};
+
+module.exports = {
+    escapeHtml
+};
\ No newline at end of file
@@ -0,0 +1,119 @@
+// server/src/utils/images.js - Image inspection and thumbnail generation
+
+const sharp = require('sharp');
+
+// Accepted upload types and the format sharp reports for each
+const IMAGE_TYPES = {
+    'image/jpeg': { format: 'jpeg', extension: 'jpg' },
+    'image/png': { format: 'png', extension: 'png' },
+    'image/webp': { format: 'webp', extension: 'webp' },
+    'image/gif': { format: 'gif', extension: 'gif' }
+};
+
+// Longest edge in pixels
+const THUMBNAIL_SIZES = {
+    small: 150,
+    medium: 600
+};
+
+// Decoding cost grows with pixels, not file size: a small file can hold huge dimensions
+const MAX_IMAGE_PIXELS = parseInt(process.env.MAX_IMAGE_PIXELS, 10) || 40 * 1000 * 1000;
+const MAX_GIF_FRAMES = 100;
+
+/**
+ * Read image metadata
+ * Only the header is parsed, so this is cheap even for oversized images
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Object|null} sharp metadata, or null if the buffer is not an image
+ */
+const readImageMetadata = async (buffer) => {
+    try {
+        return await sharp(buffer, { limitInputPixels: false }).metadata();
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Check that the file content matches the declared MIME type
+ * The declared type comes from the client and cannot be trusted on its own
+ * @param {Object} metadata - sharp metadata
+ * @param {String} mimeType - Declared MIME type
+ * @returns {Boolean}
+ */
+const matchesMimeType = (metadata, mimeType) => {
+    const type = IMAGE_TYPES[mimeType];
+    return Boolean(metadata && type && metadata.format === type.format);
+};
+
+/**
+ * Check that decoding the image stays within the pixel and frame limits
+ * Every frame of an animated GIF is decoded, so frames count towards the pixels
+ * @param {Object} metadata - sharp metadata
+ * @returns {Boolean}
+ */
+const isWithinLimits = (metadata) => {
+    const frames = metadata.format === 'gif' ? metadata.pages || 1 : 1;
+    const framePixels = metadata.width * (metadata.pageHeight || metadata.height);
+
+    return frames <= MAX_GIF_FRAMES && framePixels * frames <= MAX_IMAGE_PIXELS;
+};
+
+/**
+ * Prepare an upload for storage and generate its thumbnails
+ * The image is decoded by one pipeline that each output clones. The original
+ * keeps its format with EXIF orientation applied and metadata such as GPS
+ * coordinates dropped; thumbnails are WebP fitting within each configured size,
+ * never enlarged. Animated GIFs keep their frames.
+ * Outputs are produced one at a time to bound memory use.
+ * @param {Buffer} buffer - Uploaded file, already checked with isWithinLimits
+ * @param {Object} metadata - sharp metadata of the upload
+ * @returns {Object} { original: { buffer, width, height, size }, thumbnails: [{ name, buffer, width, height, size }] }
+ */
+const processImage = async (buffer, metadata) => {
+    const animated = metadata.format === 'gif';
+    const pipeline = sharp(buffer, {
+        pages: animated ? Math.min(metadata.pages || 1, MAX_GIF_FRAMES) : 1,
+        limitInputPixels: MAX_IMAGE_PIXELS
+    }).rotate();
+
+    const { data, info } = await pipeline.clone()
+        .toFormat(metadata.format)
+        .toBuffer({ resolveWithObject: true });
+
+    const original = {
+        buffer: data,
+        width: info.width,
+        height: animated ? info.pageHeight || info.height : info.height,
+        size: info.size
+    };
+
+    const thumbnails = [];
+    for (const [name, size] of Object.entries(THUMBNAIL_SIZES)) {
+        const thumbnail = await pipeline.clone()
+            .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+            .webp({ quality: 80 })
+            .toBuffer({ resolveWithObject: true });
+
+        thumbnails.push({
+            name,
+            buffer: thumbnail.data,
+            width: thumbnail.info.width,
+            height: animated ? thumbnail.info.pageHeight || thumbnail.info.height : thumbnail.info.height,
+            size: thumbnail.info.size
+        });
+    }
+
+    return { original, thumbnails };
+};
+
+module.exports = {
+    IMAGE_TYPES,
+    THUMBNAIL_SIZES,
+    MAX_IMAGE_PIXELS,
+    MAX_GIF_FRAMES,
+    readImageMetadata,
+    matchesMimeType,
+    isWithinLimits,
+    processImage
+};
\ No newline at end of file
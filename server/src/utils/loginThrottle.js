@@ -0,0 +1,78 @@
+// server/src/utils/loginThrottle.js - Failed login tracking per IP address
+
+const MAX_FAILED_LOGINS_PER_IP = parseInt(process.env.MAX_FAILED_LOGINS_PER_IP, 10) || 20;
+const FAILED_LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const MAX_TRACKED_IPS = 10000;
+
+// ip -> timestamps of recent failed logins
+const failures = new Map();
+
+/**
+ * Drop failures that fell out of the window
+ * @param {String} ip - Client IP address
+ * @param {Number} now - Current timestamp
+ * @returns {Array} Remaining failure timestamps
+ */
+const prune = (ip, now = Date.now()) => {
+    const recent = (failures.get(ip) || []).filter(time => now - time < FAILED_LOGIN_WINDOW_MS);
+
+    if (recent.length) {
+        failures.set(ip, recent);
+    } else {
+        failures.delete(ip);
+    }
+
+    return recent;
+};
+
+/**
+ * Record a failed login from ip
+ * @param {String} ip - Client IP address
+ */
+const recordFailure = (ip) => {
+    const now = Date.now();
+
+    // Sweep stale entries so the map cannot grow without bound
+    if (failures.size >= MAX_TRACKED_IPS) {
+        failures.forEach((times, key) => prune(key, now));
+    }
+
+    const recent = prune(ip, now);
+    recent.push(now);
+    failures.set(ip, recent);
+};
+
+/**
+ * Check whether ip has exceeded the failed login limit
+ * @param {String} ip - Client IP address
+ * @returns {Object} { blocked, retryAfter } with retryAfter in seconds
+ */
+const checkIp = (ip) => {
+    const now = Date.now();
+    const recent = prune(ip, now);
+
+    if (recent.length < MAX_FAILED_LOGINS_PER_IP) {
+        return { blocked: false, retryAfter: 0 };
+    }
+
+    // Blocked until the oldest counted failure leaves the window
+    const oldest = recent[recent.length - MAX_FAILED_LOGINS_PER_IP];
+    return {
+        blocked: true,
+        retryAfter: Math.ceil((oldest + FAILED_LOGIN_WINDOW_MS - now) / 1000)
+    };
+};
+
+/**
+ * Clear all tracked failures
+ */
+const reset = () => {
+    failures.clear();
+};
+
+module.exports = {
+    MAX_FAILED_LOGINS_PER_IP,
+    recordFailure,
+    checkIp,
+    reset
+};
\ No newline at end of file
@@ -0,0 +1,127 @@
+// server/src/utils/mailer.js - Mail transport abstraction
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'MERN Testing App <no-reply@mern-testing.local>';
+
+/**
+ * In-memory transport
+ * Keeps sent messages in an array so tests can inspect them
+ */
+class MemoryTransport {
+    constructor() {
+        this.name = 'memory';
+        this.messages = [];
+    }
+
+    async send(message) {
+        this.messages.push(message);
+        return { messageId: message.messageId };
+    }
+
+    // Most recent message sent to an address
+    lastMessageTo(address) {
+        return [...this.messages].reverse().find(message => message.to === address) || null;
+    }
+
+    clear() {
+        this.messages = [];
+    }
+}
+
+/**
+ * File transport
+ * Writes each message as a JSON file, useful for local development without an SMTP server
+ */
+class FileTransport {
+    constructor(directory = process.env.MAIL_DIR || path.join(__dirname, '../../tmp/mail')) {
+        this.name = 'file';
+        this.directory = directory;
+    }
+
+    async send(message) {
+        await fs.mkdir(this.directory, { recursive: true });
+
+        const filename = `${Date.now()}-${message.messageId}.json`;
+        await fs.writeFile(
+            path.join(this.directory, filename),
+            JSON.stringify(message, null, 2)
+        );
+
+        return { messageId: message.messageId, path: path.join(this.directory, filename) };
+    }
+}
+
+const transports = {
+    memory: MemoryTransport,
+    file: FileTransport
+};
+
+/**
+ * Create transport by name
+ * @param {String} name - Transport name (memory, file)
+ * @returns {Object} Transport instance
+ */
+const createTransport = (name) => {
+    const Transport = transports[name];
+
+    if (!Transport) {
+        throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    return new Transport();
+};
+
+let activeTransport = createTransport(
+    process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'test' ? 'memory' : 'file')
+);
+
+/**
+ * Replace the active transport
+ * Any object with an async send(message) method can be used
+ * @param {Object} transport - Transport instance
+ */
+const setTransport = (transport) => {
+    activeTransport = transport;
+};
+
+/**
+ * Get the active transport
+ * @returns {Object} Transport instance
+ */
+const getTransport = () => activeTransport;
+
+/**
+ * Send mail through the active transport
+ * @param {Object} options - { to, subject, text, html }
+ * @returns {Object} Transport result
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+    const message = {
+        messageId: crypto.randomUUID(),
+        from: MAIL_FROM,
+        to,
+        subject,
+        text,
+        html,
+        date: new Date().toISOString()
+    };
+
+    const result = await activeTransport.send(message);
+
+    logger.info(`Mail sent to ${to} via ${activeTransport.name || 'custom'} transport: ${subject}`);
+
+    return result;
+};
+
+module.exports = {
+    MemoryTransport,
+    FileTransport,
+    createTransport,
+    setTransport,
+    getTransport,
+    sendMail
+};
\ No newline at end of file
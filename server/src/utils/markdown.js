@@ -0,0 +1,153 @@
+// server/src/utils/markdown.js - Markdown rendering and HTML sanitization
+
+const MarkdownIt = require('markdown-it');
+const sanitizeHtml = require('sanitize-html');
+
+const CONTENT_FORMATS = ['markdown', 'html'];
+
+// Raw HTML inside Markdown is rendered too and left to the sanitizer
+const markdown = new MarkdownIt({
+    html: true,
+    linkify: true,
+    typographer: true
+});
+
+const SANITIZE_OPTIONS = {
+    allowedTags: [
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr',
+        'strong', 'em', 'b', 'i', 'u', 's', 'del', 'ins', 'mark', 'sub', 'sup',
+        'blockquote', 'pre', 'code', 'ul', 'ol', 'li',
+        'a', 'img', 'figure', 'figcaption',
+        'table', 'thead', 'tbody', 'tr', 'th', 'td'
+    ],
+    allowedAttributes: {
+        a: ['href', 'title', 'rel', 'target'],
+        img: ['src', 'alt', 'title', 'width', 'height', 'loading'],
+        ol: ['start'],
+        th: ['style'],
+        td: ['style']
+    },
+    allowedClasses: {
+        code: ['language-*']
+    },
+    // Table cell alignment is the only inline style kept
+    allowedStyles: {
+        th: { 'text-align': [/^(left|right|center)$/] },
+        td: { 'text-align': [/^(left|right|center)$/] }
+    },
+    allowedSchemes: ['http', 'https', 'mailto'],
+    allowedSchemesByTag: {
+        img: ['http', 'https']
+    },
+    allowProtocolRelative: false,
+    transformTags: {
+        a: (tagName, attribs) => {
+            const isExternal = /^https?:\/\//i.test(attribs.href || '');
+
+            return {
+                tagName,
+                attribs: {
+                    ...attribs,
+                    rel: 'nofollow noopener noreferrer',
+                    ...(isExternal ? { target: '_blank' } : {})
+                }
+            };
+        },
+        img: (tagName, attribs) => ({
+            tagName,
+            attribs: { ...attribs, loading: 'lazy' }
+        })
+    }
+};
+
+// Closing tags that end a line of text, and table cells that end a word
+const BLOCK_END = /<\/(p|h[1-6]|li|blockquote|pre|tr|figcaption)>|<br\s*\/?>|<hr\s*\/?>/gi;
+const CELL_END = /<\/(th|td)>/gi;
+
+const ENTITIES = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&#39;': "'",
+    '&nbsp;': ' '
+};
+
+/**
+ * Sanitize HTML against the content whitelist
+ * @param {String} html - Untrusted HTML
+ * @returns {String} Safe HTML
+ */
+const sanitize = (html = '') => sanitizeHtml(html, SANITIZE_OPTIONS);
+
+/**
+ * Convert sanitized HTML to plain text, keeping line breaks between blocks
+ * @param {String} html - Sanitized HTML
+ * @returns {String} Plain text
+ */
+const htmlToText = (html = '') => {
+    // Source line breaks are formatting only; block boundaries decide lines
+    const separated = html
+        .replace(/\s+/g, ' ')
+        .replace(BLOCK_END, match => `${match}\n`)
+        .replace(CELL_END, match => `${match} `);
+
+    const text = sanitizeHtml(separated, {
+        allowedTags: [],
+        allowedAttributes: {}
+    });
+
+    return text
+        .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, entity => ENTITIES[entity])
+        .replace(/[ \t]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{2,}/g, '\n')
+        .trim();
+};
+
+/**
+ * Render post content to sanitized HTML and plain text
+ * @param {String} content - Post content
+ * @param {String} format - markdown or html
+ * @returns {Object} { html, text }
+ */
+const renderContent = (content = '', format = 'markdown') => {
+    const html = sanitize(format === 'html' ? content : markdown.render(content)).trim();
+
+    return {
+        html,
+        text: htmlToText(html)
+    };
+};
+
+/**
+ * Excerpt cut at a word boundary
+ * @param {String} text - Plain text
+ * @param {Number} length - Maximum length including the ellipsis
+ * @returns {String}
+ */
+const buildExcerpt = (text = '', length = 150) => {
+    const singleLine = text.replace(/\s+/g, ' ').trim();
+
+    if (singleLine.length <= length) return singleLine;
+    return `${singleLine.substring(0, length - 3).replace(/\s+\S*$/, '')}...`;
+};
+
+/**
+ * Reading time in minutes at 200 words per minute, at least one
+ * @param {String} text - Plain text
+ * @returns {Number}
+ */
+const calculateReadTime = (text = '') => {
+    const wordCount = text.split(/\s+/).filter(Boolean).length;
+    return Math.max(1, Math.ceil(wordCount / 200));
+};
+
+module.exports = {
+    CONTENT_FORMATS,
+    sanitize,
+    htmlToText,
+    renderContent,
+    buildExcerpt,
+    calculateReadTime
+};
\ No newline at end of file
@@ -0,0 +1,119 @@
+// server/src/utils/notifier.js - Turns application events into notifications
+
+const Notification = require('../models/Notification');
+const Follow = require('../models/Follow');
+const User = require('../models/User');
+const { events, EVENTS } = require('./events');
+
+let registered = false;
+
+// Event payloads may carry populated documents or plain ids
+const idOf = (value) => (value && value._id ? value._id : value);
+
+/**
+ * Whether a user wants notifications of a type
+ * Preferences default to on, including for users created before they existed
+ */
+const wantsNotification = (user, type) => {
+    return Boolean(user && user.isActive) &&
+        !(user.notificationPreferences && user.notificationPreferences[type] === false);
+};
+
+/**
+ * Create a notification unless the recipient opted out or is the actor
+ * @param {Object} data - { recipient, actor, type, post, comment }
+ * @returns {Object|null} Notification
+ */
+const notify = async ({ recipient, actor, type, post = null, comment = null }) => {
+    if (!recipient || recipient.toString() === actor.toString()) {
+        return null;
+    }
+
+    const user = await User.findById(recipient).select('isActive notificationPreferences');
+    if (!wantsNotification(user, type)) {
+        return null;
+    }
+
+    let notification;
+
+    if (type === 'like' || type === 'follow') {
+        // Unlike/like or unfollow/follow again marks the existing notification unread
+        // instead of stacking copies
+        notification = await Notification.findOneAndUpdate(
+            { recipient, actor, type, post },
+            { $set: { readAt: null } },
+            { upsert: true, new: true }
+        );
+    } else {
+        notification = await Notification.create({ recipient, actor, type, post, comment });
+    }
+
+    await events.emitAsync(EVENTS.NOTIFICATION_CREATED, { notification });
+
+    return notification;
+};
+
+const onPostLiked = ({ post, actor }) => notify({
+    recipient: idOf(post.author),
+    actor: actor._id,
+    type: 'like',
+    post: post._id
+});
+
+const onCommentCreated = async ({ comment, post, parentComment, actor }) => {
+    const postAuthor = idOf(post.author);
+    const parentAuthor = parentComment ? idOf(parentComment.author) : null;
+
+    if (parentAuthor) {
+        await notify({ recipient: parentAuthor, actor: actor._id, type: 'reply', post: post._id, comment: comment._id });
+    }
+
+    // A reply to the post author's own comment already told them
+    if (!parentAuthor || parentAuthor.toString() !== postAuthor.toString()) {
+        await notify({ recipient: postAuthor, actor: actor._id, type: 'comment', post: post._id, comment: comment._id });
+    }
+};
+
+const onUserFollowed = ({ follower, followee }) => notify({
+    recipient: followee._id,
+    actor: follower._id,
+    type: 'follow'
+});
+
+const onPostPublished = async ({ post }) => {
+    const author = idOf(post.author);
+    const followerIds = await Follow.distinct('follower', { following: author });
+    if (!followerIds.length) return;
+
+    const recipients = await User.find({ _id: { $in: followerIds } })
+        .select('isActive notificationPreferences');
+
+    const notifications = await Notification.insertMany(
+        recipients
+            .filter(user => wantsNotification(user, 'newPost'))
+            .map(user => ({ recipient: user._id, actor: author, type: 'newPost', post: post._id }))
+    );
+
+    await Promise.all(notifications.map(notification =>
+        events.emitAsync(EVENTS.NOTIFICATION_CREATED, { notification })
+    ));
+};
+
+/**
+ * Subscribe the notification handlers to application events
+ * Safe to call more than once
+ */
+const registerNotificationListeners = () => {
+    if (registered) return;
+    registered = true;
+
+    events.on(EVENTS.POST_LIKED, onPostLiked);
+    events.on(EVENTS.COMMENT_CREATED, onCommentCreated);
+    events.on(EVENTS.USER_FOLLOWED, onUserFollowed);
+    events.on(EVENTS.POST_PUBLISHED, onPostPublished);
+};
+
+module.exports = {
+    notify,
+    registerNotificationListeners
+};
\ No newline at end of file
@@ -0,0 +1,148 @@
+// server/src/utils/pagination.js - Opaque cursor pagination helpers
+
+const mongoose = require('mongoose');
+
+/**
+ * Encode a cursor pointing at doc
+ * @param {Object} doc - Document the cursor points at
+ * @param {String} field - Date field the listing is sorted by
+ * @param {String} direction - 'next' or 'prev'
+ * @returns {String} Base64url encoded cursor
+ */
+const encodeCursor = (doc, field, direction = 'next') => {
+    const value = doc[field] ? new Date(doc[field]).getTime() : null;
+
+    return Buffer.from(JSON.stringify({
+        v: value,
+        id: doc._id.toString(),
+        d: direction
+    })).toString('base64url');
+};
+
+/**
+ * Decode a cursor
+ * @param {String} cursor - Cursor from a previous response
+ * @returns {Object|null} { value, id, direction } or null if malformed
+ */
+const decodeCursor = (cursor) => {
+    try {
+        const { v, id, d } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+        const validValue = v === null || Number.isFinite(v);
+        const validId = typeof id === 'string' && /^[a-f0-9]{24}$/.test(id);
+
+        if (!validValue || !validId || !['next', 'prev'].includes(d)) {
+            return null;
+        }
+
+        return {
+            value: v === null ? null : new Date(v),
+            id,
+            direction: d
+        };
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Build the filter selecting documents after the cursor
+ * Listings sort by (field, _id) descending; documents without the field sort last
+ * @param {String} field - Sort field
+ * @param {Object} cursor - Decoded cursor
+ * @returns {Object} MongoDB filter
+ */
+const buildCursorFilter = (field, cursor) => {
+    const { value, id, direction } = cursor;
+    const objectId = new mongoose.Types.ObjectId(id);
+
+    if (direction === 'next') {
+        if (value === null) {
+            return { [field]: null, _id: { $lt: objectId } };
+        }
+
+        return {
+            $or: [
+                { [field]: { $lt: value } },
+                { [field]: value, _id: { $lt: objectId } },
+                { [field]: null }
+            ]
+        };
+    }
+
+    if (value === null) {
+        return {
+            $or: [
+                { [field]: { $ne: null } },
+                { [field]: null, _id: { $gt: objectId } }
+            ]
+        };
+    }
+
+    return {
+        $or: [
+            { [field]: { $gt: value } },
+            { [field]: value, _id: { $gt: objectId } }
+        ]
+    };
+};
+
+/**
+ * Cursors for the edges of a page
+ * @param {Array} docs - Page documents in display order
+ * @param {String} sortField - Sort field
+ * @param {Boolean} hasNext - Whether a following page exists
+ * @param {Boolean} hasPrev - Whether a preceding page exists
+ * @returns {Object} { hasNext, hasPrev, nextCursor, prevCursor }
+ */
+const buildPageInfo = (docs, sortField, hasNext, hasPrev) => {
+    const first = docs[0];
+    const last = docs[docs.length - 1];
+
+    return {
+        hasNext,
+        hasPrev,
+        nextCursor: hasNext && last ? encodeCursor(last, sortField, 'next') : null,
+        prevCursor: hasPrev && first ? encodeCursor(first, sortField, 'prev') : null
+    };
+};
+
+/**
+ * Fetch one page of documents by cursor
+ * @param {Function} buildQuery - Receives the filter and returns a mongoose query (populate, select...)
+ * @param {Object} options - { filter, sortField, limit, cursor } with cursor already decoded
+ * @returns {Object} { docs, pageInfo: { hasNext, hasPrev, nextCursor, prevCursor } }
+ */
+const paginateByCursor = async (buildQuery, { filter = {}, sortField, limit, cursor = null }) => {
+    const backward = Boolean(cursor) && cursor.direction === 'prev';
+    const order = backward ? 1 : -1;
+    const query = cursor ? { $and: [filter, buildCursorFilter(sortField, cursor)] } : filter;
+
+    let docs = await buildQuery(query)
+        .sort({ [sortField]: order, _id: order })
+        .limit(limit + 1);
+
+    const hasMore = docs.length > limit;
+    docs = docs.slice(0, limit);
+
+    if (backward) {
+        docs.reverse();
+    }
+
+    // Paging backwards always leaves the page we came from ahead of us
+    const hasNext = backward ? true : hasMore;
+    const hasPrev = backward ? hasMore : Boolean(cursor);
+
+    return {
+        docs,
+        pageInfo: buildPageInfo(docs, sortField, hasNext, hasPrev)
+    };
+};
+
+module.exports = {
+    encodeCursor,
+    decodeCursor,
+    buildCursorFilter,
+    paginateByCursor,
+    buildPageInfo
+};
\ No newline at end of file
@@ -0,0 +1,70 @@
+// server/src/utils/postScheduler.js - Background publisher for scheduled posts
+
+const Post = require('../models/Post');
+const { events, EVENTS } = require('./events');
+const logger = require('./logger');
+
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.POST_SCHEDULER_INTERVAL_MS, 10) || 60000;
+
+let timer = null;
+let running = false;
+
+/**
+ * Publish every scheduled post whose publish date has passed
+ * State lives in the database, so posts that fell due while the
+ * server was down are published on the first run after a restart
+ * @returns {Number} Number of posts published
+ */
+const runScheduledPublishing = async () => {
+    // Skip the tick if the previous one is still running
+    if (running) return 0;
+    running = true;
+
+    try {
+        const published = await Post.publishDuePosts(new Date());
+
+        if (!published.length) return 0;
+
+        logger.info(`Published ${published.length} scheduled post(s)`);
+
+        // Followers hear about scheduled posts when they go live
+        await Promise.all(published.map(post => events.emitAsync(EVENTS.POST_PUBLISHED, { post })));
+
+        return published.length;
+    } catch (error) {
+        logger.error(`Scheduled publishing failed: ${error.message}`);
+        return 0;
+    } finally {
+        running = false;
+    }
+};
+
+/**
+ * Start the scheduler inside the server process
+ * @param {Number} intervalMs - Polling interval
+ */
+const startPostScheduler = (intervalMs = SCHEDULER_INTERVAL_MS) => {
+    if (timer) return;
+
+    runScheduledPublishing();
+    timer = setInterval(runScheduledPublishing, intervalMs);
+    timer.unref();
+
+    logger.info(`Post scheduler started (every ${intervalMs}ms)`);
+};
+
+/**
+ * Stop the scheduler
+ */
+const stopPostScheduler = () => {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+};
+
+module.exports = {
+    runScheduledPublishing,
+    startPostScheduler,
+    stopPostScheduler
+};
\ No newline at end of file
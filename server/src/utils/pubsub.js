@@ -0,0 +1,64 @@
+// server/src/utils/pubsub.js - Publish/subscribe for real-time updates
+
+const EventEmitter = require('events');
+
+/**
+ * In-process pub/sub
+ * Only reaches subscribers in this process. Running several instances
+ * needs a broker-backed implementation (e.g. Redis) with the same async
+ * publish(channel, message) and subscribe(channel, handler) methods,
+ * where subscribe resolves to an unsubscribe function.
+ */
+class LocalPubSub {
+    constructor() {
+        this.emitter = new EventEmitter();
+        // One listener per open stream and channel
+        this.emitter.setMaxListeners(0);
+    }
+
+    async publish(channel, message) {
+        this.emitter.emit(channel, message);
+    }
+
+    async subscribe(channel, handler) {
+        this.emitter.on(channel, handler);
+        return async () => {
+            this.emitter.off(channel, handler);
+        };
+    }
+
+    listenerCount(channel) {
+        return this.emitter.listenerCount(channel);
+    }
+}
+
+let activePubSub = new LocalPubSub();
+
+/**
+ * Replace the pub/sub implementation (e.g. with a broker client)
+ * @param {Object} pubsub - Object implementing publish and subscribe
+ */
+const setPubSub = (pubsub) => {
+    activePubSub = pubsub;
+};
+
+/**
+ * Get the active pub/sub implementation
+ * @returns {Object} Pub/sub instance
+ */
+const getPubSub = () => activePubSub;
+
+/**
+ * Channel names
+ */
+const channels = {
+    post: (postId) => `post:${postId}`,
+    user: (userId) => `user:${userId}`
+};
+
+module.exports = {
+    LocalPubSub,
+    setPubSub,
+    getPubSub,
+    channels
+};
\ No newline at end of file
@@ -0,0 +1,57 @@
+// server/src/utils/realtime.js - Bridges application events to real-time channels
+
+const Notification = require('../models/Notification');
+const { events, EVENTS } = require('./events');
+const { getPubSub, channels } = require('./pubsub');
+
+let registered = false;
+
+const onPostLikesChanged = ({ post }) => getPubSub().publish(channels.post(post._id), {
+    type: 'likes',
+    data: {
+        postId: post._id,
+        likeCount: post.likes.length
+    }
+});
+
+const onCommentCreated = ({ comment, post }) => getPubSub().publish(channels.post(post._id), {
+    type: 'comment',
+    data: {
+        postId: post._id,
+        comment
+    }
+});
+
+const onNotificationCreated = async ({ notification }) => {
+    await notification.populate([
+        { path: 'actor', select: 'username firstName lastName avatar' },
+        { path: 'post', select: 'title slug' }
+    ]);
+
+    const unreadCount = await Notification.countDocuments({ recipient: notification.recipient, readAt: null });
+
+    await getPubSub().publish(channels.user(notification.recipient), {
+        type: 'notification',
+        data: {
+            notification,
+            unreadCount
+        }
+    });
+};
+
+/**
+ * Publish likes, comments and notifications to real-time channels
+ * Safe to call more than once
+ */
+const registerRealtimeListeners = () => {
+    if (registered) return;
+    registered = true;
+
+    events.on(EVENTS.POST_LIKES_CHANGED, onPostLikesChanged);
+    events.on(EVENTS.COMMENT_CREATED, onCommentCreated);
+    events.on(EVENTS.NOTIFICATION_CREATED, onNotificationCreated);
+};
+
+module.exports = {
+    registerRealtimeListeners
+};
\ No newline at end of file
@@ -0,0 +1,109 @@
+// server/src/utils/seo.js - SEO metadata for server-side rendering
+
+const DESCRIPTION_LENGTH = 160;
+
+const siteUrl = () => (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+const siteName = () => process.env.SITE_NAME || 'MERN Blog';
+
+/**
+ * Resolve a possibly relative URL against the site URL
+ * @param {String} url - Absolute or site-relative URL
+ * @returns {String|null} Absolute URL
+ */
+const absoluteUrl = (url) => {
+    if (!url) return null;
+    if (/^https?:\/\//i.test(url)) return url;
+    return `${siteUrl()}/${url.replace(/^\/+/, '')}`;
+};
+
+/**
+ * Plain text description of at most DESCRIPTION_LENGTH characters
+ * @param {Object} post - Post document
+ * @returns {String}
+ */
+const buildDescription = (post) => {
+    const text = (post.excerpt || post.contentText || post.content || '')
+        .replace(/<[^>]*>/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    if (text.length <= DESCRIPTION_LENGTH) return text;
+    return `${text.substring(0, DESCRIPTION_LENGTH - 3).replace(/\s+\S*$/, '')}...`;
+};
+
+const isEmpty = (value) => {
+    return value === null || value === undefined || value === '' ||
+        (Array.isArray(value) && value.length === 0);
+};
+
+// Drop empty values so they never render as empty meta tags
+const compact = (object) => Object.fromEntries(
+    Object.entries(object).filter(([, value]) => !isEmpty(value))
+);
+
+/**
+ * Build the metadata block for a post page
+ * Expects author and category to be populated
+ * @param {Object} post - Post document
+ * @returns {Object} { title, description, canonicalUrl, openGraph, twitter, jsonLd }
+ */
+const buildPostMetadata = (post) => {
+    const canonicalUrl = `${siteUrl()}/posts/${post.slug}`;
+    const description = buildDescription(post);
+    const image = absoluteUrl(post.featuredImage);
+
+    const author = post.author && post.author.username ? post.author : null;
+    const authorName = author ? author.fullName || author.username : null;
+    const authorUrl = author ? `${siteUrl()}/users/${author.username}` : null;
+    const section = post.category && post.category.name ? post.category.name : null;
+
+    const publishedTime = post.publishedAt ? new Date(post.publishedAt).toISOString() : null;
+    const modifiedTime = post.updatedAt ? new Date(post.updatedAt).toISOString() : null;
+    const tags = post.tags || [];
+
+    return {
+        title: `${post.title} | ${siteName()}`,
+        description,
+        canonicalUrl,
+        openGraph: compact({
+            'og:type': 'article',
+            'og:title': post.title,
+            'og:description': description,
+            'og:url': canonicalUrl,
+            'og:image': image,
+            'og:site_name': siteName(),
+            'article:published_time': publishedTime,
+            'article:modified_time': modifiedTime,
+            'article:author': authorUrl,
+            'article:section': section,
+            'article:tag': tags
+        }),
+        twitter: compact({
+            'twitter:card': image ? 'summary_large_image' : 'summary',
+            'twitter:title': post.title,
+            'twitter:description': description,
+            'twitter:image': image,
+            'twitter:site': process.env.TWITTER_SITE
+        }),
+        jsonLd: compact({
+            '@context': 'https://schema.org',
+            '@type': 'Article',
+            headline: post.title.substring(0, 110), // Google truncates longer headlines
+            description,
+            image: image ? [image] : null,
+            datePublished: publishedTime,
+            dateModified: modifiedTime,
+            author: author ? { '@type': 'Person', name: authorName, url: authorUrl } : null,
+            publisher: { '@type': 'Organization', name: siteName(), url: siteUrl() },
+            mainEntityOfPage: { '@type': 'WebPage', '@id': canonicalUrl },
+            articleSection: section,
+            keywords: tags.join(', ')
+        })
+    };
+};
+
+module.exports = {
+    absoluteUrl,
+    buildPostMetadata
+};
\ No newline at end of file
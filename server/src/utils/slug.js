@@ -0,0 +1,112 @@
+// server/src/utils/slug.js - Slug generation helpers
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Turn text into a URL slug
+ * @param {String} text - Title or name
+ * @returns {String} Lowercase slug
+ */
+const slugify = (text = '') => {
+    return text
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+};
+
+/**
+ * Find a slug for base that no other document uses, now or in its history
+ * Old slugs stay reserved so links to renamed documents keep resolving
+ * @param {Model} Model - Mongoose model with slug and slugHistory fields
+ * @param {String} base - Slug derived from the title
+ * @param {ObjectId} excludeId - Document being saved
+ * @returns {String} base, or base with the lowest free numeric suffix
+ */
+const generateUniqueSlug = async (Model, base, excludeId) => {
+    const pattern = new RegExp(`^${escapeRegExp(base)}(-\\d+)?$`);
+
+    const taken = await Model.find({
+        _id: { $ne: excludeId },
+        $or: [{ slug: pattern }, { slugHistory: pattern }]
+    }).select('slug slugHistory').lean();
+
+    const used = new Set();
+    taken.forEach(doc => {
+        [doc.slug, ...(doc.slugHistory || [])]
+            .filter(slug => slug && pattern.test(slug))
+            .forEach(slug => used.add(slug));
+    });
+
+    if (!used.has(base)) return base;
+
+    let suffix = 2;
+    while (used.has(`${base}-${suffix}`)) {
+        suffix++;
+    }
+
+    return `${base}-${suffix}`;
+};
+
+/**
+ * Assign a unique slug from source and keep the previous one in slugHistory
+ * Meant to be called from a pre-save hook with the document as this
+ * @param {Document} doc - Document being saved
+ * @param {String} source - Text the slug is derived from
+ * @param {String} fallback - Slug used when source has no usable characters
+ */
+const assignSlug = async (doc, source, fallback) => {
+    const base = slugify(source) || fallback;
+
+    // Keep the current slug while it still matches the title (e.g. only case changed)
+    if (doc.slug && new RegExp(`^${escapeRegExp(base)}(-\\d+)?$`).test(doc.slug)) {
+        return;
+    }
+
+    const slug = await generateUniqueSlug(doc.constructor, base, doc._id);
+
+    if (doc.slug && doc.slug !== slug && !doc.slugHistory.includes(doc.slug)) {
+        doc.slugHistory.push(doc.slug);
+    }
+
+    // Taking an old slug back removes it from the history
+    doc.slugHistory = doc.slugHistory.filter(oldSlug => oldSlug !== slug);
+    doc.slug = slug;
+};
+
+const MAX_SLUG_ATTEMPTS = 3;
+
+const isSlugConflict = (error) => {
+    return Boolean(error && error.code === 11000 && error.keyPattern && error.keyPattern.slug);
+};
+
+/**
+ * Save a document whose pre-save hook assigns a slug
+ * A concurrent save can take the same slug between the lookup and the write,
+ * so a duplicate key on slug puts the previous slug back and tries again
+ * @param {Document} doc - Document to save
+ * @returns {Document} Saved document
+ */
+const saveWithUniqueSlug = async (doc) => {
+    const slug = doc.slug;
+    const slugHistory = [...(doc.slugHistory || [])];
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await doc.save();
+        } catch (error) {
+            if (!isSlugConflict(error) || attempt >= MAX_SLUG_ATTEMPTS) {
+                throw error;
+            }
+
+            doc.slug = slug;
+            doc.slugHistory = slugHistory;
+        }
+    }
+};
+
+module.exports = {
+    slugify,
+    generateUniqueSlug,
+    assignSlug,
+    saveWithUniqueSlug
+};
\ No newline at end of file
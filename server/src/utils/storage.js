@@ -0,0 +1,123 @@
+// server/src/utils/storage.js - File storage abstraction for uploaded media
+
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * In-memory storage
+ * Keeps files in a Map so tests can inspect them without touching the disk
+ */
+class MemoryStorage {
+    constructor() {
+        this.name = 'memory';
+        this.files = new Map();
+    }
+
+    async save(key, buffer, { contentType } = {}) {
+        this.files.set(key, { buffer, contentType });
+        return { key, url: this.getUrl(key) };
+    }
+
+    async delete(key) {
+        this.files.delete(key);
+    }
+
+    getUrl(key) {
+        return `/uploads/${key}`;
+    }
+
+    clear() {
+        this.files.clear();
+    }
+}
+
+/**
+ * Local disk storage
+ * Writes files under a directory that app.js serves at publicPath
+ */
+class LocalDiskStorage {
+    constructor(
+        directory = process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads'),
+        publicPath = '/uploads'
+    ) {
+        this.name = 'local';
+        this.directory = path.resolve(directory);
+        this.publicPath = publicPath;
+    }
+
+    // Keys are generated by the server, but never let one escape the directory
+    resolve(key) {
+        const filePath = path.resolve(this.directory, key);
+
+        if (!filePath.startsWith(this.directory + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+
+        return filePath;
+    }
+
+    async save(key, buffer) {
+        const filePath = this.resolve(key);
+
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, buffer);
+
+        return { key, url: this.getUrl(key) };
+    }
+
+    async delete(key) {
+        await fs.rm(this.resolve(key), { force: true });
+    }
+
+    getUrl(key) {
+        return `${process.env.UPLOAD_BASE_URL || ''}${this.publicPath}/${key}`;
+    }
+}
+
+const drivers = {
+    memory: MemoryStorage,
+    local: LocalDiskStorage
+};
+
+/**
+ * Create storage by driver name
+ * @param {String} name - Driver name (memory, local)
+ * @returns {Object} Storage instance
+ */
+const createStorage = (name) => {
+    const Storage = drivers[name];
+
+    if (!Storage) {
+        throw new Error(`Unknown storage driver: ${name}`);
+    }
+
+    return new Storage();
+};
+
+let activeStorage = createStorage(
+    process.env.STORAGE_DRIVER || (process.env.NODE_ENV === 'test' ? 'memory' : 'local')
+);
+
+/**
+ * Replace the active storage
+ * Any object with async save(key, buffer, options) and delete(key) methods
+ * resolving to { key, url } can be used (e.g. an S3 adapter)
+ * @param {Object} storage - Storage instance
+ */
+const setStorage = (storage) => {
+    activeStorage = storage;
+};
+
+/**
+ * Get the active storage
+ * @returns {Object} Storage instance
+ */
+const getStorage = () => activeStorage;
+
+module.exports = {
+    MemoryStorage,
+    LocalDiskStorage,
+    createStorage,
+    setStorage,
+    getStorage
+};
\ No newline at end of file
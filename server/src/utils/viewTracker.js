@@ -0,0 +1,104 @@
+// server/src/utils/viewTracker.js - Deduplicated post view counting
+
+const crypto = require('crypto');
+const Post = require('../models/Post');
+const PostView = require('../models/PostView');
+const PostViewDaily = require('../models/PostViewDaily');
+const logger = require('./logger');
+
+const VIEW_WINDOW_MINUTES = parseInt(process.env.VIEW_WINDOW_MINUTES, 10) || 30;
+
+const BOT_PATTERN = /bot|crawl|spider|slurp|archiver|facebookexternalhit|embedly|preview|headless|lighthouse|pingdom|monitor|curl|wget|python-requests|httpclient|java\//i;
+
+/**
+ * Check whether a user agent belongs to a crawler or script
+ * Requests without a user agent are treated as bots
+ * @param {String} userAgent - User-Agent header
+ * @returns {Boolean}
+ */
+const isBot = (userAgent) => !userAgent || BOT_PATTERN.test(userAgent);
+
+/**
+ * Identify the viewer of a request
+ * Signed-in users are counted once across devices; anonymous visitors by IP and user agent
+ * @param {Object} req - Express request
+ * @returns {String} Viewer key
+ */
+const getViewerKey = (req) => {
+    if (req.user) {
+        return `user:${req.user._id}`;
+    }
+
+    const fingerprint = crypto
+        .createHash('sha256')
+        .update(`${req.ip}|${req.get('user-agent') || ''}`)
+        .digest('hex');
+
+    return `anon:${fingerprint}`;
+};
+
+/**
+ * UTC midnight of a date
+ * @param {Date} date - Any time on the day
+ * @returns {Date}
+ */
+const startOfDay = (date = new Date()) => {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+/**
+ * Count a view unless it comes from a bot or the viewer was counted within the window
+ * Never throws, so a tracking failure cannot break the page
+ * @param {Object} post - Post document (needs _id and author)
+ * @param {Object} req - Express request
+ * @returns {Boolean} Whether the view was counted
+ */
+const recordView = async (post, req) => {
+    try {
+        if (isBot(req.get('user-agent'))) {
+            return false;
+        }
+
+        const now = new Date();
+
+        // The upsert only inserts for a viewer without an open window, so concurrent
+        // requests from the same viewer cannot both be counted. Expired records can
+        // outlive their window until the TTL monitor runs, which only ever undercounts
+        const result = await PostView.updateOne(
+            { post: post._id, viewer: getViewerKey(req) },
+            { $setOnInsert: { expiresAt: new Date(now.getTime() + VIEW_WINDOW_MINUTES * 60 * 1000) } },
+            { upsert: true }
+        );
+
+        if (!result.upsertedCount) {
+            return false;
+        }
+
+        const authorId = post.author && post.author._id ? post.author._id : post.author;
+
+        await Promise.all([
+            Post.updateOne({ _id: post._id }, { $inc: { views: 1 } }, { timestamps: false }),
+            PostViewDaily.updateOne(
+                { post: post._id, date: startOfDay(now) },
+                { $inc: { views: 1 }, $setOnInsert: { author: authorId } },
+                { upsert: true }
+            )
+        ]);
+
+        return true;
+    } catch (error) {
+        // Duplicate key: another request from this viewer won the race
+        if (error.code !== 11000) {
+            logger.error(`Failed to record view for post ${post._id}: ${error.message}`);
+        }
+        return false;
+    }
+};
+
+module.exports = {
+    isBot,
+    getViewerKey,
+    startOfDay,
+    recordView,
+    VIEW_WINDOW_MINUTES
+};
\ No newline at end of file
@@ -0,0 +1,69 @@
+// server/tests/integration/adminStats.test.js - Integration tests for admin statistics
+
+const request = require('supertest');
+const app = require('../../src/app');
+const { statsCache } = require('../../src/controllers/adminController');
+
+describe('Admin Stats Integration Tests', () => {
+    let admin, author, adminToken, authorToken;
+
+    const getStats = (token = adminToken) => request(app)
+        .get('/api/admin/stats')
+        .set('Authorization', `Bearer ${token}`);
+
+    beforeEach(async () => {
+        await statsCache.clear();
+
+        admin = await testUtils.createTestUser({ username: 'admin', email: 'admin@example.com', role: 'admin' });
+        author = await testUtils.createTestUser();
+        await testUtils.createTestUser({ username: 'inactive', email: 'inactive@example.com', isActive: false });
+        adminToken = testUtils.generateTestToken(admin);
+        authorToken = testUtils.generateTestToken(author);
+
+        await testUtils.createTestPost(author._id, { title: 'Popular Post', views: 50 });
+        await testUtils.createTestPost(author._id, { title: 'Quiet Post', views: 5 });
+        await testUtils.createTestPost(author._id, { title: 'Draft Post', status: 'draft' });
+    });
+
+    it('should be admin only', async () => {
+        const res = await getStats(authorToken);
+
+        expect(res.status).toBe(403);
+    });
+
+    it('should return site-wide statistics', async () => {
+        const res = await getStats();
+
+        expect(res.status).toBe(200);
+
+        const stats = res.body.data;
+        expect(stats.totals).toMatchObject({ users: 3, posts: 3, comments: 0 });
+        expect(stats.postsByStatus).toEqual({ draft: 1, scheduled: 0, published: 2, archived: 0 });
+        expect(stats.usersByRole).toEqual([
+            { role: 'admin', active: 1, inactive: 0, total: 1 },
+            { role: 'user', active: 1, inactive: 1, total: 2 }
+        ]);
+        expect(stats.signups).toHaveLength(30);
+        expect(stats.signups[29].count).toBe(3);
+        expect(stats.topAuthors[0]).toMatchObject({ username: 'testuser', posts: 2, views: 55 });
+        expect(stats.topPosts.map(p => p.title)).toEqual(['Popular Post', 'Quiet Post']);
+    });
+
+    it('should serve cached statistics until refreshed', async () => {
+        const first = await getStats();
+        expect(first.body.data.cached).toBe(false);
+
+        await testUtils.createTestPost(author._id, { title: 'Another Post' });
+
+        const cached = await getStats();
+        expect(cached.body.data.cached).toBe(true);
+        expect(cached.body.data.totals.posts).toBe(3);
+
+        const refreshed = await request(app)
+            .get('/api/admin/stats')
+            .query({ refresh: 'true' })
+            .set('Authorization', `Bearer ${adminToken}`);
+        expect(refreshed.body.data.cached).toBe(false);
+        expect(refreshed.body.data.totals.posts).toBe(4);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,94 @@
+// server/tests/integration/analytics.test.js - Integration tests for author analytics
+
+const request = require('supertest');
+const app = require('../../src/app');
+const PostViewDaily = require('../../src/models/PostViewDaily');
+const { startOfDay } = require('../../src/utils/viewTracker');
+
+describe('Author Analytics Integration Tests', () => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    let author, other, authorToken, recent, old;
+
+    beforeEach(async () => {
+        author = await testUtils.createTestUser();
+        other = await testUtils.createTestUser({ username: 'otheruser', email: 'other@example.com' });
+        authorToken = testUtils.generateTestToken(author);
+
+        recent = await testUtils.createTestPost(author._id, {
+            title: 'Recent Post',
+            tags: ['react', 'testing'],
+            views: 10,
+            likes: [other._id],
+            publishedAt: new Date(Date.now() - 2 * DAY_MS)
+        });
+        old = await testUtils.createTestPost(author._id, {
+            title: 'Old Post',
+            tags: ['testing'],
+            views: 100,
+            publishedAt: new Date(Date.now() - 60 * DAY_MS)
+        });
+        await testUtils.createTestPost(other._id, { title: 'Someone Else', views: 1000 });
+
+        await PostViewDaily.create([
+            { post: recent._id, author: author._id, date: startOfDay(), views: 4 },
+            { post: old._id, author: author._id, date: new Date(startOfDay().getTime() - 20 * DAY_MS), views: 6 }
+        ]);
+    });
+
+    it('should require authentication', async () => {
+        const res = await request(app).get('/api/users/me/analytics');
+
+        expect(res.status).toBe(401);
+    });
+
+    it('should return totals and per-post engagement for the current user only', async () => {
+        const res = await request(app)
+            .get('/api/users/me/analytics')
+            .set('Authorization', `Bearer ${authorToken}`);
+
+        expect(res.status).toBe(200);
+
+        const { totals, posts } = res.body.data;
+        expect(totals).toMatchObject({ posts: 2, views: 110, likes: 1 });
+
+        // readTime is 1 minute for the short test content; likes weigh 5
+        expect(posts.map(p => [p.title, p.engagement])).toEqual([
+            ['Old Post', 100],
+            ['Recent Post', 15]
+        ]);
+        expect(posts.find(p => p.title === 'Recent Post').recentViews).toBe(4);
+    });
+
+    it('should summarise 7, 30 and 90 day windows', async () => {
+        const res = await request(app)
+            .get('/api/users/me/analytics')
+            .set('Authorization', `Bearer ${authorToken}`);
+
+        const { windows } = res.body.data;
+        expect(windows['7d']).toEqual({ viewsReceived: 4, postsPublished: 1, viewsOnNewPosts: 10, likesOnNewPosts: 1 });
+        expect(windows['30d'].viewsReceived).toBe(10);
+        expect(windows['90d'].postsPublished).toBe(2);
+    });
+
+    it('should return a daily timeline and top tags', async () => {
+        const res = await request(app)
+            .get('/api/users/me/analytics')
+            .query({ days: 7 })
+            .set('Authorization', `Bearer ${authorToken}`);
+
+        const { timeline, topTags, topCategories } = res.body.data;
+        expect(timeline).toHaveLength(7);
+        expect(timeline[6].views).toBe(4);
+        expect(topTags[0]).toMatchObject({ tag: 'testing', posts: 2, views: 110 });
+        expect(topCategories[0]).toMatchObject({ name: 'Test Category', posts: 2 });
+    });
+
+    it('should reject unsupported windows', async () => {
+        const res = await request(app)
+            .get('/api/users/me/analytics')
+            .query({ days: 14 })
+            .set('Authorization', `Bearer ${authorToken}`);
+
+        expect(res.status).toBe(400);
+    });
+});
\ No newline at end of file
@@ -515,6 +515,134 @@ describe('Authentication Integration Tests', () => {
         });
     });
 
+    describe('POST /api/auth/refresh and logout', () => {
+        const userData = {
+            username: 'testuser',
+            email: 'test@example.com',
+            password: 'password123'
+        };
+
+        let tokens;
+
+        beforeEach(async () => {
+            const registerRes = await request(app)
+                .post('/api/auth/register')
+                .send(userData);
+
+            tokens = registerRes.body.data;
+        });
+
+        it('should return a refresh token on register', () => {
+            expect(tokens.token).toBeDefined();
+            expect(tokens.refreshToken).toBeDefined();
+        });
+
+        it('should rotate the refresh token', async () => {
+            const res = await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: tokens.refreshToken });
+
+            expect(res.status).toBe(200);
+            expect(res.body.success).toBe(true);
+            expect(res.body.data.token).toBeDefined();
+            expect(res.body.data.refreshToken).not.toBe(tokens.refreshToken);
+
+            const profileRes = await request(app)
+                .get('/api/auth/me')
+                .set('Authorization', `Bearer ${res.body.data.token}`);
+
+            expect(profileRes.status).toBe(200);
+        });
+
+        it('should revoke the whole family when a rotated token is replayed', async () => {
+            const firstRotation = await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: tokens.refreshToken });
+
+            const replayRes = await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: tokens.refreshToken });
+
+            expect(replayRes.status).toBe(401);
+            expect(replayRes.body.error).toBe('Refresh token has been revoked');
+
+            // The legitimately rotated token is now revoked as well
+            const res = await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: firstRotation.body.data.refreshToken });
+
+            expect(res.status).toBe(401);
+        });
+
+        it('should let only one of several concurrent refreshes succeed', async () => {
+            const responses = await Promise.all([1, 2, 3].map(() => request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: tokens.refreshToken })));
+
+            const succeeded = responses.filter(res => res.status === 200);
+            expect(succeeded).toHaveLength(1);
+
+            // The losers count as reuse, which revokes the winner's token too
+            const res = await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: succeeded[0].body.data.refreshToken });
+
+            expect(res.status).toBe(401);
+        });
+
+        it('should fail with an unknown refresh token', async () => {
+            const res = await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: 'not-a-real-token' });
+
+            expect(res.status).toBe(401);
+            expect(res.body.error).toBe('Invalid or expired refresh token');
+        });
+
+        it('should fail without a refresh token', async () => {
+            const res = await request(app)
+                .post('/api/auth/refresh')
+                .send({});
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe('Validation failed');
+        });
+
+        it('should logout the current session', async () => {
+            const logoutRes = await request(app)
+                .post('/api/auth/logout')
+                .send({ refreshToken: tokens.refreshToken });
+
+            expect(logoutRes.status).toBe(200);
+
+            const res = await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: tokens.refreshToken });
+
+            expect(res.status).toBe(401);
+        });
+
+        it('should logout every session of the user', async () => {
+            const loginRes = await request(app)
+                .post('/api/auth/login')
+                .send({ identifier: userData.email, password: userData.password });
+
+            const logoutRes = await request(app)
+                .post('/api/auth/logout-all')
+                .set('Authorization', `Bearer ${tokens.token}`);
+
+            expect(logoutRes.status).toBe(200);
+
+            for (const refreshToken of [tokens.refreshToken, loginRes.body.data.refreshToken]) {
+                const res = await request(app)
+                    .post('/api/auth/refresh')
+                    .send({ refreshToken });
+
+                expect(res.status).toBe(401);
+            }
+        });
+    });
+
     describe('Authentication Flow Integration', () => {
         const userData = {
             username: 'testuser',
@@ -0,0 +1,137 @@
+// server/tests/integration/bookmarks.test.js - Integration tests for bookmarks
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Bookmark = require('../../src/models/Bookmark');
+
+describe('Bookmarks Integration Tests', () => {
+    let user, userToken, first, second;
+
+    const bookmark = (post, body = {}) => request(app)
+        .post(`/api/posts/${post._id}/bookmark`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send(body);
+
+    beforeEach(async () => {
+        user = await testUtils.createTestUser();
+        userToken = testUtils.generateTestToken(user);
+        first = await testUtils.createTestPost(user._id, { title: 'First Post' });
+        second = await testUtils.createTestPost(user._id, { title: 'Second Post' });
+    });
+
+    describe('POST /api/posts/:id/bookmark', () => {
+        it('should bookmark a post', async () => {
+            const res = await bookmark(first);
+
+            expect(res.status).toBe(201);
+            expect(res.body.data.isBookmarked).toBe(true);
+            expect(await Bookmark.countDocuments({ user: user._id })).toBe(1);
+        });
+
+        it('should move an existing bookmark to another collection without duplicating it', async () => {
+            await bookmark(first);
+            const res = await bookmark(first, { collection: 'Read later' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.bookmark.collectionName).toBe('Read later');
+            expect(await Bookmark.countDocuments({ user: user._id })).toBe(1);
+        });
+
+        it('should require authentication', async () => {
+            const res = await request(app).post(`/api/posts/${first._id}/bookmark`);
+
+            expect(res.status).toBe(401);
+        });
+
+        it('should return 404 for a missing post', async () => {
+            const res = await bookmark({ _id: '507f1f77bcf86cd799439011' });
+
+            expect(res.status).toBe(404);
+        });
+    });
+
+    describe('DELETE /api/posts/:id/bookmark', () => {
+        it('should remove a bookmark', async () => {
+            await bookmark(first);
+
+            const res = await request(app)
+                .delete(`/api/posts/${first._id}/bookmark`)
+                .set('Authorization', `Bearer ${userToken}`);
+
+            expect(res.status).toBe(200);
+            expect(await Bookmark.countDocuments()).toBe(0);
+        });
+
+        it('should return 404 when the post is not bookmarked', async () => {
+            const res = await request(app)
+                .delete(`/api/posts/${first._id}/bookmark`)
+                .set('Authorization', `Bearer ${userToken}`);
+
+            expect(res.status).toBe(404);
+        });
+    });
+
+    describe('GET /api/users/me/bookmarks', () => {
+        beforeEach(async () => {
+            await bookmark(first, { collection: 'Read later' });
+            await bookmark(second);
+        });
+
+        it('should list bookmarks with their posts, newest first', async () => {
+            const res = await request(app)
+                .get('/api/users/me/bookmarks')
+                .set('Authorization', `Bearer ${userToken}`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.bookmarks.map(b => b.post.title)).toEqual(['Second Post', 'First Post']);
+            expect(res.body.data.pagination.total).toBe(2);
+        });
+
+        it('should filter by collection', async () => {
+            const res = await request(app)
+                .get('/api/users/me/bookmarks')
+                .query({ collection: 'Read later' })
+                .set('Authorization', `Bearer ${userToken}`);
+
+            expect(res.body.data.bookmarks.map(b => b.post.title)).toEqual(['First Post']);
+        });
+
+        it('should list collections with counts', async () => {
+            const res = await request(app)
+                .get('/api/users/me/bookmarks/collections')
+                .set('Authorization', `Bearer ${userToken}`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.collections.map(c => [c.name, c.count])).toEqual([
+                [null, 1],
+                ['Read later', 1]
+            ]);
+        });
+    });
+
+    describe('isBookmarked flag', () => {
+        beforeEach(async () => {
+            await bookmark(first);
+        });
+
+        it('should flag bookmarked posts for authenticated requests', async () => {
+            const res = await request(app)
+                .get('/api/posts')
+                .set('Authorization', `Bearer ${userToken}`);
+
+            const flags = Object.fromEntries(res.body.data.posts.map(p => [p.title, p.isBookmarked]));
+            expect(flags).toEqual({ 'First Post': true, 'Second Post': false });
+
+            const single = await request(app)
+                .get(`/api/posts/${first._id}`)
+                .set('Authorization', `Bearer ${userToken}`);
+            expect(single.body.data.post.isBookmarked).toBe(true);
+        });
+
+        it('should leave the flag out for anonymous requests', async () => {
+            const res = await request(app).get('/api/posts');
+
+            expect(res.body.data.posts[0]).not.toHaveProperty('isBookmarked');
+        });
+    });
+});
\ No newline at end of file
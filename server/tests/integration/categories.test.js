@@ -0,0 +1,243 @@
+// server/tests/integration/categories.test.js - Integration tests for hierarchical categories
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Category = require('../../src/models/Category');
+const Post = require('../../src/models/Post');
+
+describe('Category Hierarchy Integration Tests', () => {
+    let admin, adminToken, author, programming, javascript, react;
+
+    beforeEach(async () => {
+        admin = await testUtils.createTestUser({ username: 'admin', email: 'admin@example.com', role: 'admin' });
+        adminToken = testUtils.generateTestToken(admin);
+        author = await testUtils.createTestUser();
+
+        programming = await Category.create({ name: 'Programming' });
+        javascript = await Category.create({ name: 'JavaScript', parent: programming._id });
+        react = await Category.create({ name: 'React', parent: javascript._id });
+    });
+
+    describe('GET /api/categories/tree', () => {
+        it('should nest categories under their parents', async () => {
+            await Category.create({ name: 'Design' });
+
+            const res = await request(app).get('/api/categories/tree');
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.tree.map(c => c.name)).toEqual(['Design', 'Programming']);
+
+            const [js] = res.body.data.tree[1].children;
+            expect(js.name).toBe('JavaScript');
+            expect(js.children.map(c => c.name)).toEqual(['React']);
+        });
+    });
+
+    describe('GET /api/categories/:id', () => {
+        it('should include the breadcrumb path from the root', async () => {
+            const res = await request(app).get(`/api/categories/${react._id}`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.breadcrumbs.map(c => c.slug)).toEqual(['programming', 'javascript', 'react']);
+        });
+    });
+
+    describe('PUT /api/categories/:id', () => {
+        const move = (category, parent) => request(app)
+            .put(`/api/categories/${category._id}`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ name: category.name, parent });
+
+        it('should reject making a category its own parent', async () => {
+            const res = await move(javascript, javascript._id.toString());
+
+            expect(res.status).toBe(400);
+        });
+
+        it('should reject moving a category under its descendant', async () => {
+            const res = await move(programming, react._id.toString());
+
+            expect(res.status).toBe(400);
+
+            const unchanged = await Category.findById(programming._id);
+            expect(unchanged.parent).toBeNull();
+        });
+
+        it('should allow moving a category to the root', async () => {
+            const res = await move(react, null);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.category.parent).toBeNull();
+        });
+    });
+
+    describe('DELETE /api/categories/:id', () => {
+        it('should move children up to the deleted category\'s parent', async () => {
+            const res = await request(app)
+                .delete(`/api/categories/${javascript._id}`)
+                .set('Authorization', `Bearer ${adminToken}`);
+
+            expect(res.status).toBe(200);
+
+            const child = await Category.findById(react._id);
+            expect(child.parent.toString()).toBe(programming._id.toString());
+        });
+    });
+
+    describe('DELETE /api/categories/:id with posts', () => {
+        beforeEach(async () => {
+            await testUtils.createTestPost(author._id, { title: 'JavaScript Post', category: javascript._id });
+        });
+
+        it('should refuse to delete a category that still has posts', async () => {
+            const res = await request(app)
+                .delete(`/api/categories/${javascript._id}`)
+                .set('Authorization', `Bearer ${adminToken}`);
+
+            expect(res.status).toBe(409);
+            expect(res.body.postCount).toBe(1);
+            expect(await Category.exists({ _id: javascript._id })).not.toBeNull();
+        });
+
+        it('should move posts to reassignTo before deleting', async () => {
+            const res = await request(app)
+                .delete(`/api/categories/${javascript._id}`)
+                .query({ reassignTo: programming._id.toString() })
+                .set('Authorization', `Bearer ${adminToken}`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.postsMoved).toBe(1);
+
+            const post = await Post.findOne({ title: 'JavaScript Post' });
+            expect(post.category.toString()).toBe(programming._id.toString());
+        });
+
+        it('should reject reassigning to the deleted category', async () => {
+            const res = await request(app)
+                .delete(`/api/categories/${javascript._id}`)
+                .query({ reassignTo: javascript._id.toString() })
+                .set('Authorization', `Bearer ${adminToken}`);
+
+            expect(res.status).toBe(400);
+        });
+    });
+
+    describe('Category deactivation', () => {
+        beforeEach(async () => {
+            await testUtils.createTestPost(author._id, { title: 'Programming Post', category: programming._id });
+            await testUtils.createTestPost(author._id, { title: 'React Post', category: react._id });
+            await testUtils.createTestPost(author._id, { title: 'Other Post' });
+        });
+
+        it('should hide posts of a deactivated category and its subtree', async () => {
+            const deactivate = await request(app)
+                .put(`/api/categories/${javascript._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ name: 'JavaScript', isActive: false });
+
+            expect(deactivate.status).toBe(200);
+
+            const res = await request(app).get('/api/posts');
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.posts.map(p => p.title).sort()).toEqual(['Other Post', 'Programming Post']);
+
+            const tree = await request(app).get('/api/categories/tree');
+            expect(tree.body.data.tree.find(c => c.name === 'Programming').children).toEqual([]);
+        });
+
+        it('should leave the subtree of a deactivated category out of the category list', async () => {
+            await Category.updateOne({ _id: javascript._id }, { isActive: false });
+
+            const res = await request(app).get('/api/categories');
+
+            const names = res.body.data.categories.map(c => c.name);
+            expect(res.status).toBe(200);
+            expect(names).toContain('Programming');
+            expect(names).not.toContain('JavaScript');
+            expect(names).not.toContain('React');
+        });
+    });
+
+    describe('Category statistics', () => {
+        beforeEach(async () => {
+            await testUtils.createTestPost(author._id, {
+                title: 'January Post',
+                category: react._id,
+                views: 10,
+                publishedAt: new Date('2024-01-10')
+            });
+            await testUtils.createTestPost(author._id, {
+                title: 'March Post',
+                category: react._id,
+                views: 5,
+                publishedAt: new Date('2024-03-02')
+            });
+            await testUtils.createTestPost(author._id, {
+                title: 'Draft Post',
+                category: react._id,
+                status: 'draft'
+            });
+        });
+
+        it('should include published post stats in the category list', async () => {
+            const res = await request(app).get('/api/categories');
+
+            expect(res.status).toBe(200);
+
+            const reactStats = res.body.data.categories.find(c => c.name === 'React');
+            expect(reactStats.postCount).toBe(2);
+            expect(reactStats.totalViews).toBe(15);
+            expect(new Date(reactStats.latestPostAt).toISOString()).toBe('2024-03-02T00:00:00.000Z');
+
+            const programmingStats = res.body.data.categories.find(c => c.name === 'Programming');
+            expect(programmingStats.postCount).toBe(0);
+        });
+
+        it('should return a monthly trend for the category subtree', async () => {
+            const res = await request(app)
+                .get(`/api/categories/${programming._id}/stats`)
+                .query({ from: '2024-01-01', to: '2024-12-31', includeSubcategories: 'true' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.totals.postCount).toBe(2);
+            expect(res.body.data.trend.periods).toEqual([
+                { period: '2024-01', posts: 1, views: 10, likes: 0 },
+                { period: '2024-03', posts: 1, views: 5, likes: 0 }
+            ]);
+        });
+
+        it('should reject an unknown interval', async () => {
+            const res = await request(app)
+                .get(`/api/categories/${react._id}/stats`)
+                .query({ interval: 'year' });
+
+            expect(res.status).toBe(400);
+        });
+    });
+
+    describe('GET /api/posts with includeSubcategories', () => {
+        beforeEach(async () => {
+            await testUtils.createTestPost(author._id, { title: 'Programming Post', category: programming._id });
+            await testUtils.createTestPost(author._id, { title: 'React Post', category: react._id });
+        });
+
+        it('should only match the exact category by default', async () => {
+            const res = await request(app)
+                .get('/api/posts')
+                .query({ category: programming._id.toString() });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.posts.map(p => p.title)).toEqual(['Programming Post']);
+        });
+
+        it('should include posts from descendant categories', async () => {
+            const res = await request(app)
+                .get('/api/posts')
+                .query({ category: programming._id.toString(), includeSubcategories: 'true' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.posts.map(p => p.title).sort()).toEqual(['Programming Post', 'React Post']);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,162 @@
+// server/tests/integration/comments.test.js - Integration tests for threaded comments
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const Comment = require('../../src/models/Comment');
+
+describe('Comments Integration Tests', () => {
+    let author, other, authorToken, otherToken, post;
+
+    beforeEach(async () => {
+        author = await testUtils.createTestUser();
+        other = await testUtils.createTestUser({ username: 'otheruser', email: 'other@example.com' });
+        authorToken = testUtils.generateTestToken(author);
+        otherToken = testUtils.generateTestToken(other);
+        post = await testUtils.createTestPost(author._id);
+    });
+
+    describe('POST /api/posts/:id/comments', () => {
+        it('should create a top-level comment', async () => {
+            const res = await request(app)
+                .post(`/api/posts/${post._id}/comments`)
+                .set('Authorization', `Bearer ${otherToken}`)
+                .send({ content: 'Great post!' });
+
+            expect(res.status).toBe(201);
+            expect(res.body.data.comment.content).toBe('Great post!');
+            expect(res.body.data.comment.parent).toBeNull();
+            expect(res.body.data.comment.depth).toBe(0);
+        });
+
+        it('should create a nested reply under the same root', async () => {
+            const top = await Comment.create({ post: post._id, author: author._id, content: 'Top' });
+            const reply = await Comment.create({
+                post: post._id, author: other._id, content: 'Reply', parent: top._id, root: top._id, depth: 1
+            });
+
+            const res = await request(app)
+                .post(`/api/posts/${post._id}/comments`)
+                .set('Authorization', `Bearer ${authorToken}`)
+                .send({ content: 'Reply to reply', parent: reply._id.toString() });
+
+            expect(res.status).toBe(201);
+            expect(res.body.data.comment.root).toBe(top._id.toString());
+            expect(res.body.data.comment.depth).toBe(2);
+        });
+
+        it('should reject a parent from another post', async () => {
+            const otherPost = await testUtils.createTestPost(author._id, { title: 'Other Post' });
+            const foreign = await Comment.create({ post: otherPost._id, author: author._id, content: 'Elsewhere' });
+
+            const res = await request(app)
+                .post(`/api/posts/${post._id}/comments`)
+                .set('Authorization', `Bearer ${authorToken}`)
+                .send({ content: 'Misplaced reply', parent: foreign._id.toString() });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe('Parent comment not found');
+        });
+
+        it('should return 401 if not authenticated', async () => {
+            const res = await request(app)
+                .post(`/api/posts/${post._id}/comments`)
+                .send({ content: 'Anonymous' });
+
+            expect(res.status).toBe(401);
+        });
+    });
+
+    describe('GET /api/posts/:id/comments', () => {
+        it('should return paginated threads with nested replies', async () => {
+            const first = await Comment.create({ post: post._id, author: author._id, content: 'First' });
+            await Comment.create({
+                post: post._id, author: other._id, content: 'Reply', parent: first._id, root: first._id, depth: 1
+            });
+            await Comment.create({ post: post._id, author: other._id, content: 'Second' });
+
+            const res = await request(app)
+                .get(`/api/posts/${post._id}/comments`)
+                .query({ page: 1, limit: 1 });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.comments).toHaveLength(1);
+            expect(res.body.data.pagination.total).toBe(2);
+            expect(res.body.data.pagination.hasNext).toBe(true);
+
+            const res2 = await request(app)
+                .get(`/api/posts/${post._id}/comments`)
+                .query({ page: 2, limit: 1 });
+
+            expect(res2.body.data.comments[0].content).toBe('First');
+            expect(res2.body.data.comments[0].replies).toHaveLength(1);
+            expect(res2.body.data.comments[0].replies[0].content).toBe('Reply');
+        });
+
+        it('should return 404 for an unknown post', async () => {
+            const res = await request(app)
+                .get(`/api/posts/${new mongoose.Types.ObjectId()}/comments`);
+
+            expect(res.status).toBe(404);
+        });
+    });
+
+    describe('PUT/DELETE /api/posts/:id/comments/:commentId', () => {
+        let comment;
+
+        beforeEach(async () => {
+            comment = await Comment.create({ post: post._id, author: other._id, content: 'Original' });
+        });
+
+        it('should let the author edit the comment', async () => {
+            const res = await request(app)
+                .put(`/api/posts/${post._id}/comments/${comment._id}`)
+                .set('Authorization', `Bearer ${otherToken}`)
+                .send({ content: 'Edited' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.comment.content).toBe('Edited');
+            expect(res.body.data.comment.editedAt).toBeDefined();
+        });
+
+        it('should forbid editing by another user', async () => {
+            const res = await request(app)
+                .put(`/api/posts/${post._id}/comments/${comment._id}`)
+                .set('Authorization', `Bearer ${authorToken}`)
+                .send({ content: 'Hijacked' });
+
+            expect(res.status).toBe(403);
+        });
+
+        it('should soft-delete the comment and keep replies in the thread', async () => {
+            await Comment.create({
+                post: post._id, author: author._id, content: 'Reply', parent: comment._id, root: comment._id, depth: 1
+            });
+
+            const res = await request(app)
+                .delete(`/api/posts/${post._id}/comments/${comment._id}`)
+                .set('Authorization', `Bearer ${otherToken}`);
+
+            expect(res.status).toBe(200);
+
+            const stored = await Comment.findById(comment._id);
+            expect(stored.isDeleted).toBe(true);
+
+            const list = await request(app).get(`/api/posts/${post._id}/comments`);
+            expect(list.body.data.comments[0].content).toBeNull();
+            expect(list.body.data.comments[0].replies).toHaveLength(1);
+        });
+    });
+
+    describe('Post commentCount virtual', () => {
+        it('should count only comments that are not deleted', async () => {
+            await Comment.create({ post: post._id, author: author._id, content: 'Visible' });
+            await Comment.create({ post: post._id, author: author._id, content: 'Gone', isDeleted: true });
+
+            const res = await request(app).get(`/api/posts/${post._id}`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.post.commentCount).toBe(1);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,87 @@
+// server/tests/integration/cursorPagination.test.js - Integration tests for cursor pagination
+
+const request = require('supertest');
+const app = require('../../src/app');
+
+describe('Cursor Pagination Integration Tests', () => {
+    let user;
+
+    beforeEach(async () => {
+        user = await testUtils.createTestUser();
+
+        // Five published posts, newest last
+        for (let i = 1; i <= 5; i++) {
+            await testUtils.createTestPost(user._id, {
+                title: `Post ${i}`,
+                publishedAt: new Date(Date.UTC(2024, 0, i))
+            });
+        }
+    });
+
+    const titles = (res) => res.body.data.posts.map(post => post.title);
+
+    it('should page forward and backward with opaque cursors', async () => {
+        const first = await request(app).get('/api/posts').query({ limit: 2 });
+
+        expect(titles(first)).toEqual(['Post 5', 'Post 4']);
+        expect(first.body.data.pagination.nextCursor).toBeDefined();
+
+        const second = await request(app)
+            .get('/api/posts')
+            .query({ limit: 2, cursor: first.body.data.pagination.nextCursor });
+
+        expect(second.status).toBe(200);
+        expect(titles(second)).toEqual(['Post 3', 'Post 2']);
+        expect(second.body.data.pagination.total).toBeUndefined();
+        expect(second.body.data.pagination.hasPrev).toBe(true);
+
+        const back = await request(app)
+            .get('/api/posts')
+            .query({ limit: 2, cursor: second.body.data.pagination.prevCursor });
+
+        expect(titles(back)).toEqual(['Post 5', 'Post 4']);
+        expect(back.body.data.pagination.hasPrev).toBe(false);
+    });
+
+    it('should not return duplicates when posts are added between pages', async () => {
+        const first = await request(app).get('/api/posts').query({ limit: 2 });
+
+        await testUtils.createTestPost(user._id, {
+            title: 'Post 6',
+            publishedAt: new Date(Date.UTC(2024, 0, 6))
+        });
+
+        const second = await request(app)
+            .get('/api/posts')
+            .query({ limit: 2, cursor: first.body.data.pagination.nextCursor });
+
+        expect(titles(second)).toEqual(['Post 3', 'Post 2']);
+    });
+
+    it('should reject an invalid cursor', async () => {
+        const res = await request(app).get('/api/posts').query({ cursor: 'garbage' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors[0].msg).toBe('Invalid cursor');
+    });
+
+    it('should paginate users by cursor', async () => {
+        const admin = await testUtils.createTestUser({ username: 'admin', email: 'admin@example.com', role: 'admin' });
+        const token = testUtils.generateTestToken(admin);
+
+        const first = await request(app)
+            .get('/api/users')
+            .set('Authorization', `Bearer ${token}`)
+            .query({ limit: 1 });
+
+        const second = await request(app)
+            .get('/api/users')
+            .set('Authorization', `Bearer ${token}`)
+            .query({ limit: 1, cursor: first.body.data.pagination.nextCursor });
+
+        expect(second.status).toBe(200);
+        expect(second.body.data.users).toHaveLength(1);
+        expect(second.body.data.users[0]._id).not.toBe(first.body.data.users[0]._id);
+        expect(second.body.data.pagination.hasNext).toBe(false);
+    });
+});
\ No newline at end of file
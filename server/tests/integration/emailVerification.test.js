@@ -0,0 +1,142 @@
+// server/tests/integration/emailVerification.test.js - Integration tests for email verification
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Category = require('../../src/models/Category');
+const { generateToken, generateEmailVerificationToken } = require('../../src/utils/auth');
+const { getTransport } = require('../../src/utils/mailer');
+
+const extractVerificationToken = (message) => message.text.match(/verify-email\/(\S+)/)[1];
+
+describe('Email Verification Integration Tests', () => {
+    const userData = {
+        username: 'testuser',
+        email: 'test@example.com',
+        password: 'password123'
+    };
+
+    beforeEach(() => {
+        getTransport().clear();
+    });
+
+    it('should register users as unverified and email a verification link', async () => {
+        const res = await request(app)
+            .post('/api/auth/register')
+            .send(userData);
+
+        expect(res.status).toBe(201);
+        expect(res.body.data.user.isEmailVerified).toBe(false);
+        expect(getTransport().lastMessageTo(userData.email)).not.toBeNull();
+    });
+
+    it('should escape the name in the HTML email', async () => {
+        await request(app)
+            .post('/api/auth/register')
+            .send({ ...userData, firstName: '<b>Eve</b>', lastName: 'Smith' });
+
+        const message = getTransport().lastMessageTo(userData.email);
+
+        expect(message.html).toContain('Hi &lt;b&gt;Eve&lt;/b&gt; Smith,');
+        expect(message.html).not.toContain('<b>Eve</b>');
+    });
+
+    it('should verify the email with the emailed token', async () => {
+        await request(app)
+            .post('/api/auth/register')
+            .send(userData);
+
+        const token = extractVerificationToken(getTransport().lastMessageTo(userData.email));
+
+        const res = await request(app).get(`/api/auth/verify-email/${token}`);
+
+        expect(res.status).toBe(200);
+
+        const user = await User.findOne({ email: userData.email });
+        expect(user.isEmailVerified).toBe(true);
+        expect(user.emailVerifiedAt).toBeDefined();
+    });
+
+    it('should reject an access token used as a verification token', async () => {
+        const user = await testUtils.createTestUser({ isEmailVerified: false });
+
+        const res = await request(app).get(`/api/auth/verify-email/${generateToken(user)}`);
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('Verification link is invalid or has expired');
+    });
+
+    it('should reject a token issued for a previous email address', async () => {
+        const user = await testUtils.createTestUser({ isEmailVerified: false });
+        const token = generateEmailVerificationToken(user);
+
+        await User.updateOne({ _id: user._id }, { email: 'changed@example.com' });
+
+        const res = await request(app).get(`/api/auth/verify-email/${token}`);
+
+        expect(res.status).toBe(400);
+    });
+
+    it('should resend the verification email for unverified users', async () => {
+        const user = await testUtils.createTestUser({ isEmailVerified: false });
+
+        const res = await request(app)
+            .post('/api/auth/resend-verification')
+            .set('Authorization', `Bearer ${generateToken(user)}`);
+
+        expect(res.status).toBe(200);
+        expect(getTransport().lastMessageTo(user.email)).not.toBeNull();
+    });
+
+    it('should not resend for verified users', async () => {
+        const user = await testUtils.createTestUser();
+
+        const res = await request(app)
+            .post('/api/auth/resend-verification')
+            .set('Authorization', `Bearer ${generateToken(user)}`);
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('Email is already verified');
+    });
+
+    it('should block unverified users from creating posts', async () => {
+        const user = await testUtils.createTestUser({ isEmailVerified: false });
+
+        const res = await request(app)
+            .post('/api/posts')
+            .set('Authorization', `Bearer ${generateToken(user)}`)
+            .send({
+                title: 'Unverified Post',
+                content: 'This post should not be created',
+                category: '507f1f77bcf86cd799439011'
+            });
+
+        expect(res.status).toBe(403);
+        expect(res.body.message).toBe('Email address must be verified');
+    });
+
+    it('should treat accounts stored before verification existed as verified', async () => {
+        const category = await Category.create({ name: 'Legacy' });
+        const { insertedId } = await User.collection.insertOne({
+            username: 'legacyuser',
+            email: 'legacy@example.com',
+            password: 'hashed-password',
+            role: 'user',
+            isActive: true
+        });
+        const user = await User.findById(insertedId);
+
+        expect(user.isEmailVerified).toBe(true);
+
+        const res = await request(app)
+            .post('/api/posts')
+            .set('Authorization', `Bearer ${generateToken(user)}`)
+            .send({
+                title: 'Legacy Post',
+                content: 'Written by an account from before verification',
+                category: category._id.toString()
+            });
+
+        expect(res.status).toBe(201);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,184 @@
+// server/tests/integration/follows.test.js - Integration tests for follows and the personalized feed
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+
+describe('Follows and Feed Integration Tests', () => {
+    let reader, writer, other, readerToken;
+
+    beforeEach(async () => {
+        reader = await testUtils.createTestUser({ username: 'reader', email: 'reader@example.com' });
+        writer = await testUtils.createTestUser({ username: 'writer', email: 'writer@example.com' });
+        other = await testUtils.createTestUser({ username: 'other', email: 'other@example.com' });
+        readerToken = testUtils.generateTestToken(reader);
+    });
+
+    const follow = (user) => request(app)
+        .post(`/api/users/${user._id}/follow`)
+        .set('Authorization', `Bearer ${readerToken}`);
+
+    describe('Following users', () => {
+        it('should follow a user once', async () => {
+            const first = await follow(writer);
+            const second = await follow(writer);
+
+            expect(first.status).toBe(201);
+            expect(second.status).toBe(200);
+            expect(second.body.data.followerCount).toBe(1);
+        });
+
+        it('should not allow following yourself', async () => {
+            const res = await follow(reader);
+
+            expect(res.status).toBe(400);
+        });
+
+        it('should unfollow a user', async () => {
+            await follow(writer);
+
+            const res = await request(app)
+                .delete(`/api/users/${writer._id}/follow`)
+                .set('Authorization', `Bearer ${readerToken}`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.followerCount).toBe(0);
+        });
+
+        it('should show counts and follow state on the public profile', async () => {
+            await follow(writer);
+
+            const res = await request(app)
+                .get(`/api/users/${writer._id}`)
+                .set('Authorization', `Bearer ${readerToken}`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.user.followerCount).toBe(1);
+            expect(res.body.data.user.followingCount).toBe(0);
+            expect(res.body.data.user.isFollowing).toBe(true);
+            expect(res.body.data.user).not.toHaveProperty('followedTags');
+            expect(res.body.data.user).not.toHaveProperty('notificationPreferences');
+
+            const anonymous = await request(app).get(`/api/users/${writer._id}`);
+            expect(anonymous.body.data.user).not.toHaveProperty('isFollowing');
+        });
+
+        it('should only list published posts on the public profile', async () => {
+            await testUtils.createTestPost(writer._id, { title: 'Published Post', status: 'published' });
+            await testUtils.createTestPost(writer._id, { title: 'Draft Post', status: 'draft' });
+            await testUtils.createTestPost(writer._id, { title: 'Archived Post', status: 'archived' });
+
+            const res = await request(app).get(`/api/users/${writer._id}`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.user.posts.map(post => post.title)).toEqual(['Published Post']);
+        });
+
+        it('should list followers', async () => {
+            await follow(writer);
+
+            const res = await request(app).get(`/api/users/${writer._id}/followers`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.users.map(u => u.username)).toEqual(['reader']);
+        });
+    });
+
+    describe('GET /api/posts/feed', () => {
+        beforeEach(async () => {
+            await testUtils.createTestPost(writer._id, {
+                title: 'Writer Post',
+                tags: ['general'],
+                publishedAt: new Date('2024-01-01')
+            });
+            await testUtils.createTestPost(other._id, {
+                title: 'Tagged Post',
+                tags: ['mongodb'],
+                publishedAt: new Date('2024-02-01')
+            });
+            await testUtils.createTestPost(other._id, {
+                title: 'Unrelated Post',
+                tags: ['general'],
+                publishedAt: new Date('2024-03-01')
+            });
+            await testUtils.createTestPost(writer._id, { title: 'Writer Draft', status: 'draft' });
+        });
+
+        const getFeed = (query = {}) => request(app)
+            .get('/api/posts/feed')
+            .query(query)
+            .set('Authorization', `Bearer ${readerToken}`);
+
+        it('should be empty when nothing is followed', async () => {
+            const res = await getFeed();
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.posts).toEqual([]);
+        });
+
+        it('should include posts from followed authors and tags, newest first', async () => {
+            await follow(writer);
+            await request(app)
+                .post('/api/tags/MongoDB/follow')
+                .set('Authorization', `Bearer ${readerToken}`);
+
+            const res = await getFeed();
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.posts.map(p => p.title)).toEqual(['Tagged Post', 'Writer Post']);
+        });
+
+        it('should paginate by publishedAt cursor', async () => {
+            await follow(writer);
+            await follow(other);
+
+            const firstPage = await getFeed({ limit: 2 });
+            expect(firstPage.body.data.posts.map(p => p.title)).toEqual(['Unrelated Post', 'Tagged Post']);
+            expect(firstPage.body.data.pagination.hasNext).toBe(true);
+
+            const secondPage = await getFeed({ limit: 2, cursor: firstPage.body.data.pagination.nextCursor });
+            expect(secondPage.body.data.posts.map(p => p.title)).toEqual(['Writer Post']);
+            expect(secondPage.body.data.pagination.hasNext).toBe(false);
+        });
+
+        it('should require authentication', async () => {
+            const res = await request(app).get('/api/posts/feed');
+
+            expect(res.status).toBe(401);
+        });
+
+        it('should drop unfollowed tags', async () => {
+            await request(app)
+                .post('/api/tags/mongodb/follow')
+                .set('Authorization', `Bearer ${readerToken}`);
+            const res = await request(app)
+                .delete('/api/tags/mongodb/follow')
+                .set('Authorization', `Bearer ${readerToken}`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.followedTags).toEqual([]);
+            expect(await Post.countDocuments({ tags: 'mongodb' })).toBe(1);
+        });
+
+        it('should move tag follows along when the tag is merged', async () => {
+            const moderator = await testUtils.createTestUser({ username: 'moderator', email: 'moderator@example.com', role: 'moderator' });
+            for (const tag of ['databases', 'mongodb']) {
+                await request(app)
+                    .post(`/api/tags/${tag}/follow`)
+                    .set('Authorization', `Bearer ${readerToken}`);
+            }
+
+            const merge = await request(app)
+                .post('/api/tags/merge')
+                .set('Authorization', `Bearer ${testUtils.generateTestToken(moderator)}`)
+                .send({ sources: ['mongodb'], target: 'databases' });
+
+            expect(merge.status).toBe(200);
+            expect((await User.findById(reader._id)).followedTags).toEqual(['databases']);
+
+            const res = await getFeed();
+            expect(res.body.data.posts.map(p => p.title)).toEqual(['Tagged Post']);
+        });
+    });
+});
\ No newline at end of file
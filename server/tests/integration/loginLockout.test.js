@@ -0,0 +1,97 @@
+// server/tests/integration/loginLockout.test.js - Integration tests for account lockout
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const loginThrottle = require('../../src/utils/loginThrottle');
+
+describe('Login Lockout Integration Tests', () => {
+    let user;
+
+    const login = (password) => request(app)
+        .post('/api/auth/login')
+        .send({ identifier: user.email, password });
+
+    beforeEach(async () => {
+        loginThrottle.reset();
+        user = await testUtils.createTestUser();
+    });
+
+    it('should record failed attempts and the last failed login', async () => {
+        const res = await login('wrongpassword');
+
+        expect(res.status).toBe(401);
+
+        const stored = await User.findById(user._id).select('+failedLoginAttempts +lastFailedLogin +lastFailedLoginIp');
+        expect(stored.failedLoginAttempts).toBe(1);
+        expect(stored.lastFailedLogin).toBeInstanceOf(Date);
+        expect(stored.lastFailedLoginIp).toBeDefined();
+    });
+
+    it('should lock the account after repeated failures', async () => {
+        for (let i = 0; i < 5; i++) {
+            await login('wrongpassword');
+        }
+
+        const res = await login('password123');
+
+        expect(res.status).toBe(423);
+        expect(res.body.success).toBe(false);
+        expect(res.headers['retry-after']).toBeDefined();
+    });
+
+    it('should count parallel failures without losing any', async () => {
+        await Promise.all([1, 2, 3, 4].map(() => login('wrongpassword')));
+
+        const stored = await User.findById(user._id).select('+failedLoginAttempts');
+        expect(stored.failedLoginAttempts).toBe(4);
+    });
+
+    it('should lock the account when failures arrive in parallel', async () => {
+        await Promise.all([1, 2, 3, 4, 5].map(() => login('wrongpassword')));
+
+        const stored = await User.findById(user._id).select('+lockUntil +lockCount');
+        expect(stored.lockCount).toBe(1);
+        expect(stored.lockUntil.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should escalate the lock period on consecutive lockouts', async () => {
+        for (let i = 0; i < 5; i++) {
+            await login('wrongpassword');
+        }
+
+        const firstLock = await User.findById(user._id).select('+lockUntil');
+        const firstPeriod = firstLock.lockUntil - Date.now();
+
+        await User.updateOne({ _id: user._id }, { lockUntil: new Date(Date.now() - 1000) });
+
+        for (let i = 0; i < 5; i++) {
+            await login('wrongpassword');
+        }
+
+        const secondLock = await User.findById(user._id).select('+lockUntil +lockCount');
+        expect(secondLock.lockCount).toBe(2);
+        expect(secondLock.lockUntil - Date.now()).toBeGreaterThan(firstPeriod);
+    });
+
+    it('should reset failed attempts after a successful login', async () => {
+        await login('wrongpassword');
+        await login('password123');
+
+        const stored = await User.findById(user._id).select('+failedLoginAttempts');
+        expect(stored.failedLoginAttempts).toBe(0);
+    });
+
+    it('should throttle an IP guessing across accounts', async () => {
+        for (let i = 0; i < loginThrottle.MAX_FAILED_LOGINS_PER_IP; i++) {
+            await request(app)
+                .post('/api/auth/login')
+                .send({ identifier: `nobody${i}@example.com`, password: 'wrongpassword' });
+        }
+
+        const res = await login('password123');
+
+        expect(res.status).toBe(429);
+        expect(res.body.error).toBe('Too many failed login attempts, please try again later');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,88 @@
+// server/tests/integration/markdown.test.js - Integration tests for rendered post content
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Category = require('../../src/models/Category');
+const Post = require('../../src/models/Post');
+
+describe('Markdown Content Integration Tests', () => {
+    let author, token, category;
+
+    beforeEach(async () => {
+        author = await testUtils.createTestUser();
+        token = testUtils.generateTestToken(author);
+        category = await Category.create({ name: 'Guides' });
+    });
+
+    const createPost = (overrides = {}) => request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+            title: 'Markdown Post',
+            content: '## Intro\n\nWrite **tests** first.<script>alert(1)</script>',
+            category: category._id,
+            ...overrides
+        });
+
+    it('should store sanitized HTML and plain text for Markdown content', async () => {
+        const res = await createPost();
+
+        expect(res.status).toBe(201);
+        expect(res.body.data.post).toMatchObject({
+            contentFormat: 'markdown',
+            contentHtml: '<h2>Intro</h2>\n<p>Write <strong>tests</strong> first.</p>',
+            contentText: 'Intro\nWrite tests first.',
+            excerpt: 'Intro Write tests first.',
+            readTime: 1
+        });
+    });
+
+    it('should sanitize HTML content', async () => {
+        const res = await createPost({
+            content: '<p onclick="steal()">Hello <a href="javascript:void(0)">there</a></p>',
+            contentFormat: 'html'
+        });
+
+        expect(res.status).toBe(201);
+        expect(res.body.data.post.contentHtml).toBe('<p>Hello <a rel="nofollow noopener noreferrer">there</a></p>');
+    });
+
+    it('should reject unknown content formats', async () => {
+        const res = await createPost({ contentFormat: 'rst' });
+
+        expect(res.status).toBe(400);
+    });
+
+    it('should re-render when content is updated', async () => {
+        const created = await createPost();
+
+        const res = await request(app)
+            .put(`/api/posts/${created.body.data.post._id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({
+                title: 'Markdown Post',
+                content: 'Now with a [link](https://example.com).',
+                category: category._id.toString()
+            });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.post.contentHtml).toContain('<a href="https://example.com"');
+        expect(res.body.data.post.contentText).toBe('Now with a link.');
+    });
+
+    it('should keep posts stored before formats existed as HTML', async () => {
+        const post = await testUtils.createTestPost(author._id, { category: category._id });
+        await Post.collection.updateOne(
+            { _id: post._id },
+            { $unset: { contentFormat: '', contentHtml: '', contentText: '' }, $set: { content: '<span>Legacy *stars*</span>' } }
+        );
+
+        const legacy = await Post.findById(post._id);
+        expect(legacy.contentFormat).toBe('html');
+
+        legacy.title = 'Edited legacy post';
+        await legacy.save();
+
+        expect(legacy.contentHtml).toBe('Legacy *stars*');
+    });
+});
\ No newline at end of file
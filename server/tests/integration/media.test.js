@@ -0,0 +1,191 @@
+// server/tests/integration/media.test.js - Integration tests for uploads and the media library
+
+const request = require('supertest');
+const sharp = require('sharp');
+const app = require('../../src/app');
+const Category = require('../../src/models/Category');
+const Media = require('../../src/models/Media');
+const { getStorage } = require('../../src/utils/storage');
+
+describe('Media Integration Tests', () => {
+    let user, otherUser, token, otherToken, png;
+
+    beforeAll(async () => {
+        png = await sharp({
+            create: { width: 900, height: 600, channels: 3, background: '#ff6600' }
+        }).png().toBuffer();
+    });
+
+    beforeEach(async () => {
+        getStorage().clear();
+        user = await testUtils.createTestUser();
+        otherUser = await testUtils.createTestUser({ username: 'other', email: 'other@example.com' });
+        token = testUtils.generateTestToken(user);
+        otherToken = testUtils.generateTestToken(otherUser);
+    });
+
+    const upload = (buffer = png, options = { filename: 'photo.png', contentType: 'image/png' }, authToken = token) => request(app)
+        .post('/api/media')
+        .set('Authorization', `Bearer ${authToken}`)
+        .field('alt', 'An orange square')
+        .attach('file', buffer, options);
+
+    describe('POST /api/media', () => {
+        it('should store the image with thumbnails', async () => {
+            const res = await upload();
+
+            expect(res.status).toBe(201);
+            expect(res.body.data.media).toMatchObject({
+                owner: user._id.toString(),
+                originalName: 'photo.png',
+                mimeType: 'image/png',
+                width: 900,
+                height: 600,
+                alt: 'An orange square'
+            });
+            expect(res.body.data.media.thumbnails.map(t => [t.name, t.width, t.height])).toEqual([
+                ['small', 150, 100],
+                ['medium', 600, 400]
+            ]);
+
+            // Original plus two thumbnails
+            expect(getStorage().files.size).toBe(3);
+        });
+
+        it('should reject unsupported MIME types', async () => {
+            const res = await upload(Buffer.from('%PDF-1.4'), { filename: 'doc.pdf', contentType: 'application/pdf' });
+
+            expect(res.status).toBe(415);
+            expect(await Media.countDocuments()).toBe(0);
+        });
+
+        it('should reject files whose content does not match the declared type', async () => {
+            const res = await upload(Buffer.from('not really an image'), { filename: 'fake.png', contentType: 'image/png' });
+
+            expect(res.status).toBe(400);
+            expect(getStorage().files.size).toBe(0);
+        });
+
+        it('should require a file', async () => {
+            const res = await request(app)
+                .post('/api/media')
+                .set('Authorization', `Bearer ${token}`)
+                .field('alt', 'Nothing attached');
+
+            expect(res.status).toBe(400);
+        });
+
+        it('should require authentication', async () => {
+            const res = await request(app)
+                .post('/api/media')
+                .attach('file', png, { filename: 'photo.png', contentType: 'image/png' });
+
+            expect(res.status).toBe(401);
+        });
+    });
+
+    describe('Library', () => {
+        let media;
+
+        beforeEach(async () => {
+            media = (await upload()).body.data.media;
+        });
+
+        it('should list only the current user\'s media', async () => {
+            await upload(png, undefined, otherToken);
+
+            const res = await request(app)
+                .get('/api/media')
+                .set('Authorization', `Bearer ${token}`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.media).toHaveLength(1);
+            expect(res.body.data.pagination.total).toBe(1);
+        });
+
+        it('should hide other users\' media', async () => {
+            const res = await request(app)
+                .get(`/api/media/${media._id}`)
+                .set('Authorization', `Bearer ${otherToken}`);
+
+            expect(res.status).toBe(404);
+        });
+
+        it('should update alt text', async () => {
+            const res = await request(app)
+                .put(`/api/media/${media._id}`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({ alt: 'Updated' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.media.alt).toBe('Updated');
+        });
+
+        it('should delete the media and its files', async () => {
+            const res = await request(app)
+                .delete(`/api/media/${media._id}`)
+                .set('Authorization', `Bearer ${token}`);
+
+            expect(res.status).toBe(200);
+            expect(await Media.countDocuments()).toBe(0);
+            expect(getStorage().files.size).toBe(0);
+        });
+    });
+
+    describe('Post featured media', () => {
+        let media, category;
+
+        beforeEach(async () => {
+            media = (await upload()).body.data.media;
+            category = await Category.create({ name: 'Photos' });
+        });
+
+        const createPost = (featuredMedia, authToken = token) => request(app)
+            .post('/api/posts')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({
+                title: 'Post with image',
+                content: 'This post has a featured image from the library.',
+                category: category._id,
+                featuredMedia
+            });
+
+        it('should set the featured image from the library', async () => {
+            const res = await createPost(media._id);
+
+            expect(res.status).toBe(201);
+            expect(res.body.data.post.featuredImage).toBe(media.url);
+            expect(res.body.data.post.featuredMedia).toMatchObject({ url: media.url, alt: 'An orange square' });
+        });
+
+        it('should not allow another user\'s media', async () => {
+            const res = await createPost(media._id, otherToken);
+
+            expect(res.status).toBe(400);
+        });
+
+        it('should refuse to delete media used by a post', async () => {
+            await createPost(media._id);
+
+            const res = await request(app)
+                .delete(`/api/media/${media._id}`)
+                .set('Authorization', `Bearer ${token}`);
+
+            expect(res.status).toBe(409);
+            expect(res.body.data.postCount).toBe(1);
+        });
+    });
+
+    describe('PUT /api/users/me/avatar', () => {
+        it('should upload an avatar and point the profile at its thumbnail', async () => {
+            const res = await request(app)
+                .put('/api/users/me/avatar')
+                .set('Authorization', `Bearer ${token}`)
+                .attach('avatar', png, { filename: 'me.png', contentType: 'image/png' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.user.avatar).toMatch(/-small\.webp$/);
+            expect(res.body.data.user.avatarMedia).toBe(res.body.data.media._id);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,194 @@
+// server/tests/integration/notifications.test.js - Integration tests for in-app notifications
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Notification = require('../../src/models/Notification');
+const { runScheduledPublishing } = require('../../src/utils/postScheduler');
+const Post = require('../../src/models/Post');
+
+describe('Notifications Integration Tests', () => {
+    let author, reader, authorToken, readerToken, post;
+
+    beforeEach(async () => {
+        author = await testUtils.createTestUser();
+        reader = await testUtils.createTestUser({ username: 'reader', email: 'reader@example.com' });
+        authorToken = testUtils.generateTestToken(author);
+        readerToken = testUtils.generateTestToken(reader);
+        post = await testUtils.createTestPost(author._id);
+    });
+
+    const like = (token = readerToken) => request(app)
+        .post(`/api/posts/${post._id}/like`)
+        .set('Authorization', `Bearer ${token}`);
+
+    const getNotifications = (token = authorToken, query = {}) => request(app)
+        .get('/api/notifications')
+        .query(query)
+        .set('Authorization', `Bearer ${token}`);
+
+    describe('Events', () => {
+        it('should notify the author when their post is liked', async () => {
+            await like();
+
+            const res = await getNotifications();
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.unreadCount).toBe(1);
+            expect(res.body.data.notifications[0]).toMatchObject({
+                type: 'like',
+                isRead: false,
+                actor: { username: 'reader' },
+                post: { title: 'Test Post' }
+            });
+        });
+
+        it('should not stack notifications for like, unlike and like again', async () => {
+            await like();
+            await like();
+            await like();
+
+            expect(await Notification.countDocuments({ recipient: author._id })).toBe(1);
+        });
+
+        it('should not notify users about their own actions', async () => {
+            await like(authorToken);
+
+            expect(await Notification.countDocuments()).toBe(0);
+        });
+
+        it('should notify the post author of comments and the parent author of replies', async () => {
+            const comment = await request(app)
+                .post(`/api/posts/${post._id}/comments`)
+                .set('Authorization', `Bearer ${readerToken}`)
+                .send({ content: 'Nice post' });
+
+            await request(app)
+                .post(`/api/posts/${post._id}/comments`)
+                .set('Authorization', `Bearer ${authorToken}`)
+                .send({ content: 'Thanks!', parent: comment.body.data.comment._id });
+
+            const authorTypes = await Notification.find({ recipient: author._id }).distinct('type');
+            const readerTypes = await Notification.find({ recipient: reader._id }).distinct('type');
+
+            expect(authorTypes).toEqual(['comment']);
+            expect(readerTypes).toEqual(['reply']);
+        });
+
+        it('should notify followed authors and tell followers about new posts', async () => {
+            await request(app)
+                .post(`/api/users/${author._id}/follow`)
+                .set('Authorization', `Bearer ${readerToken}`);
+
+            expect(await Notification.countDocuments({ recipient: author._id, type: 'follow' })).toBe(1);
+
+            await Post.create({
+                title: 'Scheduled Post',
+                content: 'Content that goes live later',
+                author: author._id,
+                category: post.category,
+                status: 'scheduled',
+                publishAt: new Date(Date.now() + 60000)
+            });
+            await Post.updateMany({ status: 'scheduled' }, { publishAt: new Date(Date.now() - 1000) });
+
+            await runScheduledPublishing();
+
+            const res = await getNotifications(readerToken);
+            expect(res.body.data.notifications.map(n => n.type)).toEqual(['newPost']);
+        });
+
+        it('should tell followers about a post only on its first publish', async () => {
+            await request(app)
+                .post(`/api/users/${author._id}/follow`)
+                .set('Authorization', `Bearer ${readerToken}`);
+
+            const draft = await testUtils.createTestPost(author._id, { title: 'Draft Post', status: 'draft' });
+            const setStatus = (status) => request(app)
+                .put(`/api/posts/${draft._id}`)
+                .set('Authorization', `Bearer ${authorToken}`)
+                .send({ title: draft.title, content: draft.content, category: draft.category.toString(), status });
+
+            for (const status of ['published', 'draft', 'published']) {
+                const res = await setStatus(status);
+                expect(res.status).toBe(200);
+            }
+            await testUtils.waitFor(100);
+
+            expect(await Notification.countDocuments({ recipient: reader._id, type: 'newPost' })).toBe(1);
+        });
+    });
+
+    describe('Reading notifications', () => {
+        beforeEach(async () => {
+            await like();
+            await request(app)
+                .post(`/api/posts/${post._id}/comments`)
+                .set('Authorization', `Bearer ${readerToken}`)
+                .send({ content: 'Nice post' });
+        });
+
+        it('should filter unread notifications', async () => {
+            const [notification] = await Notification.find({ recipient: author._id, type: 'like' });
+
+            const res = await request(app)
+                .put(`/api/notifications/${notification._id}/read`)
+                .set('Authorization', `Bearer ${authorToken}`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.notification.isRead).toBe(true);
+            expect(res.body.data.unreadCount).toBe(1);
+
+            const unread = await getNotifications(authorToken, { unread: 'true' });
+            expect(unread.body.data.notifications.map(n => n.type)).toEqual(['comment']);
+        });
+
+        it('should not let users read other users\' notifications', async () => {
+            const [notification] = await Notification.find({ recipient: author._id });
+
+            const res = await request(app)
+                .put(`/api/notifications/${notification._id}/read`)
+                .set('Authorization', `Bearer ${readerToken}`);
+
+            expect(res.status).toBe(404);
+        });
+
+        it('should mark all notifications as read', async () => {
+            const res = await request(app)
+                .put('/api/notifications/read-all')
+                .set('Authorization', `Bearer ${authorToken}`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.updated).toBe(2);
+
+            const count = await request(app)
+                .get('/api/notifications/unread-count')
+                .set('Authorization', `Bearer ${authorToken}`);
+            expect(count.body.data.unreadCount).toBe(0);
+        });
+    });
+
+    describe('Preferences', () => {
+        it('should stop notifications of a disabled type', async () => {
+            const res = await request(app)
+                .put('/api/notifications/preferences')
+                .set('Authorization', `Bearer ${authorToken}`)
+                .send({ like: false });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.preferences).toMatchObject({ like: false, comment: true });
+
+            await like();
+
+            expect(await Notification.countDocuments({ recipient: author._id })).toBe(0);
+        });
+
+        it('should reject non-boolean preferences', async () => {
+            const res = await request(app)
+                .put('/api/notifications/preferences')
+                .set('Authorization', `Bearer ${authorToken}`)
+                .send({ like: 'nope' });
+
+            expect(res.status).toBe(400);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,111 @@
+// server/tests/integration/passwordReset.test.js - Integration tests for the password reset flow
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const { getTransport } = require('../../src/utils/mailer');
+
+const extractResetToken = (message) => message.text.match(/reset-password\/([a-f0-9]{64})/)[1];
+
+describe('Password Reset Integration Tests', () => {
+    let user;
+
+    beforeEach(async () => {
+        getTransport().clear();
+        user = await testUtils.createTestUser();
+    });
+
+    describe('POST /api/auth/forgot-password', () => {
+        it('should email a reset link and store only the token hash', async () => {
+            const res = await request(app)
+                .post('/api/auth/forgot-password')
+                .send({ email: user.email });
+
+            expect(res.status).toBe(200);
+            expect(res.body.success).toBe(true);
+
+            const message = getTransport().lastMessageTo(user.email);
+            expect(message).not.toBeNull();
+
+            const token = extractResetToken(message);
+            const stored = await User.findById(user._id).select('+passwordResetToken +passwordResetExpires');
+
+            expect(stored.passwordResetToken).toBeDefined();
+            expect(stored.passwordResetToken).not.toBe(token);
+            expect(stored.passwordResetExpires.getTime()).toBeGreaterThan(Date.now());
+        });
+
+        it('should escape the name in the HTML email', async () => {
+            await User.updateOne({ _id: user._id }, { firstName: '<img src=x>', lastName: 'Smith' });
+
+            await request(app)
+                .post('/api/auth/forgot-password')
+                .send({ email: user.email });
+
+            const message = getTransport().lastMessageTo(user.email);
+            expect(message.html).toContain('Hi &lt;img src=x&gt; Smith,');
+            expect(message.html).not.toContain('<img');
+        });
+
+        it('should respond the same way for unknown emails', async () => {
+            const res = await request(app)
+                .post('/api/auth/forgot-password')
+                .send({ email: 'nobody@example.com' });
+
+            expect(res.status).toBe(200);
+            expect(getTransport().messages).toHaveLength(0);
+        });
+    });
+
+    describe('POST /api/auth/reset-password/:token', () => {
+        let token;
+
+        beforeEach(async () => {
+            await request(app)
+                .post('/api/auth/forgot-password')
+                .send({ email: user.email });
+
+            token = extractResetToken(getTransport().lastMessageTo(user.email));
+        });
+
+        it('should reset the password once', async () => {
+            const res = await request(app)
+                .post(`/api/auth/reset-password/${token}`)
+                .send({ password: 'brandnew123' });
+
+            expect(res.status).toBe(200);
+
+            const loginRes = await request(app)
+                .post('/api/auth/login')
+                .send({ identifier: user.email, password: 'brandnew123' });
+
+            expect(loginRes.status).toBe(200);
+
+            const reuseRes = await request(app)
+                .post(`/api/auth/reset-password/${token}`)
+                .send({ password: 'another123' });
+
+            expect(reuseRes.status).toBe(400);
+        });
+
+        it('should reject an expired token', async () => {
+            await User.updateOne({ _id: user._id }, { passwordResetExpires: new Date(Date.now() - 1000) });
+
+            const res = await request(app)
+                .post(`/api/auth/reset-password/${token}`)
+                .send({ password: 'brandnew123' });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe('Password reset token is invalid or has expired');
+        });
+
+        it('should validate the new password', async () => {
+            const res = await request(app)
+                .post(`/api/auth/reset-password/${token}`)
+                .send({ password: '123' });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe('Validation failed');
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,94 @@
+// server/tests/integration/postSearch.test.js - Integration tests for faceted post search
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const Category = require('../../src/models/Category');
+
+describe('Post Search Integration Tests', () => {
+    let author, other, otherCategory;
+
+    beforeEach(async () => {
+        await Post.syncIndexes();
+
+        author = await testUtils.createTestUser();
+        other = await testUtils.createTestUser({ username: 'otheruser', email: 'other@example.com' });
+        otherCategory = await Category.create({ name: 'Databases' });
+
+        await testUtils.createTestPost(author._id, {
+            title: 'Testing React components',
+            content: 'A guide to testing React components with Jest',
+            tags: ['react', 'testing'],
+            publishedAt: new Date('2024-01-15')
+        });
+        await testUtils.createTestPost(other._id, {
+            title: 'Indexing in MongoDB',
+            content: 'How MongoDB indexes speed up testing queries',
+            category: otherCategory._id,
+            tags: ['mongodb', 'testing'],
+            publishedAt: new Date('2024-02-10')
+        });
+        await testUtils.createTestPost(author._id, {
+            title: 'Draft about testing',
+            content: 'Unpublished testing notes',
+            status: 'draft'
+        });
+    });
+
+    it('should return published matches with facet counts', async () => {
+        const res = await request(app)
+            .get('/api/posts/search')
+            .query({ q: 'testing' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.posts).toHaveLength(2);
+        expect(res.body.data.pagination.total).toBe(2);
+
+        const { facets } = res.body.data;
+        expect(facets.tags).toContainEqual({ tag: 'testing', count: 2 });
+        expect(facets.categories.map(c => c.name).sort()).toEqual(['Databases', 'Test Category']);
+        expect(facets.authors).toHaveLength(2);
+        expect(facets.months).toEqual([
+            { month: '2024-02', count: 1 },
+            { month: '2024-01', count: 1 }
+        ]);
+    });
+
+    it('should highlight matched terms in title and excerpt', async () => {
+        const res = await request(app)
+            .get('/api/posts/search')
+            .query({ q: 'react' });
+
+        expect(res.status).toBe(200);
+        const [post] = res.body.data.posts;
+        expect(post.highlights.title).toBe('Testing <mark>React</mark> components');
+        expect(post.highlights.excerpt).toContain('<mark>React</mark>');
+        expect(post.content).toBeUndefined();
+    });
+
+    it('should combine filters', async () => {
+        const res = await request(app)
+            .get('/api/posts/search')
+            .query({ category: otherCategory._id.toString(), from: '2024-02-01', minReadTime: 1 });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.posts).toHaveLength(1);
+        expect(res.body.data.posts[0].title).toBe('Indexing in MongoDB');
+    });
+
+    it('should reject invalid filters', async () => {
+        const res = await request(app)
+            .get('/api/posts/search')
+            .query({ from: 'not-a-date', author: 'bad-id' });
+
+        expect(res.status).toBe(400);
+    });
+
+    it('should reject tags that are not strings', async () => {
+        const nested = await request(app).get('/api/posts/search?tags[a]=x');
+        const empty = await request(app).get('/api/posts/search?tags=');
+
+        expect(nested.status).toBe(400);
+        expect(empty.status).toBe(400);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,71 @@
+// server/tests/integration/postViews.test.js - Integration tests for deduplicated view counting
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const PostView = require('../../src/models/PostView');
+const PostViewDaily = require('../../src/models/PostViewDaily');
+
+describe('Post View Counting Integration Tests', () => {
+    const browser = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 Chrome/120.0';
+    let author, reader, readerToken, post;
+
+    const view = (userAgent = browser) => request(app)
+        .get(`/api/posts/${post._id}`)
+        .set('User-Agent', userAgent);
+
+    beforeEach(async () => {
+        author = await testUtils.createTestUser();
+        reader = await testUtils.createTestUser({ username: 'reader', email: 'reader@example.com' });
+        readerToken = testUtils.generateTestToken(reader);
+        post = await testUtils.createTestPost(author._id);
+    });
+
+    it('should count repeated views from the same visitor once', async () => {
+        await view();
+        await view();
+        await view();
+
+        const updated = await Post.findById(post._id);
+        expect(updated.views).toBe(1);
+    });
+
+    it('should count signed-in users separately from anonymous visitors', async () => {
+        await view();
+        await view().set('Authorization', `Bearer ${readerToken}`);
+        await view().set('Authorization', `Bearer ${readerToken}`);
+
+        const updated = await Post.findById(post._id);
+        expect(updated.views).toBe(2);
+    });
+
+    it('should ignore bots', async () => {
+        await view('Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)');
+
+        const updated = await Post.findById(post._id);
+        expect(updated.views).toBe(0);
+    });
+
+    it('should count again once the window has passed', async () => {
+        await view();
+        await PostView.updateMany({}, { expiresAt: new Date(Date.now() - 1000) });
+        await PostView.deleteMany({ expiresAt: { $lte: new Date() } }); // What the TTL monitor does
+
+        await view();
+
+        const updated = await Post.findById(post._id);
+        expect(updated.views).toBe(2);
+    });
+
+    it('should roll views up per day without touching updatedAt', async () => {
+        await view();
+        await view().set('Authorization', `Bearer ${readerToken}`);
+
+        const [rollup] = await PostViewDaily.find({ post: post._id });
+        expect(rollup.views).toBe(2);
+        expect(rollup.author.toString()).toBe(author._id.toString());
+
+        const updated = await Post.findById(post._id);
+        expect(updated.updatedAt.getTime()).toBe(post.updatedAt.getTime());
+    });
+});
\ No newline at end of file
@@ -24,6 +24,7 @@ beforeAll(async () => {
     username: 'testuser',
     email: 'test@example.com',
     password: 'password123',
+    isEmailVerified: true,
   });
   userId = user._id;
   token = generateToken(user);
@@ -0,0 +1,167 @@
+// server/tests/integration/realtime.test.js - Integration tests for the real-time stream
+
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../../src/app');
+const { closeAllStreams } = require('../../src/controllers/realtimeController');
+const { getPubSub, channels } = require('../../src/utils/pubsub');
+
+describe('Realtime Integration Tests', () => {
+    let server, author, reader, authorToken, readerToken, post;
+
+    beforeAll((done) => {
+        server = app.listen(0, done);
+    });
+
+    afterAll((done) => {
+        closeAllStreams();
+        server.close(done);
+    });
+
+    beforeEach(async () => {
+        author = await testUtils.createTestUser();
+        reader = await testUtils.createTestUser({ username: 'reader', email: 'reader@example.com' });
+        authorToken = testUtils.generateTestToken(author);
+        readerToken = testUtils.generateTestToken(reader);
+        post = await testUtils.createTestPost(author._id);
+    });
+
+    afterEach(() => {
+        closeAllStreams();
+    });
+
+    // Open a stream and collect parsed events until `until` returns true
+    const openStream = (path) => new Promise((resolve, reject) => {
+        const events = [];
+        const req = http.get(`http://127.0.0.1:${server.address().port}${path}`, (res) => {
+            let buffer = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => {
+                buffer += chunk;
+                const blocks = buffer.split('\n\n');
+                buffer = blocks.pop();
+
+                blocks.forEach(block => {
+                    const type = block.match(/^event: (.+)$/m);
+                    const data = block.match(/^data: (.+)$/m);
+                    if (type && data) {
+                        events.push({ type: type[1], data: JSON.parse(data[1]) });
+                    }
+                });
+
+                if (events.some(event => event.type === 'ready')) {
+                    resolve({ res, req, events });
+                }
+            });
+        });
+        req.on('error', reject);
+    });
+
+    const waitFor = async (events, type) => {
+        for (let attempt = 0; attempt < 50; attempt++) {
+            const event = events.find(e => e.type === type);
+            if (event) return event;
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        throw new Error(`No ${type} event received`);
+    };
+
+    it('should require authentication', async () => {
+        const res = await request(app).get('/api/realtime/stream');
+
+        expect(res.status).toBe(401);
+    });
+
+    it('should reject invalid post IDs', async () => {
+        const res = await request(app)
+            .get('/api/realtime/stream')
+            .query({ posts: 'not-an-id' })
+            .set('Authorization', `Bearer ${readerToken}`);
+
+        expect(res.status).toBe(400);
+    });
+
+    it('should accept the token as a query parameter', async () => {
+        const { res, events } = await openStream(`/api/realtime/stream?access_token=${readerToken}&posts=${post._id}`);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+        expect(events[0]).toEqual({ type: 'ready', data: { posts: [post._id.toString()] } });
+    });
+
+    it('should push like counts and comments for subscribed posts', async () => {
+        const { events } = await openStream(`/api/realtime/stream?access_token=${readerToken}&posts=${post._id}`);
+
+        await request(app)
+            .post(`/api/posts/${post._id}/like`)
+            .set('Authorization', `Bearer ${authorToken}`);
+
+        const likes = await waitFor(events, 'likes');
+        expect(likes.data).toEqual({ postId: post._id.toString(), likeCount: 1 });
+
+        await request(app)
+            .post(`/api/posts/${post._id}/comments`)
+            .set('Authorization', `Bearer ${authorToken}`)
+            .send({ content: 'Live comment' });
+
+        const comment = await waitFor(events, 'comment');
+        expect(comment.data.comment.content).toBe('Live comment');
+    });
+
+    it('should push notifications to the recipient', async () => {
+        const { events } = await openStream(`/api/realtime/stream?access_token=${authorToken}`);
+
+        await request(app)
+            .post(`/api/posts/${post._id}/like`)
+            .set('Authorization', `Bearer ${readerToken}`);
+
+        const notification = await waitFor(events, 'notification');
+        expect(notification.data.unreadCount).toBe(1);
+        expect(notification.data.notification).toMatchObject({
+            type: 'like',
+            actor: { username: 'reader' }
+        });
+    });
+
+    it('should end the stream when the token expires', async () => {
+        const shortToken = jwt.sign(
+            { id: reader._id },
+            process.env.JWT_SECRET,
+            { expiresIn: 1, issuer: 'mern-testing-app', audience: 'mern-testing-users' }
+        );
+
+        const { res, events } = await openStream(`/api/realtime/stream?access_token=${shortToken}`);
+        const ended = new Promise(resolve => res.on('end', resolve));
+
+        await waitFor(events, 'expired');
+        await ended;
+
+        expect(getPubSub().listenerCount(channels.user(reader._id))).toBe(0);
+    });
+
+    it('should not leak subscriptions when the client leaves while connecting', async () => {
+        await new Promise((resolve) => {
+            const req = http.get(`http://127.0.0.1:${server.address().port}/api/realtime/stream?access_token=${readerToken}&posts=${post._id}`);
+            req.on('error', () => {});
+            // Abort as soon as the request is sent, before the stream is ready
+            req.on('finish', () => {
+                req.destroy();
+                resolve();
+            });
+        });
+
+        await testUtils.waitFor(200);
+
+        expect(getPubSub().listenerCount(channels.user(reader._id))).toBe(0);
+        expect(getPubSub().listenerCount(channels.post(post._id))).toBe(0);
+    });
+
+    it('should not subscribe to other users\' drafts', async () => {
+        const draft = await testUtils.createTestPost(author._id, { status: 'draft' });
+
+        const { events } = await openStream(`/api/realtime/stream?access_token=${readerToken}&posts=${draft._id}`);
+
+        expect(events[0].data.posts).toEqual([]);
+    });
+});
\ No newline at end of file
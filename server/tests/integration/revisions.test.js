@@ -0,0 +1,123 @@
+// server/tests/integration/revisions.test.js - Integration tests for post revision history
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const PostRevision = require('../../src/models/PostRevision');
+
+describe('Post Revisions Integration Tests', () => {
+    let author, other, admin, authorToken, post;
+
+    const update = (title, content) => request(app)
+        .put(`/api/posts/${post._id}`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ title, content, category: post.category.toString() });
+
+    beforeEach(async () => {
+        author = await testUtils.createTestUser();
+        other = await testUtils.createTestUser({ username: 'otheruser', email: 'other@example.com' });
+        admin = await testUtils.createTestUser({ username: 'admin', email: 'admin@example.com', role: 'admin' });
+        authorToken = testUtils.generateTestToken(author);
+        post = await testUtils.createTestPost(author._id, { content: 'Original content line' });
+    });
+
+    it('should snapshot the previous version on every update', async () => {
+        await update('Second Title', 'Second content line');
+        await update('Third Title', 'Third content line');
+
+        const res = await request(app)
+            .get(`/api/posts/${post._id}/revisions`)
+            .set('Authorization', `Bearer ${authorToken}`);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.revisions.map(r => r.revision)).toEqual([2, 1]);
+        expect(res.body.data.revisions[1].title).toBe('Test Post');
+        expect(res.body.data.revisions[0].content).toBeUndefined();
+    });
+
+    it('should not snapshot an update that fails validation', async () => {
+        const res = await request(app)
+            .put(`/api/posts/${post._id}`)
+            .set('Authorization', `Bearer ${authorToken}`)
+            .send({ title: 'Second Title', content: 'Second content line', category: post.category.toString(), excerpt: 'x'.repeat(301) });
+
+        expect(res.status).toBe(400);
+        expect(await PostRevision.countDocuments({ post: post._id })).toBe(0);
+    });
+
+    it('should number concurrent snapshots without collisions', async () => {
+        const revisions = await Promise.all([1, 2, 3].map(() => PostRevision.snapshot(post, author._id)));
+
+        expect(revisions.map(r => r.revision).sort()).toEqual([1, 2, 3]);
+    });
+
+    it('should diff a revision against the current post', async () => {
+        await update('Test Post', 'Changed content line');
+
+        const res = await request(app)
+            .get(`/api/posts/${post._id}/revisions/diff`)
+            .query({ from: 1, to: 'current' })
+            .set('Authorization', `Bearer ${authorToken}`);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.content.changes).toEqual([
+            { type: 'removed', value: 'Original content line' },
+            { type: 'added', value: 'Changed content line' }
+        ]);
+        expect(res.body.data.title.added).toBe(0);
+    });
+
+    it('should return 404 for an unknown revision', async () => {
+        const res = await request(app)
+            .get(`/api/posts/${post._id}/revisions/diff`)
+            .query({ from: 5 })
+            .set('Authorization', `Bearer ${authorToken}`);
+
+        expect(res.status).toBe(404);
+    });
+
+    it('should restore a revision and keep the replaced version', async () => {
+        await update('Edited Title', 'Accidental edit content');
+
+        const res = await request(app)
+            .post(`/api/posts/${post._id}/revisions/1/restore`)
+            .set('Authorization', `Bearer ${authorToken}`);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.post.title).toBe('Test Post');
+        expect(res.body.data.post.content).toBe('Original content line');
+
+        const latest = await PostRevision.findOne({ post: post._id }).sort({ revision: -1 });
+        expect(latest.revision).toBe(2);
+        expect(latest.content).toBe('Accidental edit content');
+    });
+
+    it('should let an admin restore a revision', async () => {
+        await update('Edited Title', 'Accidental edit content');
+
+        const res = await request(app)
+            .post(`/api/posts/${post._id}/revisions/1/restore`)
+            .set('Authorization', `Bearer ${testUtils.generateTestToken(admin)}`);
+
+        expect(res.status).toBe(200);
+
+        const stored = await Post.findById(post._id);
+        expect(stored.title).toBe('Test Post');
+    });
+
+    it('should forbid other users from viewing or restoring revisions', async () => {
+        await update('Edited Title', 'Accidental edit content');
+        const otherToken = testUtils.generateTestToken(other);
+
+        const listRes = await request(app)
+            .get(`/api/posts/${post._id}/revisions`)
+            .set('Authorization', `Bearer ${otherToken}`);
+
+        const restoreRes = await request(app)
+            .post(`/api/posts/${post._id}/revisions/1/restore`)
+            .set('Authorization', `Bearer ${otherToken}`);
+
+        expect(listRes.status).toBe(403);
+        expect(restoreRes.status).toBe(403);
+    });
+});
\ No newline at end of file
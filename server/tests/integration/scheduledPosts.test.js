@@ -0,0 +1,114 @@
+// server/tests/integration/scheduledPosts.test.js - Integration tests for scheduled publishing
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const { runScheduledPublishing } = require('../../src/utils/postScheduler');
+
+describe('Scheduled Posts Integration Tests', () => {
+    let user, token, category;
+
+    beforeEach(async () => {
+        user = await testUtils.createTestUser();
+        token = testUtils.generateTestToken(user);
+        const post = await testUtils.createTestPost(user._id);
+        category = post.category;
+    });
+
+    const createScheduled = (publishAt) => request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+            title: 'Scheduled Post',
+            content: 'This post will be published later',
+            category: category.toString(),
+            status: 'scheduled',
+            publishAt
+        });
+
+    describe('POST /api/posts with status scheduled', () => {
+        it('should schedule a post for a future date', async () => {
+            const publishAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+            const res = await createScheduled(publishAt);
+
+            expect(res.status).toBe(201);
+            expect(res.body.data.post.status).toBe('scheduled');
+            expect(res.body.data.post.publishAt).toBe(publishAt);
+            expect(res.body.data.post.publishedAt).toBeUndefined();
+        });
+
+        it('should reject a schedule date in the past', async () => {
+            const res = await createScheduled(new Date(Date.now() - 60 * 1000).toISOString());
+
+            expect(res.status).toBe(400);
+            expect(res.body.errors[0].msg).toBe('Publish date must be in the future');
+        });
+
+        it('should require a schedule date', async () => {
+            const res = await createScheduled(undefined);
+
+            expect(res.status).toBe(400);
+            expect(res.body.errors[0].msg).toBe('Publish date is required for scheduled posts');
+        });
+
+        it('should hide scheduled posts from the public listing', async () => {
+            await createScheduled(new Date(Date.now() + 60 * 60 * 1000).toISOString());
+
+            const res = await request(app).get('/api/posts');
+
+            expect(res.body.data.posts.map(p => p.title)).not.toContain('Scheduled Post');
+        });
+    });
+
+    describe('runScheduledPublishing', () => {
+        it('should publish due posts with their scheduled date', async () => {
+            const publishAt = new Date(Date.now() - 5 * 60 * 1000);
+            const due = await testUtils.createTestPost(user._id, {
+                title: 'Due Post',
+                status: 'scheduled',
+                publishAt
+            });
+            const future = await testUtils.createTestPost(user._id, {
+                title: 'Future Post',
+                status: 'scheduled',
+                publishAt: new Date(Date.now() + 60 * 60 * 1000)
+            });
+
+            const published = await runScheduledPublishing();
+
+            expect(published).toBe(1);
+
+            const duePost = await Post.findById(due._id);
+            expect(duePost.status).toBe('published');
+            expect(duePost.publishedAt.getTime()).toBe(publishAt.getTime());
+
+            const futurePost = await Post.findById(future._id);
+            expect(futurePost.status).toBe('scheduled');
+        });
+
+        it('should be idempotent', async () => {
+            await testUtils.createTestPost(user._id, {
+                title: 'Due Post',
+                status: 'scheduled',
+                publishAt: new Date(Date.now() - 1000)
+            });
+
+            expect(await runScheduledPublishing()).toBe(1);
+            expect(await runScheduledPublishing()).toBe(0);
+        });
+
+        it('should hand each due post to only one concurrent publisher', async () => {
+            await Promise.all([1, 2, 3].map(n => testUtils.createTestPost(user._id, {
+                title: `Due Post ${n}`,
+                status: 'scheduled',
+                publishAt: new Date(Date.now() - 1000)
+            })));
+
+            const [first, second] = await Promise.all([Post.publishDuePosts(), Post.publishDuePosts()]);
+            const titles = [...first, ...second].map(post => post.title).sort();
+
+            expect(titles).toEqual(['Due Post 1', 'Due Post 2', 'Due Post 3']);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,167 @@
+// server/tests/integration/slugs.test.js - Integration tests for unique slugs and slug redirects
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Category = require('../../src/models/Category');
+const Post = require('../../src/models/Post');
+const { saveWithUniqueSlug } = require('../../src/utils/slug');
+
+describe('Slug Integration Tests', () => {
+    let author;
+
+    beforeEach(async () => {
+        author = await testUtils.createTestUser();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should suffix slugs of posts with the same title', async () => {
+        const first = await testUtils.createTestPost(author._id, { title: 'Same Title' });
+        const second = await testUtils.createTestPost(author._id, { title: 'Same Title' });
+        const third = await testUtils.createTestPost(author._id, { title: 'Same title!' });
+
+        expect(first.slug).toBe('same-title');
+        expect(second.slug).toBe('same-title-2');
+        expect(third.slug).toBe('same-title-3');
+    });
+
+    it('should give concurrently created posts distinct slugs', async () => {
+        await Post.init();
+        const token = testUtils.generateTestToken(author);
+        const { category } = await testUtils.createTestPost(author._id, { title: 'Fixture Post' });
+
+        const responses = await Promise.all([1, 2, 3].map(() =>
+            request(app)
+                .post('/api/posts')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ title: 'Race Title', content: 'Content for a concurrent post', category: category.toString(), status: 'draft' })
+        ));
+
+        responses.forEach(response => expect(response.status).toBe(201));
+        const slugs = responses.map(response => response.body.data.post.slug).sort();
+        expect(slugs).toEqual(['race-title', 'race-title-2', 'race-title-3']);
+    });
+
+    it('should pick a new slug when another save took it after the lookup', async () => {
+        await Post.init();
+        const existing = await testUtils.createTestPost(author._id, { title: 'Race Title' });
+        const post = new Post({
+            title: 'Race Title',
+            content: 'Content for a racing post',
+            author: author._id,
+            category: existing.category
+        });
+
+        // The first lookup misses the existing post, as it would if both saves ran at once
+        jest.spyOn(Post, 'find').mockImplementationOnce(() => ({
+            select: () => ({ lean: async () => [] })
+        }));
+        const save = jest.spyOn(post, 'save');
+
+        await saveWithUniqueSlug(post);
+
+        expect(save).toHaveBeenCalledTimes(2);
+        expect(post.slug).toBe('race-title-2');
+        expect(post.slugHistory).toEqual([]);
+    });
+
+    it('should keep old slugs when a title changes', async () => {
+        const post = await testUtils.createTestPost(author._id, { title: 'Original Title' });
+
+        post.title = 'New Title';
+        await post.save();
+
+        expect(post.slug).toBe('new-title');
+        expect(post.slugHistory).toEqual(['original-title']);
+
+        // The old slug stays reserved for the redirect
+        const other = await testUtils.createTestPost(author._id, { title: 'Original Title' });
+        expect(other.slug).toBe('original-title-2');
+    });
+
+    it('should update the slug when a post is renamed through the API', async () => {
+        const post = await testUtils.createTestPost(author._id, { title: 'Before Rename' });
+
+        const res = await request(app)
+            .put(`/api/posts/${post._id}`)
+            .set('Authorization', `Bearer ${testUtils.generateTestToken(author)}`)
+            .send({ title: 'After Rename', content: post.content, category: post.category.toString() });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.post.slug).toBe('after-rename');
+        expect(res.body.data.post.slugHistory).toEqual(['before-rename']);
+    });
+
+    it('should not change the slug when only the case of the title changes', async () => {
+        const post = await testUtils.createTestPost(author._id, { title: 'Case Title' });
+
+        post.title = 'CASE TITLE';
+        await post.save();
+
+        expect(post.slug).toBe('case-title');
+        expect(post.slugHistory).toEqual([]);
+    });
+
+    it('should suffix category slugs that collide', async () => {
+        const first = await Category.create({ name: 'C++' });
+        const second = await Category.create({ name: 'C#' });
+
+        expect(first.slug).toBe('c');
+        expect(second.slug).toBe('c-2');
+    });
+
+    describe('GET /api/posts/slug/:slug', () => {
+        let post;
+
+        beforeEach(async () => {
+            post = await testUtils.createTestPost(author._id, { title: 'First Name' });
+            post.title = 'Second Name';
+            await post.save();
+        });
+
+        it('should return the post by its current slug', async () => {
+            const res = await request(app).get('/api/posts/slug/second-name');
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.post._id).toBe(post._id.toString());
+            expect(res.body.data.redirect).toBeNull();
+        });
+
+        it('should include SEO metadata', async () => {
+            const res = await request(app).get('/api/posts/slug/second-name');
+
+            const { meta } = res.body.data;
+            expect(meta.canonicalUrl).toMatch(/\/posts\/second-name$/);
+            expect(meta.openGraph['og:title']).toBe('Second Name');
+            expect(meta.jsonLd['@type']).toBe('Article');
+            expect(meta.jsonLd.author.name).toBe('Test User');
+        });
+
+        it('should resolve an old slug with a redirect hint', async () => {
+            const res = await request(app).get('/api/posts/slug/first-name');
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.post._id).toBe(post._id.toString());
+            expect(res.body.data.redirect).toEqual({
+                from: 'first-name',
+                to: 'second-name',
+                url: '/api/posts/slug/second-name',
+                permanent: true
+            });
+        });
+
+        it('should return 404 for an unknown slug', async () => {
+            const res = await request(app).get('/api/posts/slug/missing');
+
+            expect(res.status).toBe(404);
+        });
+
+        it('should reject malformed slugs', async () => {
+            const res = await request(app).get('/api/posts/slug/bad_slug!');
+
+            expect(res.status).toBe(400);
+        });
+    });
+});
\ No newline at end of file
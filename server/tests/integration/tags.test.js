@@ -0,0 +1,139 @@
+// server/tests/integration/tags.test.js - Integration tests for the tags API
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const Tag = require('../../src/models/Tag');
+
+describe('Tags API Integration Tests', () => {
+    let author, moderator, userToken, moderatorToken;
+
+    beforeEach(async () => {
+        author = await testUtils.createTestUser();
+        moderator = await testUtils.createTestUser({
+            username: 'moderator',
+            email: 'moderator@example.com',
+            role: 'moderator'
+        });
+        userToken = testUtils.generateTestToken(author);
+        moderatorToken = testUtils.generateTestToken(moderator);
+
+        await testUtils.createTestPost(author._id, { title: 'First Post', tags: ['js', 'react'] });
+        await testUtils.createTestPost(author._id, { title: 'Second Post', tags: ['javascript', 'js'] });
+        await testUtils.createTestPost(author._id, { title: 'Draft Post', tags: ['js'], status: 'draft' });
+    });
+
+    describe('GET /api/tags', () => {
+        it('should count tag usage across published posts', async () => {
+            await Tag.create({ name: 'react', description: 'UI library' });
+
+            const res = await request(app).get('/api/tags');
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.tags[0]).toMatchObject({ name: 'js', count: 2, description: null });
+            expect(res.body.data.tags).toContainEqual(expect.objectContaining({
+                name: 'react',
+                count: 1,
+                description: 'UI library'
+            }));
+            expect(res.body.data.pagination.total).toBe(3);
+        });
+
+        it('should reject a non-string search query', async () => {
+            const res = await request(app).get('/api/tags?q[]=js');
+
+            expect(res.status).toBe(400);
+        });
+    });
+
+    describe('GET /api/tags/autocomplete', () => {
+        it('should suggest tags by prefix including registry-only tags', async () => {
+            await Tag.create({ name: 'jest', description: 'Testing framework' });
+
+            const res = await request(app)
+                .get('/api/tags/autocomplete')
+                .query({ q: 'J' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.tags).toEqual([
+                { name: 'js', count: 3 },
+                { name: 'javascript', count: 1 },
+                { name: 'jest', count: 0 }
+            ]);
+        });
+
+        it('should require a query', async () => {
+            const res = await request(app).get('/api/tags/autocomplete');
+
+            expect(res.status).toBe(400);
+        });
+
+        it('should reject a non-string query', async () => {
+            const res = await request(app).get('/api/tags/autocomplete?q[]=js');
+
+            expect(res.status).toBe(400);
+        });
+    });
+
+    describe('GET /api/tags/:name', () => {
+        it('should return the tag page with its published posts', async () => {
+            const res = await request(app).get('/api/tags/js');
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.tag).toEqual({ name: 'js', description: null, count: 2 });
+            expect(res.body.data.posts).toHaveLength(2);
+        });
+
+        it('should return 404 for an unknown tag', async () => {
+            const res = await request(app).get('/api/tags/unknown');
+
+            expect(res.status).toBe(404);
+        });
+    });
+
+    describe('PUT /api/tags/:name', () => {
+        it('should let moderators rename a tag across all posts', async () => {
+            const res = await request(app)
+                .put('/api/tags/react')
+                .set('Authorization', `Bearer ${moderatorToken}`)
+                .send({ name: 'ReactJS', description: 'UI library' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.postsUpdated).toBe(1);
+            expect(res.body.data.tag).toEqual({ name: 'reactjs', description: 'UI library' });
+
+            const post = await Post.findOne({ title: 'First Post' });
+            expect(post.tags).toEqual(['js', 'reactjs']);
+        });
+
+        it('should forbid regular users', async () => {
+            const res = await request(app)
+                .put('/api/tags/react')
+                .set('Authorization', `Bearer ${userToken}`)
+                .send({ description: 'UI library' });
+
+            expect(res.status).toBe(403);
+        });
+    });
+
+    describe('POST /api/tags/merge', () => {
+        it('should merge tags without leaving duplicates', async () => {
+            await Tag.create({ name: 'js', description: 'The language of the web' });
+
+            const res = await request(app)
+                .post('/api/tags/merge')
+                .set('Authorization', `Bearer ${moderatorToken}`)
+                .send({ sources: ['js'], target: 'javascript' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.postsUpdated).toBe(3);
+
+            const post = await Post.findOne({ title: 'Second Post' });
+            expect(post.tags).toEqual(['javascript']);
+
+            expect(await Tag.exists({ name: 'js' })).toBeNull();
+            const target = await Tag.findOne({ name: 'javascript' });
+            expect(target.description).toBe('The language of the web');
+        });
+    });
+});
\ No newline at end of file
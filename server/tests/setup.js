@@ -6,6 +6,7 @@ const { MongoMemoryServer } = require('mongodb-memory-server');
 // Set test environment
 process.env.NODE_ENV = 'test';
 process.env.JWT_SECRET = 'test-jwt-secret-key';
+process.env.RATE_LIMIT_ENABLED = 'false'; // Suites exercising the limiter enable it themselves
 
 // Increase timeout for tests
 jest.setTimeout(30000);
@@ -73,6 +74,7 @@ global.testUtils = {
             password: 'password123',
             firstName: 'Test',
             lastName: 'User',
+            isEmailVerified: true,
             ...userData
         };
 
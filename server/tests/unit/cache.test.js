@@ -0,0 +1,37 @@
+// server/tests/unit/cache.test.js - Unit tests for the in-memory cache
+
+const { MemoryCache } = require('../../src/utils/cache');
+
+describe('MemoryCache Unit Tests', () => {
+    let cache;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        cache = new MemoryCache();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('should return stored values until they expire', async () => {
+        await cache.set('key', { value: 1 }, 1000);
+
+        expect(await cache.get('key')).toEqual({ value: 1 });
+
+        jest.advanceTimersByTime(1000);
+
+        expect(await cache.get('key')).toBeUndefined();
+    });
+
+    it('should delete and clear entries', async () => {
+        await cache.set('a', 1, 1000);
+        await cache.set('b', 2, 1000);
+
+        await cache.delete('a');
+        expect(await cache.get('a')).toBeUndefined();
+
+        await cache.clear();
+        expect(await cache.get('b')).toBeUndefined();
+    });
+});
\ No newline at end of file
@@ -0,0 +1,54 @@
+// server/tests/unit/diff.test.js - Unit tests for the line diff utility
+
+const { MAX_DIFF_LINES, canDiff, diffLines } = require('../../src/utils/diff');
+
+describe('Diff Utility Unit Tests', () => {
+    it('should report identical texts as unchanged', () => {
+        const result = diffLines('one\ntwo', 'one\ntwo');
+
+        expect(result.changes).toEqual([{ type: 'unchanged', value: 'one\ntwo' }]);
+        expect(result.added).toBe(0);
+        expect(result.removed).toBe(0);
+    });
+
+    it('should detect added and removed lines', () => {
+        const result = diffLines('one\ntwo\nthree', 'one\n2\nthree\nfour');
+
+        expect(result.changes).toEqual([
+            { type: 'unchanged', value: 'one' },
+            { type: 'removed', value: 'two' },
+            { type: 'added', value: '2' },
+            { type: 'unchanged', value: 'three' },
+            { type: 'added', value: 'four' }
+        ]);
+        expect(result.added).toBe(2);
+        expect(result.removed).toBe(1);
+    });
+
+    it('should handle empty texts', () => {
+        const result = diffLines('', 'new line');
+
+        expect(result.added).toBe(1);
+        expect(result.removed).toBe(1);
+    });
+
+    it('should find a minimal diff for long texts', () => {
+        const lines = Array.from({ length: 2000 }, (_, i) => `line ${i}`);
+        const edited = [...lines];
+        edited.splice(500, 1);
+        edited.splice(1500, 0, 'inserted');
+
+        const result = diffLines(lines.join('\n'), edited.join('\n'));
+
+        expect(result.removed).toBe(1);
+        expect(result.added).toBe(1);
+        expect(result.changes[1]).toEqual({ type: 'removed', value: 'line 500' });
+    });
+
+    it('should refuse texts above the line limit', () => {
+        const tooLong = 'x\n'.repeat(MAX_DIFF_LINES);
+
+        expect(canDiff(tooLong)).toBe(false);
+        expect(() => diffLines(tooLong, '')).toThrow(RangeError);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,37 @@
+// server/tests/unit/events.test.js - Unit tests for application events
+
+const { events } = require('../../src/utils/events');
+
+describe('Application Events Unit Tests', () => {
+    afterEach(() => {
+        events.removeAllListeners('test:event');
+    });
+
+    it('should wait for every async listener', async () => {
+        const calls = [];
+
+        events.on('test:event', async (payload) => {
+            await new Promise(resolve => setTimeout(resolve, 5));
+            calls.push(['slow', payload.value]);
+        });
+        events.on('test:event', (payload) => {
+            calls.push(['fast', payload.value]);
+        });
+
+        await events.emitAsync('test:event', { value: 1 });
+
+        expect(calls).toEqual([['fast', 1], ['slow', 1]]);
+    });
+
+    it('should not reject when a listener fails', async () => {
+        const after = jest.fn();
+
+        events.on('test:event', async () => {
+            throw new Error('listener failed');
+        });
+        events.on('test:event', after);
+
+        await expect(events.emitAsync('test:event', {})).resolves.toBeUndefined();
+        expect(after).toHaveBeenCalled();
+    });
+});
\ No newline at end of file
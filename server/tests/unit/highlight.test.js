@@ -0,0 +1,33 @@
+// server/tests/unit/highlight.test.js - Unit tests for search highlighting
+
+const { extractTerms, highlight, buildSnippet } = require('../../src/utils/highlight');
+
+describe('Highlight Utility Unit Tests', () => {
+    it('should extract lowercase terms and drop negated ones', () => {
+        expect(extractTerms('React "Hooks" -class')).toEqual(['react', 'hooks']);
+        expect(extractTerms()).toEqual([]);
+    });
+
+    it('should wrap word prefix matches in mark tags', () => {
+        expect(highlight('Testing React apps', ['test', 'react']))
+            .toBe('<mark>Testing</mark> <mark>React</mark> apps');
+    });
+
+    it('should escape HTML around matches', () => {
+        expect(highlight('<b>node</b> & more', ['node']))
+            .toBe('&lt;b&gt;<mark>node</mark>&lt;/b&gt; &amp; more');
+    });
+
+    it('should cut a snippet around the first match', () => {
+        const text = `${'lorem '.repeat(50)}mongodb ${'ipsum '.repeat(50)}`;
+        const snippet = buildSnippet(text, ['mongodb'], 60);
+
+        expect(snippet.startsWith('...')).toBe(true);
+        expect(snippet.endsWith('...')).toBe(true);
+        expect(snippet).toContain('<mark>mongodb</mark>');
+    });
+
+    it('should start at the beginning when nothing matches', () => {
+        expect(buildSnippet('short text', ['absent'])).toBe('short text');
+    });
+});
\ No newline at end of file
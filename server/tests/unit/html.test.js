@@ -0,0 +1,14 @@
+// server/tests/unit/html.test.js - Unit tests for HTML helpers
+
+const { escapeHtml } = require('../../src/utils/html');
+
+describe('HTML Utility Unit Tests', () => {
+    it('should escape HTML special characters', () => {
+        expect(escapeHtml('<a href="x">Tom & Jerry\'s</a>'))
+            .toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;');
+    });
+
+    it('should return an empty string when no text is given', () => {
+        expect(escapeHtml()).toBe('');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,45 @@
+// server/tests/unit/loginThrottle.test.js - Unit tests for per-IP login throttling
+
+const loginThrottle = require('../../src/utils/loginThrottle');
+
+describe('Login Throttle Unit Tests', () => {
+    const ip = '203.0.113.5';
+
+    beforeEach(() => {
+        loginThrottle.reset();
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('should not block an IP below the limit', () => {
+        for (let i = 0; i < loginThrottle.MAX_FAILED_LOGINS_PER_IP - 1; i++) {
+            loginThrottle.recordFailure(ip);
+        }
+
+        expect(loginThrottle.checkIp(ip).blocked).toBe(false);
+    });
+
+    it('should block an IP once the limit is reached', () => {
+        for (let i = 0; i < loginThrottle.MAX_FAILED_LOGINS_PER_IP; i++) {
+            loginThrottle.recordFailure(ip);
+        }
+
+        const status = loginThrottle.checkIp(ip);
+        expect(status.blocked).toBe(true);
+        expect(status.retryAfter).toBeGreaterThan(0);
+        expect(loginThrottle.checkIp('198.51.100.1').blocked).toBe(false);
+    });
+
+    it('should unblock the IP after the window passes', () => {
+        for (let i = 0; i < loginThrottle.MAX_FAILED_LOGINS_PER_IP; i++) {
+            loginThrottle.recordFailure(ip);
+        }
+
+        jest.advanceTimersByTime(15 * 60 * 1000);
+
+        expect(loginThrottle.checkIp(ip).blocked).toBe(false);
+    });
+});
\ No newline at end of file
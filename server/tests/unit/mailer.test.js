@@ -0,0 +1,85 @@
+// server/tests/unit/mailer.test.js - Unit tests for mail transports
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const {
+    MemoryTransport,
+    FileTransport,
+    createTransport,
+    setTransport,
+    getTransport,
+    sendMail
+} = require('../../src/utils/mailer');
+
+describe('Mailer Unit Tests', () => {
+    let originalTransport;
+
+    beforeEach(() => {
+        originalTransport = getTransport();
+    });
+
+    afterEach(() => {
+        setTransport(originalTransport);
+    });
+
+    describe('createTransport', () => {
+        it('should create known transports by name', () => {
+            expect(createTransport('memory')).toBeInstanceOf(MemoryTransport);
+            expect(createTransport('file')).toBeInstanceOf(FileTransport);
+        });
+
+        it('should throw for an unknown transport', () => {
+            expect(() => createTransport('smtp')).toThrow('Unknown mail transport: smtp');
+        });
+    });
+
+    describe('sendMail', () => {
+        it('should use the memory transport in tests', () => {
+            expect(getTransport()).toBeInstanceOf(MemoryTransport);
+        });
+
+        it('should send through the active transport', async () => {
+            const transport = new MemoryTransport();
+            setTransport(transport);
+
+            const result = await sendMail({
+                to: 'test@example.com',
+                subject: 'Hello',
+                text: 'Hello there'
+            });
+
+            expect(transport.messages).toHaveLength(1);
+            expect(result.messageId).toBe(transport.messages[0].messageId);
+
+            const message = transport.lastMessageTo('test@example.com');
+            expect(message.subject).toBe('Hello');
+            expect(message.from).toBeDefined();
+        });
+
+        it('should accept any object with a send method', async () => {
+            const send = jest.fn().mockResolvedValue({ messageId: 'custom' });
+            setTransport({ send });
+
+            const result = await sendMail({ to: 'test@example.com', subject: 'Hi', text: 'Hi' });
+
+            expect(send).toHaveBeenCalledWith(expect.objectContaining({ to: 'test@example.com' }));
+            expect(result.messageId).toBe('custom');
+        });
+    });
+
+    describe('FileTransport', () => {
+        it('should write messages as JSON files', async () => {
+            const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'mail-'));
+            setTransport(new FileTransport(directory));
+
+            const result = await sendMail({ to: 'test@example.com', subject: 'Stored', text: 'Body' });
+            const stored = JSON.parse(await fs.readFile(result.path, 'utf8'));
+
+            expect(stored.to).toBe('test@example.com');
+            expect(stored.subject).toBe('Stored');
+
+            await fs.rm(directory, { recursive: true, force: true });
+        });
+    });
+});
\ No newline at end of file
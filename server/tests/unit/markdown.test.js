@@ -0,0 +1,98 @@
+// server/tests/unit/markdown.test.js - Unit tests for Markdown rendering and sanitization
+
+const {
+    sanitize,
+    htmlToText,
+    renderContent,
+    buildExcerpt,
+    calculateReadTime
+} = require('../../src/utils/markdown');
+
+describe('Markdown Unit Tests', () => {
+    describe('renderContent', () => {
+        it('should render Markdown to HTML', () => {
+            const { html } = renderContent('## Setup\n\nRun **npm test** and `jest`.\n\n- one\n- two');
+
+            expect(html).toContain('<h2>Setup</h2>');
+            expect(html).toContain('<strong>npm test</strong>');
+            expect(html).toContain('<code>jest</code>');
+            expect(html).toContain('<li>one</li>');
+        });
+
+        it('should keep the language class on code blocks', () => {
+            const { html } = renderContent('```js\nconst ok = 1 < 2;\n```');
+
+            expect(html).toContain('<code class="language-js">const ok = 1 &lt; 2;');
+        });
+
+        it('should strip scripts, event handlers and unsafe URLs', () => {
+            const { html } = renderContent([
+                '<script>alert(1)</script>',
+                '<img src="/uploads/a.png" onerror="alert(1)">',
+                '<a href="javascript:alert(1)">click</a>',
+                '<iframe src="https://example.com"></iframe>'
+            ].join('\n\n'));
+
+            expect(html).not.toMatch(/script|onerror|javascript:|iframe/);
+            expect(html).toContain('<img src="/uploads/a.png" loading="lazy" />');
+        });
+
+        it('should not turn unsafe Markdown links into anchors', () => {
+            const { html } = renderContent('[click](javascript:alert(1))');
+
+            expect(html).not.toContain('<a');
+        });
+
+        it('should mark links nofollow and open external ones in a new tab', () => {
+            const { html } = renderContent('[site](https://example.com) and [post](/posts/hello)');
+
+            expect(html).toContain('<a href="https://example.com" rel="nofollow noopener noreferrer" target="_blank">site</a>');
+            expect(html).toContain('<a href="/posts/hello" rel="nofollow noopener noreferrer">post</a>');
+        });
+
+        it('should sanitize HTML content without rendering Markdown', () => {
+            const { html } = renderContent('<p style="color:red">**kept** <b>bold</b></p>', 'html');
+
+            expect(html).toBe('<p>**kept** <b>bold</b></p>');
+        });
+
+        it('should produce plain text without markup', () => {
+            const { text } = renderContent('# Title\n\nTom &amp; **Jerry** <3\n\n| a | b |\n|---|---|\n| 1 | 2 |');
+
+            expect(text).toBe('Title\nTom & Jerry <3\na b\n1 2');
+        });
+    });
+
+    describe('sanitize and htmlToText', () => {
+        it('should drop tags outside the whitelist but keep their text', () => {
+            expect(sanitize('<div><span>text</span></div>')).toBe('text');
+        });
+
+        it('should keep line breaks between blocks', () => {
+            expect(htmlToText('<h2>One</h2><p>Two<br>Three</p>')).toBe('One\nTwo\nThree');
+        });
+    });
+
+    describe('buildExcerpt', () => {
+        it('should keep short text as is', () => {
+            expect(buildExcerpt('Short text\nover lines')).toBe('Short text over lines');
+        });
+
+        it('should cut long text at a word boundary', () => {
+            const excerpt = buildExcerpt('word '.repeat(100), 20);
+
+            expect(excerpt).toBe('word word word...');
+            expect(excerpt.length).toBeLessThanOrEqual(20);
+        });
+    });
+
+    describe('calculateReadTime', () => {
+        it('should count words at 200 per minute', () => {
+            expect(calculateReadTime('word '.repeat(401))).toBe(3);
+        });
+
+        it('should be at least one minute', () => {
+            expect(calculateReadTime('')).toBe(1);
+        });
+    });
+});
\ No newline at end of file
@@ -1,8 +1,8 @@
 // server/tests/unit/middleware.test.js - Unit tests for middleware functions
 
-const { authenticate, authorize, checkOwnership } = require('../../src/middleware/auth');
+const { authenticate, authenticateWith, authorize, checkOwnership } = require('../../src/middleware/auth');
 const { errorHandler, notFound } = require('../../src/middleware/errorHandler');
-const { getUserFromToken } = require('../../src/utils/auth');
+const { extractToken, getUserFromToken } = require('../../src/utils/auth');
 
 // Mock dependencies
 jest.mock('../../src/utils/auth');
@@ -116,6 +116,52 @@ describe('Middleware Unit Tests', () => {
         });
     });
 
+    describe('Authentication Middleware with options', () => {
+        const mockUser = {
+            _id: '507f1f77bcf86cd799439011',
+            username: 'testuser',
+            isActive: true,
+            isEmailVerified: false
+        };
+
+        beforeEach(() => {
+            req.headers.authorization = 'Bearer valid.jwt.token';
+            extractToken.mockReturnValue('valid.jwt.token');
+        });
+
+        it('should reject unverified accounts when email verification is required', async () => {
+            getUserFromToken.mockResolvedValue(mockUser);
+
+            await authenticateWith({ requireVerifiedEmail: true })(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(res.json).toHaveBeenCalledWith({
+                error: 'Forbidden',
+                message: 'Email address must be verified'
+            });
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        it('should allow verified accounts when email verification is required', async () => {
+            const verifiedUser = { ...mockUser, isEmailVerified: true };
+            getUserFromToken.mockResolvedValue(verifiedUser);
+
+            await authenticateWith({ requireVerifiedEmail: true })(req, res, next);
+
+            expect(req.user).toBe(verifiedUser);
+            expect(next).toHaveBeenCalledWith();
+        });
+
+        it('should allow unverified accounts by default', async () => {
+            getUserFromToken.mockResolvedValue(mockUser);
+
+            await authenticateWith()(req, res, next);
+
+            expect(req.user).toBe(mockUser);
+            expect(next).toHaveBeenCalledWith();
+        });
+    });
+
     describe('Authorization Middleware', () => {
         it('should allow access for user with correct role', () => {
             req.user = { role: 'admin' };
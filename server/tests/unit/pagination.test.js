@@ -0,0 +1,68 @@
+// server/tests/unit/pagination.test.js - Unit tests for cursor pagination helpers
+
+const mongoose = require('mongoose');
+const {
+    encodeCursor,
+    decodeCursor,
+    buildCursorFilter,
+    buildPageInfo
+} = require('../../src/utils/pagination');
+
+describe('Pagination Utilities Unit Tests', () => {
+    const doc = {
+        _id: new mongoose.Types.ObjectId('507f1f77bcf86cd799439011'),
+        publishedAt: new Date('2024-01-01T00:00:00.000Z')
+    };
+
+    describe('encodeCursor / decodeCursor', () => {
+        it('should round-trip a cursor', () => {
+            const cursor = encodeCursor(doc, 'publishedAt', 'next');
+            const decoded = decodeCursor(cursor);
+
+            expect(typeof cursor).toBe('string');
+            expect(decoded.value).toEqual(doc.publishedAt);
+            expect(decoded.id).toBe('507f1f77bcf86cd799439011');
+            expect(decoded.direction).toBe('next');
+        });
+
+        it('should encode documents without the sort field', () => {
+            const decoded = decodeCursor(encodeCursor({ _id: doc._id }, 'publishedAt'));
+
+            expect(decoded.value).toBeNull();
+        });
+
+        it('should reject malformed cursors', () => {
+            expect(decodeCursor('not-a-cursor')).toBeNull();
+            expect(decodeCursor(Buffer.from('{"v":1,"id":"x","d":"next"}').toString('base64url'))).toBeNull();
+            expect(decodeCursor(Buffer.from('{"v":1,"id":"507f1f77bcf86cd799439011","d":"up"}').toString('base64url'))).toBeNull();
+        });
+    });
+
+    describe('buildCursorFilter', () => {
+        it('should select older documents with an _id tie-breaker when paging forward', () => {
+            const filter = buildCursorFilter('publishedAt', decodeCursor(encodeCursor(doc, 'publishedAt', 'next')));
+
+            expect(filter.$or[0]).toEqual({ publishedAt: { $lt: doc.publishedAt } });
+            expect(filter.$or[1].publishedAt).toEqual(doc.publishedAt);
+            expect(filter.$or[1]._id.$lt.toString()).toBe(doc._id.toString());
+            expect(filter.$or[2]).toEqual({ publishedAt: null });
+        });
+
+        it('should select newer documents when paging backward', () => {
+            const filter = buildCursorFilter('publishedAt', decodeCursor(encodeCursor(doc, 'publishedAt', 'prev')));
+
+            expect(filter.$or[0]).toEqual({ publishedAt: { $gt: doc.publishedAt } });
+            expect(filter.$or).toHaveLength(2);
+        });
+    });
+
+    describe('buildPageInfo', () => {
+        it('should only emit cursors for pages that exist', () => {
+            const info = buildPageInfo([doc], 'publishedAt', true, false);
+
+            expect(info.hasNext).toBe(true);
+            expect(info.nextCursor).not.toBeNull();
+            expect(info.prevCursor).toBeNull();
+        });
+    });
+});
\ No newline at end of file
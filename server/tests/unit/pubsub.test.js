@@ -0,0 +1,46 @@
+// server/tests/unit/pubsub.test.js - Unit tests for real-time pub/sub
+
+const { LocalPubSub, getPubSub, setPubSub, channels } = require('../../src/utils/pubsub');
+
+describe('PubSub Unit Tests', () => {
+    it('should deliver messages to channel subscribers only', async () => {
+        const pubsub = new LocalPubSub();
+        const onPost = jest.fn();
+        const onOther = jest.fn();
+
+        await pubsub.subscribe('post:1', onPost);
+        await pubsub.subscribe('post:2', onOther);
+        await pubsub.publish('post:1', { type: 'likes', data: { likeCount: 3 } });
+
+        expect(onPost).toHaveBeenCalledWith({ type: 'likes', data: { likeCount: 3 } });
+        expect(onOther).not.toHaveBeenCalled();
+    });
+
+    it('should stop delivering after unsubscribe', async () => {
+        const pubsub = new LocalPubSub();
+        const handler = jest.fn();
+
+        const unsubscribe = await pubsub.subscribe('user:1', handler);
+        await unsubscribe();
+        await pubsub.publish('user:1', { type: 'notification' });
+
+        expect(handler).not.toHaveBeenCalled();
+        expect(pubsub.listenerCount('user:1')).toBe(0);
+    });
+
+    it('should allow swapping the implementation', () => {
+        const original = getPubSub();
+        const broker = { publish: jest.fn(), subscribe: jest.fn() };
+
+        setPubSub(broker);
+        expect(getPubSub()).toBe(broker);
+
+        setPubSub(original);
+        expect(getPubSub()).toBe(original);
+    });
+
+    it('should build channel names', () => {
+        expect(channels.post('abc')).toBe('post:abc');
+        expect(channels.user('xyz')).toBe('user:xyz');
+    });
+});
\ No newline at end of file
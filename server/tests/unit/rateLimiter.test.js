@@ -0,0 +1,179 @@
+// server/tests/unit/rateLimiter.test.js - Unit tests for rate limiting middleware
+
+const { MemoryStore, createRateLimiter, rateLimit } = require('../../src/middleware/rateLimiter');
+const { generateToken } = require('../../src/utils/auth');
+const rateLimitPolicies = require('../../src/config/rateLimits');
+
+describe('Rate Limiter Unit Tests', () => {
+    let req, res, next, store;
+
+    beforeEach(() => {
+        process.env.RATE_LIMIT_ENABLED = 'true';
+        jest.useFakeTimers();
+        jest.setSystemTime(new Date('2024-01-01T00:00:00.000Z'));
+
+        req = { ip: '203.0.113.5', method: 'GET', originalUrl: '/api/posts' };
+        res = { set: jest.fn() };
+        next = jest.fn();
+        store = new MemoryStore();
+    });
+
+    afterEach(() => {
+        process.env.RATE_LIMIT_ENABLED = 'false';
+        jest.useRealTimers();
+    });
+
+    const send = async (limiter, times = 1) => {
+        for (let i = 0; i < times; i++) {
+            await limiter(req, res, next);
+        }
+    };
+
+    describe('MemoryStore', () => {
+        it('should count hits in the current window', async () => {
+            await store.increment('key', 1000);
+            const result = await store.increment('key', 1000);
+
+            expect(result.current).toBe(2);
+            expect(result.previous).toBe(0);
+        });
+
+        it('should carry the count over to the previous window', async () => {
+            await store.increment('key', 1000);
+            await store.increment('key', 1000);
+
+            jest.advanceTimersByTime(1000);
+            const result = await store.increment('key', 1000);
+
+            expect(result.current).toBe(1);
+            expect(result.previous).toBe(2);
+        });
+
+        it('should forget keys after they expire', async () => {
+            await store.increment('key', 1000);
+
+            jest.advanceTimersByTime(2000);
+            store.cleanup();
+
+            expect(store.hits.size).toBe(0);
+        });
+    });
+
+    describe('createRateLimiter', () => {
+        it('should set RateLimit headers', async () => {
+            const limiter = createRateLimiter({ windowMs: 60000, max: 5, store });
+
+            await send(limiter);
+
+            expect(res.set).toHaveBeenCalledWith(expect.objectContaining({
+                'RateLimit-Limit': '5',
+                'RateLimit-Remaining': '4',
+                'RateLimit-Reset': '60',
+                'RateLimit-Policy': '5;w=60'
+            }));
+            expect(next).toHaveBeenCalledWith();
+        });
+
+        it('should reject requests over the limit with a 429 error', async () => {
+            const limiter = createRateLimiter({ windowMs: 60000, max: 2, store });
+
+            await send(limiter, 3);
+
+            const error = next.mock.calls[2][0];
+            expect(error.statusCode).toBe(429);
+            expect(error.retryAfter).toBe(60);
+        });
+
+        it('should weigh the previous window into the sliding count', async () => {
+            const limiter = createRateLimiter({ windowMs: 60000, max: 4, store });
+
+            await send(limiter, 4);
+
+            // Halfway into the next window half of the previous hits still count
+            jest.advanceTimersByTime(90000);
+            await send(limiter, 2);
+            expect(next).toHaveBeenLastCalledWith();
+
+            await send(limiter);
+            expect(next.mock.calls[next.mock.calls.length - 1][0].statusCode).toBe(429);
+        });
+
+        it('should key authenticated requests by user id', async () => {
+            const limiter = createRateLimiter({ windowMs: 60000, max: 1, store });
+
+            req.user = { _id: 'user-1' };
+            await send(limiter);
+            req.user = { _id: 'user-2' };
+            await send(limiter);
+
+            expect(next).toHaveBeenNthCalledWith(1);
+            expect(next).toHaveBeenNthCalledWith(2);
+        });
+
+        it('should key requests by the user in a bearer token before authentication', async () => {
+            const limiter = createRateLimiter({ windowMs: 60000, max: 1, store });
+            const bearer = (id) => ({ authorization: `Bearer ${generateToken({ _id: id, username: id, role: 'user' })}` });
+
+            req.headers = bearer('507f1f77bcf86cd799439011');
+            await send(limiter);
+            req.headers = bearer('507f1f77bcf86cd799439012');
+            await send(limiter);
+            await send(limiter);
+
+            expect(next).toHaveBeenNthCalledWith(1);
+            expect(next).toHaveBeenNthCalledWith(2);
+            expect(next.mock.calls[2][0].statusCode).toBe(429);
+        });
+
+        it('should key requests with an invalid token by IP address', async () => {
+            const limiter = createRateLimiter({ windowMs: 60000, max: 1, store });
+
+            req.headers = { authorization: 'Bearer not-a-token' };
+            await send(limiter);
+            req.headers = { authorization: 'Bearer another-bad-token' };
+            await send(limiter);
+
+            expect(next.mock.calls[1][0].statusCode).toBe(429);
+        });
+
+        it('should fail open when the store errors', async () => {
+            const failingStore = { increment: jest.fn().mockRejectedValue(new Error('down')) };
+            const limiter = createRateLimiter({ max: 1, store: failingStore });
+
+            await send(limiter);
+
+            expect(next).toHaveBeenCalledWith();
+        });
+
+        it('should be skipped when rate limiting is disabled', async () => {
+            process.env.RATE_LIMIT_ENABLED = 'false';
+            const limiter = createRateLimiter({ max: 1, store });
+
+            await send(limiter, 3);
+
+            expect(res.set).not.toHaveBeenCalled();
+            expect(next).toHaveBeenCalledTimes(3);
+        });
+    });
+
+    describe('rateLimit', () => {
+        it('should return the same limiter for a policy', () => {
+            expect(rateLimit('auth')).toBe(rateLimit('auth'));
+        });
+
+        it('should count token refreshes separately from credential endpoints', async () => {
+            req.ip = '198.51.100.7';
+
+            await send(rateLimit('auth'), rateLimitPolicies.auth.max + 1);
+            expect(next.mock.calls[rateLimitPolicies.auth.max][0].statusCode).toBe(429);
+
+            next.mockClear();
+            await send(rateLimit('refresh'));
+            expect(next).toHaveBeenCalledWith();
+        });
+
+        it('should throw for an unknown policy', () => {
+            expect(() => rateLimit('unknown')).toThrow('Unknown rate limit policy: unknown');
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,81 @@
+// server/tests/unit/seo.test.js - Unit tests for SEO metadata
+
+const { absoluteUrl, buildPostMetadata } = require('../../src/utils/seo');
+
+describe('SEO Utility Unit Tests', () => {
+    const originalClientUrl = process.env.CLIENT_URL;
+
+    const post = {
+        title: 'Testing MERN Apps',
+        slug: 'testing-mern-apps',
+        excerpt: 'How to test a <strong>MERN</strong> application end to end',
+        featuredImage: '/uploads/cover.png',
+        tags: ['testing', 'mern'],
+        publishedAt: new Date('2024-01-15T10:00:00Z'),
+        updatedAt: new Date('2024-01-16T10:00:00Z'),
+        author: { username: 'testuser', fullName: 'Test User' },
+        category: { name: 'Programming' }
+    };
+
+    beforeEach(() => {
+        process.env.CLIENT_URL = 'https://blog.example.com/';
+    });
+
+    afterAll(() => {
+        process.env.CLIENT_URL = originalClientUrl;
+    });
+
+    it('should resolve relative URLs against the site URL', () => {
+        expect(absoluteUrl('/uploads/a.png')).toBe('https://blog.example.com/uploads/a.png');
+        expect(absoluteUrl('https://cdn.example.com/a.png')).toBe('https://cdn.example.com/a.png');
+        expect(absoluteUrl(null)).toBeNull();
+    });
+
+    it('should build canonical, Open Graph and Twitter fields', () => {
+        const meta = buildPostMetadata(post);
+
+        expect(meta.canonicalUrl).toBe('https://blog.example.com/posts/testing-mern-apps');
+        expect(meta.description).toBe('How to test a MERN application end to end');
+        expect(meta.openGraph).toMatchObject({
+            'og:type': 'article',
+            'og:url': meta.canonicalUrl,
+            'og:image': 'https://blog.example.com/uploads/cover.png',
+            'article:section': 'Programming',
+            'article:tag': ['testing', 'mern']
+        });
+        expect(meta.twitter['twitter:card']).toBe('summary_large_image');
+    });
+
+    it('should build a JSON-LD Article', () => {
+        const { jsonLd } = buildPostMetadata(post);
+
+        expect(jsonLd).toMatchObject({
+            '@context': 'https://schema.org',
+            '@type': 'Article',
+            headline: 'Testing MERN Apps',
+            datePublished: '2024-01-15T10:00:00.000Z',
+            author: {
+                '@type': 'Person',
+                name: 'Test User',
+                url: 'https://blog.example.com/users/testuser'
+            },
+            mainEntityOfPage: { '@type': 'WebPage', '@id': 'https://blog.example.com/posts/testing-mern-apps' }
+        });
+    });
+
+    it('should omit empty fields and truncate long descriptions', () => {
+        const meta = buildPostMetadata({
+            title: 'Bare Post',
+            slug: 'bare-post',
+            content: 'word '.repeat(100),
+            tags: []
+        });
+
+        expect(meta.description.length).toBeLessThanOrEqual(160);
+        expect(meta.description.endsWith('...')).toBe(true);
+        expect(meta.openGraph).not.toHaveProperty('og:image');
+        expect(meta.openGraph).not.toHaveProperty('article:tag');
+        expect(meta.twitter['twitter:card']).toBe('summary');
+        expect(meta.jsonLd).not.toHaveProperty('author');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,88 @@
+// server/tests/unit/slug.test.js - Unit tests for slug helpers
+
+const { slugify, generateUniqueSlug, saveWithUniqueSlug } = require('../../src/utils/slug');
+
+// Minimal stand-in for Model.find().select().lean()
+const modelWith = (docs) => ({
+    find: jest.fn(() => ({
+        select: () => ({
+            lean: async () => docs
+        })
+    }))
+});
+
+describe('Slug Utility Unit Tests', () => {
+    describe('slugify', () => {
+        it('should lowercase and hyphenate text', () => {
+            expect(slugify('Hello, World!  Again')).toBe('hello-world-again');
+        });
+
+        it('should return an empty string when nothing is usable', () => {
+            expect(slugify('!!!')).toBe('');
+        });
+    });
+
+    describe('generateUniqueSlug', () => {
+        it('should use the base slug when free', async () => {
+            expect(await generateUniqueSlug(modelWith([]), 'hello')).toBe('hello');
+        });
+
+        it('should pick the lowest free numeric suffix', async () => {
+            const Model = modelWith([
+                { slug: 'hello', slugHistory: [] },
+                { slug: 'hello-3', slugHistory: [] }
+            ]);
+
+            expect(await generateUniqueSlug(Model, 'hello')).toBe('hello-2');
+        });
+
+        it('should treat old slugs as taken', async () => {
+            const Model = modelWith([{ slug: 'renamed', slugHistory: ['hello'] }]);
+
+            expect(await generateUniqueSlug(Model, 'hello')).toBe('hello-2');
+        });
+
+        it('should ignore slugs that only share a prefix', async () => {
+            const Model = modelWith([{ slug: 'hello-world', slugHistory: [] }]);
+
+            expect(await generateUniqueSlug(Model, 'hello')).toBe('hello');
+        });
+    });
+
+    describe('saveWithUniqueSlug', () => {
+        const duplicateKey = (keyPattern) => Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern });
+
+        it('should restore the previous slug and retry on a slug conflict', async () => {
+            const doc = { slug: undefined, slugHistory: [] };
+            doc.save = jest.fn()
+                .mockImplementationOnce(async () => {
+                    doc.slug = 'hello';
+                    throw duplicateKey({ slug: 1 });
+                })
+                .mockImplementationOnce(async () => {
+                    expect(doc.slug).toBeUndefined();
+                    doc.slug = 'hello-2';
+                    return doc;
+                });
+
+            await saveWithUniqueSlug(doc);
+
+            expect(doc.save).toHaveBeenCalledTimes(2);
+            expect(doc.slug).toBe('hello-2');
+        });
+
+        it('should rethrow other duplicate key errors', async () => {
+            const doc = { slug: 'hello', slugHistory: [], save: jest.fn().mockRejectedValue(duplicateKey({ email: 1 })) };
+
+            await expect(saveWithUniqueSlug(doc)).rejects.toThrow('E11000');
+            expect(doc.save).toHaveBeenCalledTimes(1);
+        });
+
+        it('should give up after a few conflicts', async () => {
+            const doc = { slug: 'hello', slugHistory: [], save: jest.fn().mockRejectedValue(duplicateKey({ slug: 1 })) };
+
+            await expect(saveWithUniqueSlug(doc)).rejects.toThrow('E11000');
+            expect(doc.save).toHaveBeenCalledTimes(3);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,131 @@
+// server/tests/unit/storage.test.js - Unit tests for media storage and image processing
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const {
+    MemoryStorage,
+    LocalDiskStorage,
+    createStorage,
+    getStorage
+} = require('../../src/utils/storage');
+const {
+    MAX_IMAGE_PIXELS,
+    MAX_GIF_FRAMES,
+    readImageMetadata,
+    matchesMimeType,
+    isWithinLimits,
+    processImage
+} = require('../../src/utils/images');
+
+describe('Storage Unit Tests', () => {
+    describe('createStorage', () => {
+        it('should create known drivers by name', () => {
+            expect(createStorage('memory')).toBeInstanceOf(MemoryStorage);
+            expect(createStorage('local')).toBeInstanceOf(LocalDiskStorage);
+        });
+
+        it('should throw for an unknown driver', () => {
+            expect(() => createStorage('s3')).toThrow('Unknown storage driver: s3');
+        });
+
+        it('should use memory storage in tests', () => {
+            expect(getStorage()).toBeInstanceOf(MemoryStorage);
+        });
+    });
+
+    describe('LocalDiskStorage', () => {
+        let directory, storage;
+
+        beforeEach(async () => {
+            directory = await fs.mkdtemp(path.join(os.tmpdir(), 'uploads-'));
+            storage = new LocalDiskStorage(directory);
+        });
+
+        afterEach(async () => {
+            await fs.rm(directory, { recursive: true, force: true });
+        });
+
+        it('should save, serve and delete files', async () => {
+            const result = await storage.save('user/image.png', Buffer.from('data'));
+
+            expect(result).toEqual({ key: 'user/image.png', url: '/uploads/user/image.png' });
+            expect(await fs.readFile(path.join(directory, 'user/image.png'), 'utf8')).toBe('data');
+
+            await storage.delete('user/image.png');
+            await expect(fs.access(path.join(directory, 'user/image.png'))).rejects.toThrow();
+        });
+
+        it('should reject keys outside the upload directory', async () => {
+            await expect(storage.save('../escape.png', Buffer.from('data'))).rejects.toThrow('Invalid storage key');
+        });
+    });
+});
+
+describe('Image Processing Unit Tests', () => {
+    const createImage = (width, height, format = 'png') => sharp({
+        create: { width, height, channels: 3, background: '#3366ff' }
+    }).toFormat(format).toBuffer();
+
+    it('should detect the real format of a file', async () => {
+        const metadata = await readImageMetadata(await createImage(10, 10));
+
+        expect(matchesMimeType(metadata, 'image/png')).toBe(true);
+        expect(matchesMimeType(metadata, 'image/jpeg')).toBe(false);
+    });
+
+    it('should reject content that is not an image', async () => {
+        const metadata = await readImageMetadata(Buffer.from('<script>alert(1)</script>'));
+
+        expect(metadata).toBeNull();
+        expect(matchesMimeType(metadata, 'image/png')).toBe(false);
+    });
+
+    const prepare = async (buffer) => processImage(buffer, await readImageMetadata(buffer));
+
+    it('should keep the original size and format', async () => {
+        const { original } = await prepare(await createImage(800, 400, 'jpeg'));
+
+        expect(original).toMatchObject({ width: 800, height: 400 });
+        expect((await sharp(original.buffer).metadata()).format).toBe('jpeg');
+    });
+
+    it('should generate thumbnails without enlarging small images', async () => {
+        const large = (await prepare(await createImage(1200, 600))).thumbnails;
+        const small = (await prepare(await createImage(100, 50))).thumbnails;
+
+        expect(large.map(({ name, width, height }) => ({ name, width, height }))).toEqual([
+            { name: 'small', width: 150, height: 75 },
+            { name: 'medium', width: 600, height: 300 }
+        ]);
+        expect(small.every(thumbnail => thumbnail.width === 100)).toBe(true);
+    });
+
+    it('should keep every frame of an animated GIF', async () => {
+        const frames = await Promise.all(['#ff0000', '#00ff00', '#0000ff'].map(color => sharp({
+            create: { width: 300, height: 200, channels: 3, background: color }
+        }).png().toBuffer()));
+        const gif = await sharp(frames, { join: { animated: true } }).gif().toBuffer();
+
+        const { original, thumbnails } = await prepare(gif);
+
+        expect(original).toMatchObject({ width: 300, height: 200 });
+        expect((await sharp(original.buffer, { animated: true }).metadata()).pages).toBe(3);
+        expect(thumbnails[0]).toMatchObject({ width: 150, height: 100 });
+    });
+
+    it('should reject images above the pixel limit before decoding them', () => {
+        expect(isWithinLimits({ format: 'png', width: 4000, height: 3000 })).toBe(true);
+        expect(isWithinLimits({ format: 'png', width: 50000, height: 50000 })).toBe(false);
+        expect(isWithinLimits({ format: 'png', width: MAX_IMAGE_PIXELS + 1, height: 1 })).toBe(false);
+    });
+
+    it('should count every frame of an animated GIF', () => {
+        const frame = { format: 'gif', width: 1000, height: 1000, pageHeight: 1000 };
+
+        expect(isWithinLimits({ ...frame, pages: 10 })).toBe(true);
+        expect(isWithinLimits({ ...frame, pages: 60 })).toBe(false);
+        expect(isWithinLimits({ format: 'gif', width: 10, height: 10, pageHeight: 10, pages: MAX_GIF_FRAMES + 1 })).toBe(false);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,47 @@
+// server/tests/unit/viewTracker.test.js - Unit tests for view tracking helpers
+
+const { isBot, getViewerKey, startOfDay } = require('../../src/utils/viewTracker');
+
+describe('View Tracker Unit Tests', () => {
+    const requestWith = ({ user, ip = '203.0.113.5', userAgent = 'Mozilla/5.0' } = {}) => ({
+        user,
+        ip,
+        get: (header) => (header.toLowerCase() === 'user-agent' ? userAgent : undefined)
+    });
+
+    describe('isBot', () => {
+        it('should flag crawlers, scripts and missing user agents', () => {
+            expect(isBot('Mozilla/5.0 (compatible; Googlebot/2.1)')).toBe(true);
+            expect(isBot('facebookexternalhit/1.1')).toBe(true);
+            expect(isBot('curl/8.0.1')).toBe(true);
+            expect(isBot('')).toBe(true);
+            expect(isBot(undefined)).toBe(true);
+        });
+
+        it('should accept browsers', () => {
+            expect(isBot('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120.0')).toBe(false);
+        });
+    });
+
+    describe('getViewerKey', () => {
+        it('should key signed-in users by id', () => {
+            expect(getViewerKey(requestWith({ user: { _id: 'abc123' } }))).toBe('user:abc123');
+        });
+
+        it('should fingerprint anonymous visitors by IP and user agent', () => {
+            const first = getViewerKey(requestWith());
+            const same = getViewerKey(requestWith());
+            const otherBrowser = getViewerKey(requestWith({ userAgent: 'Mozilla/5.0 Firefox' }));
+
+            expect(first).toMatch(/^anon:[a-f0-9]{64}$/);
+            expect(same).toBe(first);
+            expect(otherBrowser).not.toBe(first);
+        });
+    });
+
+    describe('startOfDay', () => {
+        it('should return UTC midnight', () => {
+            expect(startOfDay(new Date('2024-05-06T23:59:59Z')).toISOString()).toBe('2024-05-06T00:00:00.000Z');
+        });
+    });
+});
\ No newline at end of file